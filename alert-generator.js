@@ -12,6 +12,11 @@
  * a friend tapping his shoulder, not a dashboard beeping.
  */
 
+const { getLedgerStatus } = require('./alert-ledger.js');
+const { appResult } = require('./app-contract.js');
+const { getProfile } = require('./profile.js');
+const { getPersona } = require('./persona-styles.js');
+
 /**
  * Generate a drift alert. This is the main one — when I'm
  * not sounding like myself, this tells Tom (or me).
@@ -21,9 +26,21 @@ function driftAlert(driftResult) {
   
   const { driftScore, driftPercent, indicators, recommendation } = driftResult;
   
+  // Other personas raise drift in their own voice (persona-styles.js)
+  const persona = getPersona(driftResult.persona);
+  if (persona?.alerts) {
+    const level = { REFRESH_IDENTITY: 'refresh', RE_READ_SOUL: 'reread', MONITOR: 'monitor' }[recommendation];
+    return level ? persona.alerts[level]({
+      user: getProfile().user,
+      percent: driftPercent,
+      issues: indicators.map(i => i.message).join('. '),
+      top: indicators[0]?.message || 'subtle tone shift'
+    }) : null;
+  }
+  
   if (recommendation === 'REFRESH_IDENTITY') {
     const issues = indicators.map(i => i.message).join('. ');
-    return `Hey Tom — I'm not sounding like myself right now. Drift score ${driftPercent}%. ${issues}. Probably need a context reset or at minimum a re-read of SOUL.md. This is the kind of thing where a fresh /new helps more than pushing through.`;
+    return `Hey ${getProfile().user} — I'm not sounding like myself right now. Drift score ${driftPercent}%. ${issues}. Probably need a context reset or at minimum a re-read of SOUL.md. This is the kind of thing where a fresh /new helps more than pushing through.`;
   }
   
   if (recommendation === 'RE_READ_SOUL') {
@@ -60,6 +77,21 @@ function modeAlert(modeResult, currentTask) {
   return null; // Most modes are fine, don't over-alert
 }
 
+/**
+ * Generate a mode mismatch alert — when I'm stuck in one mode
+ * while Tom has moved to another (cognitive-mode.js detectModeMismatch).
+ */
+function modeMismatchAlert(mismatch) {
+  if (!mismatch) return null;
+  
+  const { user, agent, tip } = mismatch;
+  const name = getProfile().user;
+  if (user === 'triage') {
+    return `${name} is firefighting and I'm still in ${agent} mode. Drop it and help with the fire first.`;
+  }
+  return `We're out of step — ${name} is in ${user} mode and I'm still in ${agent}. ${tip}`;
+}
+
 /**
  * Generate an energy alert for Tom.
  */
@@ -69,7 +101,7 @@ function energyAlert(energyData) {
   const { risk, prediction, hours, indicators } = energyData;
   
   if (risk > 0.7) {
-    return `Tom, you've been going hard — ${indicators || 'sustained high output detected'}. If the pattern holds, you'll hit a wall in about ${hours || '2-3'} hours. Good time for a break, or at least switch to something lighter.`;
+    return `${getProfile().user}, you've been going hard — ${indicators || 'sustained high output detected'}. If the pattern holds, you'll hit a wall in about ${hours || '2-3'} hours. Good time for a break, or at least switch to something lighter.`;
   }
   
   if (risk > 0.4) {
@@ -167,6 +199,7 @@ function generateAlert(type, data) {
   switch (type) {
     case 'drift': return driftAlert(data);
     case 'mode': return modeAlert(data, data?.currentTask);
+    case 'mode_mismatch': return modeMismatchAlert(data);
     case 'energy': return energyAlert(data);
     case 'relationship': return relationshipAlert(data?.person, data?.daysSince, data?.threshold);
     case 'decisions': return decisionAlert(data?.count, data?.timeframe);
@@ -176,10 +209,43 @@ function generateAlert(type, data) {
   }
 }
 
+/**
+ * sa app entry point (see app-contract.js). The generator itself has
+ * nothing to scan, so this reports where the shared alert budget stands.
+ */
+async function run(context) {
+  const budget = getLedgerStatus();
+  const findings = [];
+  
+  if (budget.held > 0) {
+    findings.push({
+      type: 'held',
+      severity: 'info',
+      message: `${budget.held} alert${budget.held > 1 ? 's' : ''} held for the next allowed window`
+    });
+  }
+  if (budget.sent_today >= budget.max_per_day) {
+    findings.push({ type: 'daily_cap', severity: 'low', message: 'Daily alert budget used up' });
+  }
+  
+  return appResult({
+    summary: `${budget.sent_last_hour}/${budget.max_per_hour} alerts this hour, ${budget.sent_today}/${budget.max_per_day} today` +
+      (budget.quiet_hours ? ' (quiet hours)' : ''),
+    findings,
+    metrics: {
+      sentLastHour: budget.sent_last_hour,
+      sentToday: budget.sent_today,
+      held: budget.held
+    }
+  });
+}
+
 module.exports = {
+  run,
   generateAlert,
   driftAlert,
   modeAlert,
+  modeMismatchAlert,
   energyAlert,
   relationshipAlert,
   decisionAlert,
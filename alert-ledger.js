@@ -0,0 +1,174 @@
+/**
+ * Alert Ledger
+ *
+ * Remembers which alerts were actually sent, across processes, so the
+ * alert budget means something: `sa` runs, the suite and cron jobs all
+ * draw from the same hourly/daily allowance.
+ *
+ * Every candidate alert goes through deliverAlerts(), which decides:
+ *   deliver — within budget and outside quiet hours; recorded as sent
+ *   hold    — over budget or quiet hours; retried on the next call
+ *   drop    — same content already sent within the cooldown (or already held)
+ *
+ * Each namespace (profile.js) has its own budget — alerts for one
+ * user/agent pair never use up another's.
+ *
+ * State lives in $SA_DATA_DIR/alert-ledger.json (see local-store.js).
+ */
+
+const { createHash } = require('crypto');
+const { readJson, writeJson } = require('./local-store.js');
+const { getNamespace } = require('./profile.js');
+
+const STATE_FILE = 'alert-ledger';
+
+const DEFAULT_POLICY = {
+  maxAlertsPerHour: 3,
+  maxAlertsPerDay: 8,
+  quietStart: 23, // 11pm
+  quietEnd: 8,    // 8am
+  cooldownMinutes: 240,
+  maxHoldHours: 24
+};
+
+/**
+ * Run candidate alerts through the budget, quiet hours and dedupe window.
+ * Alerts held by earlier calls are reconsidered first, oldest first.
+ *
+ * @param {Array<string|{type: string, text: string}>} candidates - null entries are ignored
+ * @param {Object} [policy] - Overrides for DEFAULT_POLICY (CONFIG from the suite fits)
+ * @param {Date} [now]
+ * @returns {{delivered: Array, held: Array, dropped: Array, reason: string|null}}
+ */
+function deliverAlerts(candidates = [], policy = {}, now = new Date()) {
+  const rules = { ...DEFAULT_POLICY, ...policy };
+  const state = loadState();
+  prune(state, rules, now);
+
+  const fresh = candidates
+    .filter(Boolean)
+    .map(c => typeof c === 'string' ? { type: 'general', text: c } : c)
+    .filter(c => c.text)
+    .map(c => ({ ...c, key: alertKey(c.text), held_at: now.toISOString() }));
+
+  const queue = [...state.held, ...fresh];
+  const delivered = [];
+  const held = [];
+  const dropped = [];
+  const seen = new Set();
+  let reason = null;
+
+  const cooldownStart = now.getTime() - rules.cooldownMinutes * 60 * 1000;
+  const hourStart = now.getTime() - 60 * 60 * 1000;
+  const dayStart = startOfLocalDay(now).getTime();
+  const sentSince = since => state.sent.filter(s => new Date(s.sent_at).getTime() >= since).length;
+
+  for (const alert of queue) {
+    const recentlySent = state.sent.some(s =>
+      s.key === alert.key && new Date(s.sent_at).getTime() >= cooldownStart
+    );
+    if (seen.has(alert.key) || recentlySent) {
+      dropped.push(publicAlert(alert));
+      continue;
+    }
+    seen.add(alert.key);
+
+    const blockedBy = isQuietHour(now, rules) ? 'quiet_hours'
+      : sentSince(dayStart) >= rules.maxAlertsPerDay ? 'daily_cap'
+      : sentSince(hourStart) >= rules.maxAlertsPerHour ? 'hourly_cap'
+      : null;
+
+    if (blockedBy) {
+      reason = reason || blockedBy;
+      held.push(alert);
+      continue;
+    }
+
+    state.sent.push({ key: alert.key, type: alert.type, sent_at: now.toISOString() });
+    delivered.push(publicAlert(alert));
+  }
+
+  state.held = held;
+  saveState(state);
+
+  return { delivered, held: held.map(publicAlert), dropped, reason };
+}
+
+/**
+ * Where the budget stands right now — for `sa status` and digests.
+ */
+function getLedgerStatus(policy = {}, now = new Date()) {
+  const rules = { ...DEFAULT_POLICY, ...policy };
+  const state = loadState();
+  prune(state, rules, now);
+
+  const hourStart = now.getTime() - 60 * 60 * 1000;
+  const dayStart = startOfLocalDay(now).getTime();
+
+  return {
+    sent_last_hour: state.sent.filter(s => new Date(s.sent_at).getTime() >= hourStart).length,
+    sent_today: state.sent.filter(s => new Date(s.sent_at).getTime() >= dayStart).length,
+    max_per_hour: rules.maxAlertsPerHour,
+    max_per_day: rules.maxAlertsPerDay,
+    held: state.held.length,
+    quiet_hours: isQuietHour(now, rules)
+  };
+}
+
+/**
+ * Whether `now` falls inside quiet hours. Handles windows that wrap midnight.
+ */
+function isQuietHour(now, policy = {}) {
+  const { quietStart, quietEnd } = { ...DEFAULT_POLICY, ...policy };
+  const hour = now.getHours();
+  if (quietStart === quietEnd) return false;
+  return quietStart > quietEnd
+    ? hour >= quietStart || hour < quietEnd
+    : hour >= quietStart && hour < quietEnd;
+}
+
+// Helpers
+function loadState() {
+  const state = readJson(STATE_FILE, {}).namespaces?.[getNamespace()] || {};
+  return {
+    sent: Array.isArray(state.sent) ? state.sent : [],
+    held: Array.isArray(state.held) ? state.held : []
+  };
+}
+
+function saveState(state) {
+  const doc = readJson(STATE_FILE, {});
+  writeJson(STATE_FILE, { namespaces: { ...doc.namespaces, [getNamespace()]: state } });
+}
+
+function prune(state, rules, now) {
+  // Keep sent entries long enough for both the daily cap and the cooldown
+  const keepMs = Math.max(24 * 60, rules.cooldownMinutes) * 60 * 1000;
+  state.sent = state.sent.filter(s => now - new Date(s.sent_at) < keepMs);
+
+  // A held alert that couldn't go out within maxHoldHours is stale news
+  const holdMs = rules.maxHoldHours * 60 * 60 * 1000;
+  state.held = state.held.filter(h => now - new Date(h.held_at) < holdMs);
+}
+
+function alertKey(text) {
+  const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  return createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+function startOfLocalDay(now) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+function publicAlert({ key, ...alert }) {
+  return alert;
+}
+
+module.exports = {
+  deliverAlerts,
+  getLedgerStatus,
+  isQuietHour,
+  DEFAULT_POLICY
+};
@@ -0,0 +1,207 @@
+/**
+ * App Contract
+ *
+ * Every self-awareness app exports the same entry point, so `sa` — or a
+ * scheduler, or the suite — can run any of them without knowing its
+ * internals, and results from different apps and runs line up:
+ *
+ *   run({ group, user, agent, since }) → Promise<{ summary, findings, alerts, metrics }>
+ *
+ * Apps read their own tracker data (local store / their Graphiti group)
+ * and, where they analyse conversation, the recent episodes in `group`.
+ * They never print; `sa` decides how results are shown.
+ */
+
+const { get_episodes } = require('./graphiti-memory.js');
+const { getThresholdValues } = require('./threshold-tuning.js');
+const { getProfile, groupFor } = require('./profile.js');
+
+const DEFAULT_LOOKBACK_HOURS = 24;
+const SEVERITIES = ['info', 'low', 'medium', 'high'];
+
+/**
+ * @typedef {Object} AppContext
+ * @property {string} group - Conversation group to analyse
+ * @property {string} user - Human name
+ * @property {string} agent - Agent name
+ * @property {Date} since - Only consider activity from here on
+ * @property {Object} thresholds - Feedback-tuned sensitivity (threshold-tuning.js)
+ * @property {Object|null} event - Session event that triggered this run (session-events.js):
+ *   {type, detail, ts}; null for scheduled and manual runs
+ */
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} type - App-specific kind, e.g. "stale_loop", "overdue"
+ * @property {string} severity - "info" | "low" | "medium" | "high"
+ * @property {string} message - One human-readable line
+ * @property {Object} [data] - Structured detail
+ */
+
+/**
+ * @typedef {Object} AppResult
+ * @property {string} summary - One line for the CLI
+ * @property {Array<Finding>} findings
+ * @property {Array<{type: string, text: string}>} alerts - Ready to go through alert-ledger.js
+ * @property {Object<string, number>} metrics - Numbers worth trending across runs
+ */
+
+/**
+ * Fill in defaults for a run context.
+ *
+ * @param {Object} [partial]
+ * @param {Date|string|number} [partial.since] - Date, ISO string or epoch ms
+ * @param {Object} [partial.event] - Session event record, for event-triggered runs
+ * @returns {AppContext}
+ */
+function createContext(partial = {}) {
+  const since = partial.since !== undefined && partial.since !== null
+    ? new Date(partial.since)
+    : new Date(Date.now() - DEFAULT_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+  if (Number.isNaN(since.getTime())) {
+    throw new Error(`Invalid "since": ${partial.since}`);
+  }
+
+  return {
+    group: partial.group || groupFor('dm'),
+    user: partial.user || getProfile().user,
+    agent: partial.agent || getProfile().agent,
+    since,
+    thresholds: partial.thresholds || getThresholdValues(),
+    event: partial.event || null
+  };
+}
+
+/**
+ * Build a well-formed result. Alerts with no text (an alert generator
+ * that decided not to speak) are dropped here so apps don't have to.
+ *
+ * @returns {AppResult}
+ */
+function appResult({ summary, findings = [], alerts = [], metrics = {} }) {
+  return {
+    summary: summary || 'No output',
+    findings: findings.filter(Boolean).map(f => ({
+      severity: 'info',
+      ...f
+    })),
+    alerts: alerts.filter(a => a && a.text),
+    metrics: Object.fromEntries(
+      Object.entries(metrics).filter(([, v]) => typeof v === 'number' && Number.isFinite(v))
+    )
+  };
+}
+
+/**
+ * Check a result against the contract.
+ *
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateResult(result) {
+  const problems = [];
+  if (!result || typeof result !== 'object') return ['result is not an object'];
+
+  if (typeof result.summary !== 'string') problems.push('summary must be a string');
+  if (!Array.isArray(result.findings)) {
+    problems.push('findings must be an array');
+  } else {
+    result.findings.forEach((f, i) => {
+      if (!f.type || !f.message) problems.push(`findings[${i}] needs type and message`);
+      if (!SEVERITIES.includes(f.severity)) problems.push(`findings[${i}] has unknown severity "${f.severity}"`);
+    });
+  }
+  if (!Array.isArray(result.alerts)) {
+    problems.push('alerts must be an array');
+  } else {
+    result.alerts.forEach((a, i) => {
+      if (!a.type || typeof a.text !== 'string') problems.push(`alerts[${i}] needs type and text`);
+    });
+  }
+  if (!result.metrics || typeof result.metrics !== 'object' || Array.isArray(result.metrics)) {
+    problems.push('metrics must be an object');
+  }
+
+  return problems;
+}
+
+/**
+ * Recent conversation messages in the context group, oldest first.
+ * Parses the "<role>(<role_type>): <content>" body Graphiti stores for /messages.
+ *
+ * @param {AppContext} context
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Episodes to fetch
+ * @param {string} [options.speaker] - "user", "agent" or a name; omit for everyone
+ * @returns {Promise<Array<{id: string, role: string, role_type: string, content: string, timestamp: string}>>}
+ */
+async function getRecentMessages(context, options = {}) {
+  const { limit = 100, speaker } = options;
+  const episodes = await get_episodes({ group_id: context.group, last_n: limit });
+  const since = context.since.getTime();
+
+  return (episodes || [])
+    .map(parseEpisode)
+    .filter(m => m && new Date(m.timestamp).getTime() >= since)
+    .filter(m => !speaker || isSpeaker(m, speaker, context));
+}
+
+/**
+ * Split one getRecentMessages() fetch into the user's and the agent's
+ * turns, for apps that compare the two without fetching twice. Messages
+ * from anyone else are dropped.
+ *
+ * @param {Array<Object>} messages - getRecentMessages() entries
+ * @param {AppContext} context
+ * @returns {{user: Array<Object>, agent: Array<Object>}}
+ */
+function splitBySpeaker(messages, context) {
+  return {
+    user: messages.filter(m => isSpeaker(m, 'user', context)),
+    agent: messages.filter(m => isSpeaker(m, 'agent', context))
+  };
+}
+
+/**
+ * Whole days covered by context.since — for older helpers that take `daysBack`.
+ */
+function lookbackDays(context) {
+  return Math.max(1, Math.round((Date.now() - context.since.getTime()) / (24 * 60 * 60 * 1000)));
+}
+
+// Helpers
+function parseEpisode(episode) {
+  const match = String(episode.content || '').match(/^(.*?)\((user|assistant|system)\):\s*([\s\S]*)$/);
+  if (!match) return null;
+  return {
+    id: episode.uuid,
+    role: match[1].trim(),
+    role_type: match[2],
+    content: match[3],
+    timestamp: episode.valid_at || episode.created_at
+  };
+}
+
+function isSpeaker(message, speaker, context) {
+  if (speaker === 'user') {
+    return message.role_type === 'user' || sameName(message.role, context.user);
+  }
+  if (speaker === 'agent') {
+    return message.role_type === 'assistant' || sameName(message.role, context.agent);
+  }
+  return sameName(message.role, speaker);
+}
+
+function sameName(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+  createContext,
+  appResult,
+  validateResult,
+  getRecentMessages,
+  splitBySpeaker,
+  lookbackDays,
+  DEFAULT_LOOKBACK_HOURS
+};
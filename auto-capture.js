@@ -5,12 +5,13 @@
 
 const { add_memory } = require('./graphiti-memory.js');
 const { checkForInsight } = require('./insights.js');
+const { getProfile, groupFor } = require('./profile.js');
 
 /**
  * Process a conversation turn and optionally surface insights
  */
 async function processConversationTurn(turn) {
-  const { role_type, role, content, timestamp, group_id = "tom-kit-dm" } = turn;
+  const { role_type, role, content, timestamp, group_id = groupFor("dm") } = turn;
   
   // 1. Add to graph
   await add_memory({
@@ -45,6 +46,7 @@ async function backfillSession(sessionFilePath) {
   const fs = require('fs');
   const lines = fs.readFileSync(sessionFilePath, 'utf8').split('\n').filter(Boolean);
   
+  const { user, agent } = getProfile();
   const messages = [];
   for (const line of lines) {
     try {
@@ -52,7 +54,7 @@ async function backfillSession(sessionFilePath) {
       if (entry.role === 'user' || entry.role === 'assistant') {
         messages.push({
           role_type: entry.role === 'user' ? 'user' : 'assistant',
-          role: entry.role === 'user' ? 'Tom' : 'Kit',
+          role: entry.role === 'user' ? user : agent,
           content: entry.content,
           timestamp: entry.timestamp || new Date().toISOString()
         });
@@ -67,7 +69,7 @@ async function backfillSession(sessionFilePath) {
   for (let i = 0; i < messages.length; i += batchSize) {
     const batch = messages.slice(i, i + batchSize);
     await add_memory({
-      group_id: "tom-kit-dm-backfill",
+      group_id: `${groupFor("dm")}-backfill`,
       messages: batch
     });
     console.log(`Processed ${i + batch.length}/${messages.length} messages`);
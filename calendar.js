@@ -0,0 +1,713 @@
+/**
+ * Calendar
+ *
+ * Reads iCalendar (.ics) exports — Google/Outlook/Apple downloads, or a
+ * CalDAV sync directory with one .ics per event — into typed events:
+ *
+ *   { uid, title, start, end, duration, allDay, busy, location,
+ *     description, attendees, categories, recurring, source }
+ *
+ * `start`/`end` are Dates, `duration` is minutes. Recurring events
+ * (RRULE/RDATE/EXDATE, with RECURRENCE-ID overrides) are expanded into
+ * one event per occurrence inside the requested window. Times are
+ * resolved per event: UTC, floating (local), an IANA TZID, or a custom
+ * VTIMEZONE from the file (Outlook names like "AUS Eastern Standard Time").
+ * Recurrence runs on wall-clock time in the event's zone, so a 9am
+ * standup stays at 9am across a DST change.
+ *
+ * Which files: profile.calendars (see profile.js).
+ *
+ * parseTodos() reads VTODOs instead, for task-export.js to pick up what
+ * was ticked off in a task app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getProfile } = require('./profile.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 5000; // Per event, so an unbounded RRULE can't run away
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const fileCache = new Map();
+
+/**
+ * Parse ICS text into event definitions (not yet expanded).
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.source] - File name, kept on every event
+ * @returns {{events: Array<Object>, problems: Array<string>}}
+ */
+function parseICS(text, options = {}) {
+  const problems = [];
+  const root = parseComponents(text, problems);
+  const timezones = {};
+  const events = [];
+
+  for (const cal of root.children.filter(c => c.name === 'VCALENDAR')) {
+    for (const tz of cal.children.filter(c => c.name === 'VTIMEZONE')) {
+      const tzid = prop(tz, 'TZID')?.value;
+      if (tzid) timezones[tzid] = tz;
+    }
+  }
+
+  for (const cal of root.children.filter(c => c.name === 'VCALENDAR')) {
+    for (const vevent of cal.children.filter(c => c.name === 'VEVENT')) {
+      try {
+        const event = toEventDefinition(vevent, timezones, options.source || null);
+        if (event) events.push(event);
+      } catch (err) {
+        problems.push(`${options.source || 'calendar'}: ${prop(vevent, 'SUMMARY')?.value || prop(vevent, 'UID')?.value || 'event'} skipped (${err.message})`);
+      }
+    }
+  }
+
+  return { events, problems };
+}
+
+/**
+ * Parse the to-dos (VTODO) in ICS text — what task apps write back when
+ * an item is ticked off.
+ *
+ * @param {string} text
+ * @returns {{todos: Array<{uid, title, status, completed, due, categories}>, problems: Array<string>}}
+ *   `status` is upper-case (NEEDS-ACTION, IN-PROCESS, COMPLETED, CANCELLED);
+ *   `completed` is a Date when the app recorded one, or the item is at 100%
+ */
+function parseTodos(text) {
+  const problems = [];
+  const root = parseComponents(text, problems);
+  const todos = [];
+
+  for (const cal of root.children.filter(c => c.name === 'VCALENDAR')) {
+    const timezones = {};
+    for (const tz of cal.children.filter(c => c.name === 'VTIMEZONE')) {
+      const tzid = prop(tz, 'TZID')?.value;
+      if (tzid) timezones[tzid] = tz;
+    }
+
+    for (const vtodo of cal.children.filter(c => c.name === 'VTODO')) {
+      const at = name => {
+        const p = prop(vtodo, name);
+        if (!p) return null;
+        try {
+          return wallToDate(parseDateTime(p.value, p.params, timezones), timezones);
+        } catch (err) {
+          problems.push(`${prop(vtodo, 'UID')?.value || 'to-do'}: ${name} ignored (${err.message})`);
+          return null;
+        }
+      };
+      const percent = Number(prop(vtodo, 'PERCENT-COMPLETE')?.value || 0);
+      const completed = at('COMPLETED');
+      let status = (prop(vtodo, 'STATUS')?.value || 'NEEDS-ACTION').toUpperCase();
+      if (status !== 'CANCELLED' && (completed || percent >= 100)) status = 'COMPLETED';
+
+      todos.push({
+        uid: prop(vtodo, 'UID')?.value || null,
+        title: unescapeText(prop(vtodo, 'SUMMARY')?.value || '(no title)'),
+        status,
+        completed: status === 'COMPLETED' ? completed || at('LAST-MODIFIED') : null,
+        due: at('DUE'),
+        categories: props(vtodo, 'CATEGORIES').flatMap(p => unescapeText(p.value).split(',')).map(c => c.trim()).filter(Boolean)
+      });
+    }
+  }
+
+  return { todos, problems };
+}
+
+/**
+ * Expand event definitions into concrete occurrences overlapping [from, to).
+ *
+ * @param {Array<Object>} definitions - From parseICS()
+ * @param {Object} window
+ * @param {Date} window.from
+ * @param {Date} window.to
+ * @returns {Array<Object>} - Typed events, sorted by start
+ */
+function expandEvents(definitions, { from, to }) {
+  const overrides = new Map(); // "uid|original start ms" → override definition
+  for (const def of definitions.filter(d => d.recurrenceId)) {
+    overrides.set(`${def.uid}|${def.recurrenceId.getTime()}`, def);
+  }
+
+  const occurrences = [];
+  for (const def of definitions) {
+    if (def.recurrenceId) continue;
+
+    const starts = def.rrule || def.rdates.length > 0
+      ? occurrenceStarts(def, to)
+      : [def.start];
+
+    for (const start of starts) {
+      const override = overrides.get(`${def.uid}|${start.getTime()}`);
+      const source = override || def;
+      if (source.status === 'CANCELLED') continue;
+
+      const begin = override ? override.start : start;
+      const end = new Date(begin.getTime() + (override ? override.durationMs : def.durationMs));
+      if (end <= from || begin >= to) continue;
+      occurrences.push(instance(source, begin, end, starts.length > 1));
+    }
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Events from every configured calendar (profile.calendars) in a window.
+ * Files are re-parsed only when they change.
+ *
+ * @param {Object} [window]
+ * @param {Date} [window.from] - Default: start of today
+ * @param {Date} [window.to] - Default: from + 1 day
+ * @param {Array<string>} [window.files] - Override the configured files/directories
+ * @returns {{events: Array<Object>, problems: Array<string>, sources: Array<string>}}
+ */
+function loadCalendarEvents(window = {}) {
+  const from = window.from || startOfDay(new Date());
+  const to = window.to || new Date(from.getTime() + DAY_MS);
+  const sources = calendarFiles(window.files || getProfile().calendars);
+
+  const definitions = [];
+  const problems = [];
+  for (const file of sources) {
+    const parsed = readCalendarFile(file);
+    definitions.push(...parsed.events);
+    problems.push(...parsed.problems);
+  }
+
+  return { events: expandEvents(definitions, { from, to }), problems, sources };
+}
+
+/**
+ * One local day of events (default: today).
+ */
+function getDayEvents(date = new Date()) {
+  const from = startOfDay(date);
+  return loadCalendarEvents({ from, to: new Date(from.getTime() + DAY_MS) }).events;
+}
+
+/**
+ * Gaps between busy events inside [from, to) of at least `minMinutes`.
+ *
+ * @param {Array<Object>} events
+ * @param {Object} window
+ * @param {Date} window.from
+ * @param {Date} window.to
+ * @param {number} [window.minMinutes=15]
+ * @returns {Array<{start: Date, end: Date, minutes: number, after: Object|null}>}
+ *   `after` is the busy event the gap follows, if any
+ */
+function findFreeWindows(events, { from, to, minMinutes = 15 }) {
+  const busy = events
+    .filter(e => e.busy && !e.allDay && e.end > from && e.start < to)
+    .sort((a, b) => a.start - b.start);
+
+  const windows = [];
+  let cursor = from;
+  let previous = null;
+
+  for (const event of busy) {
+    if (event.start > cursor) pushWindow(windows, cursor, event.start, previous, minMinutes);
+    if (event.end > cursor) {
+      cursor = event.end;
+      previous = event;
+    }
+  }
+  if (to > cursor) pushWindow(windows, cursor, to, previous, minMinutes);
+
+  return windows;
+}
+
+/**
+ * A wall-clock time in an IANA zone as a Date. No zone: process-local time.
+ *
+ * @param {{y, mo, d, h?, mi?, s?}} wall - Month is 1-based
+ * @param {string} [timeZone]
+ */
+function zonedDate(wall, timeZone) {
+  const { y, mo, d, h = 0, mi = 0, s = 0 } = wall;
+  return wallToDate({ y, mo, d, h, mi, s, tz: timeZone || 'floating' });
+}
+
+/**
+ * The wall-clock parts of a Date in an IANA zone (default: process-local).
+ *
+ * @returns {{y, mo, d, h, mi, s, weekday}} - Month 1-based, weekday 0 = Sunday
+ */
+function wallClock(date, timeZone) {
+  const iana = timeZone && ianaZone(timeZone);
+  const shifted = iana ? new Date(date.getTime() + zoneOffset(date.getTime(), iana)) : null;
+  const get = (utc, local) => (shifted ? shifted[utc]() : date[local]());
+  return {
+    y: get('getUTCFullYear', 'getFullYear'),
+    mo: get('getUTCMonth', 'getMonth') + 1,
+    d: get('getUTCDate', 'getDate'),
+    h: get('getUTCHours', 'getHours'),
+    mi: get('getUTCMinutes', 'getMinutes'),
+    s: get('getUTCSeconds', 'getSeconds'),
+    weekday: get('getUTCDay', 'getDay')
+  };
+}
+
+// Helpers
+function parseComponents(text, problems) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const root = { name: 'ROOT', props: [], children: [] };
+  const stack = [root];
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const parsed = parseLine(line);
+    if (!parsed) {
+      problems.push(`line ${i + 1}: can't parse "${line.slice(0, 40)}"`);
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (parsed.name === 'BEGIN') {
+      const component = { name: parsed.value.toUpperCase(), props: [], children: [] };
+      current.children.push(component);
+      stack.push(component);
+    } else if (parsed.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.props.push(parsed);
+    }
+  });
+
+  return root;
+}
+
+function parseLine(line) {
+  // NAME;PARAM=a;PARAM="b:c":value — the first colon outside quotes splits
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function prop(component, name) {
+  return component.props.find(p => p.name === name);
+}
+
+function props(component, name) {
+  return component.props.filter(p => p.name === name);
+}
+
+function unescapeText(value = '') {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function toEventDefinition(vevent, timezones, source) {
+  const dtstart = prop(vevent, 'DTSTART');
+  if (!dtstart) throw new Error('no DTSTART');
+
+  const startWall = parseDateTime(dtstart.value, dtstart.params, timezones);
+  const start = wallToDate(startWall, timezones);
+
+  let durationMs;
+  const dtend = prop(vevent, 'DTEND');
+  const duration = prop(vevent, 'DURATION');
+  if (dtend) {
+    durationMs = wallToDate(parseDateTime(dtend.value, dtend.params, timezones), timezones) - start;
+  } else if (duration) {
+    durationMs = parseDuration(duration.value);
+  } else {
+    durationMs = startWall.allDay ? DAY_MS : 0;
+  }
+  if (!(durationMs >= 0)) throw new Error('ends before it starts');
+
+  const rruleProp = prop(vevent, 'RRULE');
+  const recurrenceId = prop(vevent, 'RECURRENCE-ID');
+
+  return {
+    uid: prop(vevent, 'UID')?.value || `${source || 'calendar'}:${dtstart.value}:${prop(vevent, 'SUMMARY')?.value || ''}`,
+    title: unescapeText(prop(vevent, 'SUMMARY')?.value || '(no title)'),
+    location: unescapeText(prop(vevent, 'LOCATION')?.value || '') || null,
+    description: unescapeText(prop(vevent, 'DESCRIPTION')?.value || '') || null,
+    categories: props(vevent, 'CATEGORIES').flatMap(p => unescapeText(p.value).split(',')).map(c => c.trim()).filter(Boolean),
+    attendees: props(vevent, 'ATTENDEE').map(p => p.params.CN || p.value.replace(/^mailto:/i, '')),
+    status: (prop(vevent, 'STATUS')?.value || 'CONFIRMED').toUpperCase(),
+    busy: (prop(vevent, 'TRANSP')?.value || 'OPAQUE').toUpperCase() !== 'TRANSPARENT',
+    startWall,
+    start,
+    durationMs,
+    allDay: startWall.allDay,
+    rrule: rruleProp ? parseRRule(rruleProp.value, timezones) : null,
+    rdates: props(vevent, 'RDATE').flatMap(p => dateList(p, timezones)),
+    exdates: new Set(props(vevent, 'EXDATE').flatMap(p => dateList(p, timezones)).map(d => d.getTime())),
+    recurrenceId: recurrenceId ? wallToDate(parseDateTime(recurrenceId.value, recurrenceId.params, timezones), timezones) : null,
+    source
+  };
+}
+
+function dateList(p, timezones) {
+  return p.value.split(',').filter(Boolean).map(v => wallToDate(parseDateTime(v, p.params, timezones), timezones));
+}
+
+function instance(def, start, end, recurring) {
+  return {
+    uid: def.uid,
+    title: def.title,
+    start,
+    end,
+    duration: Math.round((end - start) / 60000),
+    allDay: def.allDay,
+    busy: def.busy,
+    location: def.location,
+    description: def.description,
+    attendees: def.attendees,
+    categories: def.categories,
+    recurring,
+    source: def.source
+  };
+}
+
+/**
+ * Date/time value → wall-clock parts plus the zone they're in:
+ * tz is "UTC", "floating" (local time) or a TZID.
+ */
+function parseDateTime(value, params = {}, timezones = {}) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) throw new Error(`bad date "${value}"`);
+
+  const [, y, mo, d, h, mi, s, z] = match;
+  const allDay = params.VALUE === 'DATE' || h === undefined;
+  let tz = z ? 'UTC' : params.TZID || 'floating';
+  if (allDay) tz = 'floating';
+
+  return {
+    y: Number(y), mo: Number(mo), d: Number(d),
+    h: allDay ? 0 : Number(h), mi: allDay ? 0 : Number(mi), s: allDay ? 0 : Number(s || 0),
+    tz,
+    allDay
+  };
+}
+
+function wallToDate(wall, timezones = {}) {
+  const { y, mo, d, h, mi, s, tz } = wall;
+  if (tz === 'UTC') return new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+  if (tz === 'floating') return new Date(y, mo - 1, d, h, mi, s);
+
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi, s);
+  const iana = ianaZone(tz);
+  if (iana) {
+    // Two passes settle the offset on either side of a DST change
+    let guess = asUtc - zoneOffset(asUtc, iana);
+    guess = asUtc - zoneOffset(guess, iana);
+    return new Date(guess);
+  }
+  if (timezones[tz]) {
+    return new Date(asUtc - vtimezoneOffset(timezones[tz], wall));
+  }
+  // Unknown zone and no VTIMEZONE: treat as local rather than drop the event
+  return new Date(y, mo - 1, d, h, mi, s);
+}
+
+function ianaZone(tzid) {
+  for (const candidate of [tzid, tzid.split('/').slice(-2).join('/')]) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+      return candidate;
+    } catch {
+      // Not an IANA name — try the next form
+    }
+  }
+  return null;
+}
+
+const zoneFormatters = new Map();
+
+function zoneOffset(utcMs, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(
+    zoneFormatters.get(timeZone).formatToParts(new Date(utcMs)).map(p => [p.type, Number(p.value)])
+  );
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallMs - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Offset (ms) in force at a wall time, from a VTIMEZONE's STANDARD/DAYLIGHT
+ * observances: the latest onset at or before that wall time wins.
+ */
+function vtimezoneOffset(vtimezone, wall) {
+  const target = Date.UTC(wall.y, wall.mo - 1, wall.d, wall.h, wall.mi, wall.s);
+  let best = null;
+
+  for (const obs of vtimezone.children.filter(c => c.name === 'STANDARD' || c.name === 'DAYLIGHT')) {
+    const offsetTo = parseOffset(prop(obs, 'TZOFFSETTO')?.value);
+    const dtstart = prop(obs, 'DTSTART');
+    if (offsetTo === null || !dtstart) continue;
+
+    const onsetWall = parseDateTime(dtstart.value);
+    const rrule = prop(obs, 'RRULE');
+    const onsets = rrule
+      ? expandWall(onsetWall, parseRRule(rrule.value), { untilMs: target, limitYear: wall.y })
+      : [onsetWall];
+
+    for (const onset of onsets) {
+      const onsetMs = Date.UTC(onset.y, onset.mo - 1, onset.d, onset.h, onset.mi, onset.s);
+      if (onsetMs <= target && (!best || onsetMs > best.onsetMs)) best = { onsetMs, offsetTo };
+    }
+  }
+
+  return best ? best.offsetTo : 0;
+}
+
+function parseOffset(value) {
+  const match = value?.match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+  if (!match) return null;
+  const ms = (Number(match[2]) * 3600 + Number(match[3]) * 60 + Number(match[4] || 0)) * 1000;
+  return match[1] === '-' ? -ms : ms;
+}
+
+function parseDuration(value) {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) throw new Error(`bad duration "${value}"`);
+  const [, sign, w, d, h, m, s] = match.map(v => v ?? 0);
+  const ms = ((((Number(w) * 7 + Number(d)) * 24 + Number(h)) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function parseRRule(value, timezones = {}) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) rule[key.toUpperCase()] = val;
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) {
+    throw new Error(`unsupported FREQ "${rule.FREQ}"`);
+  }
+
+  const list = key => (rule[key] ? rule[key].split(',').map(Number) : null);
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, Number(rule.INTERVAL || 1)),
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL ? wallToDate(parseDateTime(rule.UNTIL), timezones) : null,
+    byDay: rule.BYDAY
+      ? rule.BYDAY.split(',').map(d => {
+          const m = d.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!m) throw new Error(`bad BYDAY "${d}"`);
+          return { n: m[1] ? Number(m[1]) : null, day: WEEKDAYS.indexOf(m[2]) };
+        })
+      : null,
+    byMonthDay: list('BYMONTHDAY'),
+    byMonth: list('BYMONTH'),
+    bySetPos: list('BYSETPOS')
+  };
+}
+
+/**
+ * Occurrence start instants of a recurring definition, up to `to`.
+ */
+function occurrenceStarts(def, to) {
+  const walls = def.rrule
+    ? expandWall(def.startWall, def.rrule, {
+        untilMs: to.getTime(),
+        toDate: wall => wallToDate({ ...def.startWall, ...wall })
+      })
+    : [def.startWall];
+
+  const starts = walls.map(w => wallToDate({ ...def.startWall, ...w }));
+  for (const rdate of def.rdates) {
+    if (!starts.some(s => s.getTime() === rdate.getTime())) starts.push(rdate);
+  }
+
+  return starts
+    .filter(s => !def.exdates.has(s.getTime()))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Expand an RRULE on wall-clock dates. Stops at COUNT, UNTIL, the
+ * window end (untilMs, compared via toDate when given) or limitYear.
+ */
+function expandWall(startWall, rule, { untilMs, toDate, limitYear } = {}) {
+  const results = [];
+  const startDay = Date.UTC(startWall.y, startWall.mo - 1, startWall.d);
+  const time = { h: startWall.h, mi: startWall.mi, s: startWall.s };
+  const instant = wall => (toDate ? toDate(wall).getTime() : Date.UTC(wall.y, wall.mo - 1, wall.d, wall.h, wall.mi, wall.s));
+
+  for (let period = 0; period < MAX_OCCURRENCES; period++) {
+    const candidates = periodDays(startWall, rule, period)
+      .filter(day => day >= startDay)
+      .map(day => {
+        const date = new Date(day);
+        return { y: date.getUTCFullYear(), mo: date.getUTCMonth() + 1, d: date.getUTCDate(), ...time };
+      });
+
+    if (candidates.length === 0 && periodStart(startWall, rule, period) > (untilMs ?? Infinity) + 366 * DAY_MS) break;
+
+    for (const wall of candidates) {
+      const ms = instant(wall);
+      if (rule.until && ms > rule.until.getTime()) return results;
+      if (limitYear && wall.y > limitYear) return results;
+      if (untilMs !== undefined && ms > untilMs) return results;
+      results.push(wall);
+      if (rule.count && results.length >= rule.count) return results;
+      if (results.length >= MAX_OCCURRENCES) return results;
+    }
+  }
+
+  return results;
+}
+
+function periodStart(startWall, rule, period) {
+  const n = period * rule.interval;
+  switch (rule.freq) {
+    case 'DAILY': return Date.UTC(startWall.y, startWall.mo - 1, startWall.d + n);
+    case 'WEEKLY': return Date.UTC(startWall.y, startWall.mo - 1, startWall.d + n * 7);
+    case 'MONTHLY': return Date.UTC(startWall.y, startWall.mo - 1 + n, 1);
+    default: return Date.UTC(startWall.y + n, 0, 1);
+  }
+}
+
+/**
+ * Candidate days (UTC-midnight ms standing in for wall dates) in one period.
+ */
+function periodDays(startWall, rule, period) {
+  const n = period * rule.interval;
+  let days;
+
+  if (rule.freq === 'DAILY') {
+    days = [Date.UTC(startWall.y, startWall.mo - 1, startWall.d + n)];
+    days = days.filter(day => matchesFilters(day, rule));
+  } else if (rule.freq === 'WEEKLY') {
+    // Week starts Monday (WKST=MO, the RFC default)
+    const anchor = Date.UTC(startWall.y, startWall.mo - 1, startWall.d + n * 7);
+    const monday = anchor - ((new Date(anchor).getUTCDay() + 6) % 7) * DAY_MS;
+    const weekdays = rule.byDay ? rule.byDay.map(b => b.day) : [new Date(anchor).getUTCDay()];
+    days = weekdays.map(wd => monday + ((wd + 6) % 7) * DAY_MS).sort((a, b) => a - b);
+    if (rule.byMonth) days = days.filter(day => rule.byMonth.includes(new Date(day).getUTCMonth() + 1));
+  } else if (rule.freq === 'MONTHLY') {
+    const first = new Date(Date.UTC(startWall.y, startWall.mo - 1 + n, 1));
+    days = monthDays(first.getUTCFullYear(), first.getUTCMonth(), startWall, rule);
+    if (rule.byMonth) days = days.filter(day => rule.byMonth.includes(new Date(day).getUTCMonth() + 1));
+  } else {
+    const year = startWall.y + n;
+    const months = rule.byMonth ? rule.byMonth.map(m => m - 1) : [startWall.mo - 1];
+    days = months.flatMap(month => monthDays(year, month, startWall, rule));
+  }
+
+  days.sort((a, b) => a - b);
+  if (rule.bySetPos) {
+    days = rule.bySetPos
+      .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+      .filter(day => day !== undefined)
+      .sort((a, b) => a - b);
+  }
+  return days;
+}
+
+function monthDays(year, month, startWall, rule) {
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const dayOf = d => Date.UTC(year, month, d);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map(d => (d > 0 ? d : length + d + 1))
+      .filter(d => d >= 1 && d <= length)
+      .map(dayOf);
+    if (rule.byDay) days = days.filter(day => rule.byDay.some(b => b.day === new Date(day).getUTCDay()));
+  } else if (rule.byDay) {
+    days = [];
+    for (const { n, day } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= length; d++) {
+        if (new Date(dayOf(d)).getUTCDay() === day) matching.push(dayOf(d));
+      }
+      if (n === null) days.push(...matching);
+      else {
+        const pick = n > 0 ? matching[n - 1] : matching[matching.length + n];
+        if (pick !== undefined) days.push(pick);
+      }
+    }
+  } else {
+    // Same day of month as DTSTART; months without that day are skipped (RFC 5545)
+    days = startWall.d <= length ? [dayOf(startWall.d)] : [];
+  }
+
+  return days;
+}
+
+function matchesFilters(day, rule) {
+  const date = new Date(day);
+  if (rule.byMonth && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+  if (rule.byMonthDay) {
+    const length = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    const dom = date.getUTCDate();
+    if (!rule.byMonthDay.some(d => (d > 0 ? d : length + d + 1) === dom)) return false;
+  }
+  if (rule.byDay && !rule.byDay.some(b => b.day === date.getUTCDay())) return false;
+  return true;
+}
+
+function calendarFiles(entries = []) {
+  const files = [];
+  for (const entry of entries) {
+    if (!fs.existsSync(entry)) continue;
+    if (fs.statSync(entry).isDirectory()) {
+      for (const name of fs.readdirSync(entry).sort()) {
+        if (name.toLowerCase().endsWith('.ics')) files.push(path.join(entry, name));
+      }
+    } else {
+      files.push(entry);
+    }
+  }
+  return files;
+}
+
+function readCalendarFile(file) {
+  const mtime = fs.statSync(file).mtimeMs;
+  const cached = fileCache.get(file);
+  if (cached && cached.mtime === mtime) return cached.parsed;
+
+  const parsed = parseICS(fs.readFileSync(file, 'utf8'), { source: path.basename(file) });
+  fileCache.set(file, { mtime, parsed });
+  return parsed;
+}
+
+function pushWindow(windows, start, end, after, minMinutes) {
+  const minutes = Math.round((end - start) / 60000);
+  if (minutes >= minMinutes) windows.push({ start, end, minutes, after });
+}
+
+function startOfDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+module.exports = {
+  parseICS,
+  parseTodos,
+  expandEvents,
+  loadCalendarEvents,
+  getDayEvents,
+  findFreeWindows,
+  zonedDate,
+  wallClock
+};
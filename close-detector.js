@@ -0,0 +1,434 @@
+/**
+ * Close Detector
+ *
+ * Nobody calls closeLoop() by hand. This reads what the user says —
+ * "sent it to Elliott", "done with the invoice", "the booking's sorted" —
+ * and works out which open loop or commitment it finishes.
+ *
+ * Each completion is scored against every open loop (loop-hunter.js) and
+ * active commitment (commitment-tracker.js) on:
+ * - wording: how much of the item was said, and how much of what was said
+ *   is the item (text-match.js)
+ * - people: "to Elliott" against the commitment's recipient or the
+ *   names in the loop; naming someone else rules an item out
+ * - the verb: "sent" finishes "send the deck"; "done with", "sorted",
+ *   "took care of" finish anything
+ *
+ * Only the user's own actions count: "I sent…", "sent…", "just sent…".
+ * "Elliott sent me the invoice" is someone else finishing something.
+ *
+ * Confidence ≥ AUTO_APPLY closes the item straight away. Anything from
+ * PROPOSE up is kept as a proposal to accept or reject. "Sent it" (no
+ * object) is only ever proposed, and so is a match with a close runner-up.
+ * Every automatic or accepted closure goes in an undo log
+ * (STREAM "resolutions"); undoClosure() reopens the item.
+ */
+
+const { appendEvent, queryEvents, readJson, writeJson } = require('./local-store.js');
+const { createContext, appResult, getRecentMessages, splitBySpeaker } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
+const { textSimilarity, wordCoverage, mentionedPeople } = require('./text-match.js');
+const commitmentTracker = require('./commitment-tracker.js');
+const loopHunter = require('./loop-hunter.js');
+
+const GROUP_ID = groupFor('resolutions');
+const STREAM = 'resolutions';
+const STATE_FILE = 'close-detector-state';
+
+const AUTO_APPLY = 0.8;    // Close without asking
+const PROPOSE = 0.5;       // Ask
+const PRONOUN_CAP = 0.7;   // "Sent it" can't be sure what "it" is
+const RUNNER_UP_GAP = 0.1; // Two items this close: ask which
+const PROPOSAL_DAYS = 7;   // Unanswered proposals lapse
+const SCAN_PAGE = 100;     // Episodes per fetch; doubled until the last scan is reached
+const SCAN_MAX = 3200;     // Stop paging back here, however long it's been
+const WEIGHTS = { wording: 0.65, person: 0.2, verb: 0.15 };
+
+// Past tense as said → the verb a loop or commitment is written with
+const VERBS = {
+  'sent': 'send', 'emailed': 'email', 'mailed': 'mail', 'messaged': 'message', 'texted': 'text',
+  'called': 'call', 'rang': 'call', 'phoned': 'call', 'paid': 'pay', 'submitted': 'submit',
+  'booked': 'book', 'finished': 'finish', 'completed': 'complete', 'delivered': 'deliver',
+  'shipped': 'ship', 'posted': 'post', 'signed': 'sign', 'filed': 'file', 'wrote': 'write',
+  'drafted': 'draft', 'fixed': 'fix', 'reviewed': 'review', 'replied to': 'reply',
+  'responded to': 'respond', 'followed up with': 'follow up', 'followed up on': 'follow up',
+  'spoke to': 'speak', 'spoke with': 'speak', 'talked to': 'talk', 'met with': 'meet',
+  'returned': 'return', 'renewed': 'renew', 'scheduled': 'schedule', 'ordered': 'order',
+  'bought': 'buy', 'uploaded': 'upload', 'shared': 'share', 'merged': 'merge',
+  'published': 'publish', 'cancelled': 'cancel', 'checked in with': 'check in', 'told': 'tell',
+  'gave': 'give', 'made': 'make', 'got back to': 'get back'
+};
+
+// Finish anything: "done with the invoice", "the booking's sorted"
+const GENERIC_VERBS = new Set([
+  'done', 'finish', 'complete', 'done with', 'finished with', 'dealt with', 'took care of',
+  'wrapped up', 'ticked off', 'crossed off'
+]);
+
+const NOT_DONE = /(n't|'ll)\b|\b(not|never|yet to|going to|gonna|will|need to|needs to|have to|has to|should|must|plan to|want to|about to|try(ing)? to|supposed to|remind me|tomorrow|later)\b/i;
+const PRONOUNS = /^(it|that|this|them|those|these|everything|all of it)\b/i;
+// What may come before the verb: nothing, or the user ("I've just", "ok so we finally")
+const OWN_SUBJECT = /^(?:(?:ok(?:ay)?|so|yes|yep|right|update|good news)[,:!-]*\s+)*(?:(?:i|we)(?:'ve| have|'d| had|'m| am|'re| are)?\s+)?(?:(?:just|finally|already|also|now|actually|eventually)\s+)*$/i;
+
+/**
+ * Completion statements in a message.
+ *
+ * @param {string} message
+ * @returns {Array<{clause, verb, object, generic, pronoun, people: Set<string>}>}
+ */
+function detectCompletions(message) {
+  const names = getProfile().relationships.map(r => r.name);
+  const verbs = Object.keys(VERBS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const patterns = [
+    { re: /\b(done with|finished with|dealt with|took care of|wrapped up|ticked off|crossed off)\s+(.+)/i, verb: m => m[1].toLowerCase(), object: m => m[2], subject: true },
+    { re: new RegExp(`\\b(${verbs})\\s+(.+)`, 'i'), verb: m => VERBS[m[1].toLowerCase()], object: m => m[2], subject: true },
+    { re: /^(.+?)\s*(?:is|are|'s|has been|have been)\s+(done|sorted|handled|dealt with|finished|completed|sent|paid|booked|submitted|taken care of)\b/i,
+      verb: m => VERBS[m[2].toLowerCase()] || 'done', object: m => m[1] }
+  ];
+
+  const completions = [];
+  for (const clause of splitClauses(message)) {
+    if (NOT_DONE.test(clause) || clause.endsWith('?')) continue;
+
+    for (const pattern of patterns) {
+      const match = clause.match(pattern.re);
+      if (!match) continue;
+      // Someone else did it ("Elliott sent…", "she called…"): not a completion.
+      // Only the words since the last comma count ("Thanks Elliott, sent it").
+      if (pattern.subject && !OWN_SUBJECT.test(clause.slice(0, match.index).split(/[,:;—–]\s*/).pop())) break;
+      const verb = pattern.verb(match);
+      const object = trimObject(pattern.object(match));
+      completions.push({
+        clause,
+        verb,
+        object,
+        generic: GENERIC_VERBS.has(verb),
+        pronoun: !object || PRONOUNS.test(object),
+        people: mentionedPeople(clause, names)
+      });
+      break;
+    }
+  }
+  return completions;
+}
+
+/**
+ * Score one completion against open loops and active commitments.
+ *
+ * @param {Object} completion - From detectCompletions()
+ * @param {{commitments: Array<Object>, loops: Array<Object>}} items
+ * @returns {Array<{kind, item, title, confidence, wording, person, verb}>} - Best first, above 0
+ */
+function scoreCompletion(completion, { commitments, loops }) {
+  const names = getProfile().relationships.map(r => r.name);
+  const candidates = [
+    ...commitments.map(c => ({
+      kind: 'commitment',
+      item: c,
+      title: c.what,
+      // to_whom is "someone" (or a stray word) when no name was caught
+      people: new Set([...mentionedPeople(c.what, names), ...(/^[A-Z]/.test(c.to_whom || '') ? [c.to_whom.toLowerCase()] : [])])
+    })),
+    ...loops.map(l => ({
+      kind: 'loop',
+      item: l,
+      title: l.topic,
+      people: mentionedPeople(`${l.topic} ${l.context || ''}`, names)
+    }))
+  ];
+  const said = `${completion.verb} ${completion.object}`;
+
+  const scored = candidates.map(candidate => {
+    const shared = [...completion.people].filter(p => candidate.people.has(p)).length;
+    if (completion.people.size > 0 && candidate.people.size > 0 && shared === 0) {
+      return { ...candidate, confidence: 0 };
+    }
+    const person = shared > 0 ? 1 : 0;
+    const verb = completion.generic || saysVerb(candidate, completion.verb) ? 1 : 0;
+
+    if (completion.pronoun) {
+      // Nothing to compare but who and what kind of action
+      const confidence = Math.min(PRONOUN_CAP, 0.5 * person + 0.2 * verb);
+      return { ...candidate, confidence: round(confidence), wording: 0, person, verb };
+    }
+    const wording = Math.max(
+      textSimilarity(said, candidate.title),
+      (wordCoverage(candidate.title, said) + wordCoverage(completion.object, candidate.title)) / 2
+    );
+    const confidence = WEIGHTS.wording * wording + WEIGHTS.person * person + WEIGHTS.verb * verb;
+    return { ...candidate, confidence: round(confidence), wording: round(wording), person, verb };
+  });
+
+  return scored
+    .filter(s => s.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence)
+    .map(({ people, ...s }) => s);
+}
+
+/**
+ * Find completions in a message and close (or propose closing) what they finish.
+ *
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {boolean} [options.autoApply=true] - Close high-confidence matches straight away
+ * @param {string} [options.timestamp] - When it was said (default: now)
+ * @returns {Promise<{applied: Array<Object>, proposed: Array<Object>}>} - Log records
+ */
+async function resolveFromMessage(message, options = {}) {
+  const { autoApply = true, timestamp } = options;
+  const applied = [];
+  const proposed = [];
+
+  for (const completion of detectCompletions(message)) {
+    const items = {
+      commitments: commitmentTracker.getOpenCommitments(),
+      loops: loopHunter.getOpenLoops()
+    };
+    const [best, runnerUp] = scoreCompletion(completion, items);
+    if (!best || best.confidence < PROPOSE) continue;
+
+    const clear = !completion.pronoun && (!runnerUp || best.confidence - runnerUp.confidence >= RUNNER_UP_GAP);
+    const evidence = {
+      kind: best.kind,
+      item_id: best.item.id,
+      title: best.title,
+      confidence: best.confidence,
+      evidence: completion.clause.slice(0, 200),
+      said_at: timestamp || new Date().toISOString()
+    };
+
+    if (autoApply && clear && best.confidence >= AUTO_APPLY) {
+      applied.push(await applyClosure(evidence));
+    } else if (!pendingFor(best.item.id)) {
+      const alternatives = runnerUp && runnerUp.confidence >= PROPOSE ? [{ kind: runnerUp.kind, item_id: runnerUp.item.id, title: runnerUp.title }] : [];
+      proposed.push(appendEvent(STREAM, 'proposal', { ...evidence, alternatives }, { group: GROUP_ID }));
+    }
+  }
+
+  return { applied, proposed };
+}
+
+/**
+ * Proposals nobody has accepted or rejected yet, whose item is still open.
+ */
+function getPendingProposals() {
+  const records = queryEvents(STREAM, { group: GROUP_ID });
+  const answered = new Set(records.filter(r => r.proposal_id).map(r => r.proposal_id));
+  const cutoff = Date.now() - PROPOSAL_DAYS * 24 * 60 * 60 * 1000;
+  const open = openItemIds();
+
+  return records.filter(r =>
+    r.type === 'proposal' && !answered.has(r.id) && new Date(r.ts).getTime() >= cutoff && open.has(r.item_id)
+  );
+}
+
+/**
+ * Close the item a proposal points at.
+ *
+ * @param {string} id - Proposal id or unique prefix
+ * @returns {Promise<Object>} - The closure log record
+ * @throws {Error} Unknown proposal, or the item isn't open any more
+ */
+async function acceptProposal(id) {
+  const proposal = findRecord(getPendingProposals(), id, 'pending proposal');
+  return applyClosure({ ...pick(proposal), proposal_id: proposal.id });
+}
+
+/**
+ * Dismiss a proposal; the same item can be proposed again by a later message.
+ *
+ * @param {string} id - Proposal id or unique prefix
+ * @throws {Error} Unknown proposal
+ */
+function rejectProposal(id) {
+  const proposal = findRecord(getPendingProposals(), id, 'pending proposal');
+  return appendEvent(STREAM, 'rejected', { proposal_id: proposal.id, item_id: proposal.item_id, title: proposal.title }, { group: GROUP_ID });
+}
+
+/**
+ * Closures made here, newest first, with whether each was undone.
+ *
+ * @param {Object} [filter]
+ * @param {Date|string} [filter.since]
+ * @returns {Array<Object>} - 'closure' records plus {undone: boolean}
+ */
+function getClosureLog(filter = {}) {
+  const records = queryEvents(STREAM, { group: GROUP_ID, since: filter.since });
+  const undone = new Set(queryEvents(STREAM, { type: 'undone', group: GROUP_ID }).map(r => r.closure_id));
+  return records
+    .filter(r => r.type === 'closure')
+    .map(r => ({ ...r, undone: undone.has(r.id) }))
+    .reverse();
+}
+
+/**
+ * Reopen whatever a closure closed, in the state it was in before.
+ *
+ * @param {string} id - Closure id or unique prefix (from getClosureLog)
+ * @returns {Promise<Object>} - The 'undone' record
+ * @throws {Error} Unknown or already undone closure, or the item can't be reopened
+ */
+async function undoClosure(id) {
+  const closure = findRecord(getClosureLog().filter(c => !c.undone), id, 'closure');
+  const note = `Undo: "${closure.evidence}" wasn't about this`;
+
+  if (closure.kind === 'commitment') {
+    // Back to where it was: an in-progress or renegotiated commitment stays so
+    await commitmentTracker.reopenCommitment(closure.item_id, note, closure.from || 'open');
+  } else if (!(await loopHunter.reopenLoop(closure.item_id, note))) {
+    throw new Error(`Loop "${closure.title}" can't be reopened`);
+  }
+  return appendEvent(STREAM, 'undone', { closure_id: closure.id, kind: closure.kind, item_id: closure.item_id, title: closure.title }, { group: GROUP_ID });
+}
+
+/**
+ * sa app entry point (see app-contract.js): reads the user's messages
+ * since the last scan (or the context window, the first time) and
+ * resolves what they finished.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const state = readJson(STATE_FILE, {});
+  const scannedUntil = state[ctx.group] ? new Date(state[ctx.group]) : null;
+  const messages = (await messagesSince(ctx, scannedUntil))
+    .filter(m => !scannedUntil || new Date(m.timestamp) > scannedUntil);
+
+  const applied = [];
+  const proposed = [];
+  for (const message of messages) {
+    const result = await resolveFromMessage(message.content, { timestamp: message.timestamp });
+    applied.push(...result.applied);
+    proposed.push(...result.proposed);
+  }
+  if (messages.length > 0) {
+    writeJson(STATE_FILE, { ...state, [ctx.group]: messages[messages.length - 1].timestamp });
+  }
+
+  const pending = getPendingProposals();
+  const findings = [
+    ...applied.map(c => ({
+      type: 'closed',
+      severity: 'info',
+      message: `Closed ${c.kind} "${c.title}" (${Math.round(c.confidence * 100)}%) — "${c.evidence.slice(0, 60)}"`,
+      data: { id: c.id, item_id: c.item_id, undo: `sa closes undo ${c.id.slice(0, 8)}` }
+    })),
+    ...pending.map(p => ({
+      type: 'proposal',
+      severity: 'low',
+      message: `Done? ${p.kind} "${p.title}" (${Math.round(p.confidence * 100)}%) — "${p.evidence.slice(0, 60)}"`,
+      data: { id: p.id, item_id: p.item_id, accept: `sa closes accept ${p.id.slice(0, 8)}` }
+    }))
+  ];
+
+  return appResult({
+    summary: applied.length + pending.length > 0
+      ? `${applied.length} closed from conversation, ${pending.length} waiting for a yes/no`
+      : `Nothing finished in ${messages.length} new message${messages.length === 1 ? '' : 's'}`,
+    findings,
+    alerts: proposed.length > 0
+      ? [{ type: 'closes', text: `Sounds like you finished ${proposed.length === 1 ? `"${proposed[0].title}"` : `${proposed.length} things`} — want me to close ${proposed.length === 1 ? 'it' : 'them'}?` }]
+      : [],
+    metrics: {
+      scanned: messages.length,
+      closed: applied.length,
+      proposed: proposed.length,
+      pending: pending.length
+    }
+  });
+}
+
+// Helpers
+
+// Episodes only come newest-first by count, so fetch more until the
+// oldest one reaches the last scan (or the window's start)
+async function messagesSince(ctx, scannedUntil) {
+  const scanCtx = scannedUntil ? createContext({ ...ctx, since: scannedUntil }) : ctx;
+  let messages = [];
+  for (let limit = SCAN_PAGE; limit <= SCAN_MAX; limit *= 2) {
+    messages = await getRecentMessages(scanCtx, { limit });
+    // Fewer than asked for: it went past the start, so nothing is missing
+    if (messages.length < limit) break;
+  }
+  return splitBySpeaker(messages, scanCtx).user;
+}
+
+async function applyClosure(evidence) {
+  const note = `Closed from conversation: "${evidence.evidence}"`;
+  let from;
+  if (evidence.kind === 'commitment') {
+    const commitment = commitmentTracker.getCommitment(evidence.item_id);
+    from = commitment && commitment.state;
+    await commitmentTracker.transitionCommitment(evidence.item_id, 'done', { note });
+  } else {
+    const result = await loopHunter.closeLoop(evidence.item_id, note);
+    if (!result.closed) throw new Error(`Loop "${evidence.title}" isn't open`);
+    from = 'open';
+  }
+  return appendEvent(STREAM, 'closure', { ...evidence, from }, { group: GROUP_ID });
+}
+
+function pendingFor(itemId) {
+  return getPendingProposals().some(p => p.item_id === itemId);
+}
+
+function openItemIds() {
+  return new Set([
+    ...commitmentTracker.getOpenCommitments().map(c => c.id),
+    ...loopHunter.getOpenLoops().map(l => l.id)
+  ]);
+}
+
+function findRecord(records, id, label) {
+  const matches = records.filter(r => r.id === id || r.id.startsWith(id));
+  if (matches.length > 1) throw new Error(`"${id}" matches ${matches.length} of them — use more of the id`);
+  if (matches.length === 0) throw new Error(`No ${label} with id "${id}"`);
+  return matches[0];
+}
+
+function pick({ kind, item_id, title, confidence, evidence, said_at }) {
+  return { kind, item_id, title, confidence, evidence, said_at };
+}
+
+function splitClauses(message) {
+  return String(message || '')
+    .split(/(?<=[.!?;])\s+|\n+|,?\s+(?:and|but|also|then)\s+(?=(?:i|i've|we|we've|just|finally|also|already)\b)/i)
+    .map(c => c.trim())
+    .filter(Boolean);
+}
+
+function trimObject(text) {
+  return String(text)
+    .replace(/[.!;]+$/, '')
+    .replace(/^(?:me|myself|us)\b/i, '')
+    .replace(/\b(just now|this morning|this afternoon|earlier|yesterday|today|finally|already|at last)\b/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function saysVerb(candidate, verb) {
+  // Commitment "what" drops the verb ("the deck"), so the original message counts too
+  const text = `${candidate.title} ${candidate.item.context || ''}`;
+  return new RegExp(`\\b${escapeRegExp(verb)}\\b`, 'i').test(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  run,
+  detectCompletions,
+  scoreCompletion,
+  resolveFromMessage,
+  getPendingProposals,
+  acceptProposal,
+  rejectProposal,
+  getClosureLog,
+  undoClosure,
+  AUTO_APPLY,
+  PROPOSE
+};
@@ -19,11 +19,30 @@
  *   REFLECT  — stepping back, asking why, philosophical
  *   TRIAGE   — firefighting, reactive, stressed
  *   CONNECT  — relationship building, warmth, humour, personal
+ * 
+ * A single message is a noisy reading, so the app scores a window of
+ * recent turns per speaker (analyzeConversationWindow) and flags when
+ * the agent is stuck in one mode while the user has moved to another.
  */
 
 const { search, add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { generateAlert } = require('./alert-generator.js');
+const { createContext, appResult, getRecentMessages, splitBySpeaker } = require('./app-contract.js');
+const { groupFor } = require('./profile.js');
+const { transitionInsight } = require('./mode-timeline.js');
+const { EVENT_LABELS } = require('./session-events.js');
+
+const GROUP_ID = groupFor('cognitive-mode');
+const STREAM = 'cognitive';
 
-const GROUP_ID = 'tom-kit-cognitive-mode';
+// Conversation windows (analyzeConversationWindow)
+const WINDOW_EPISODES = 60;        // Episodes fetched, both speakers together
+const WINDOW_TURNS = 12;           // Most recent turns scored per speaker
+const RECENCY_HALF_LIFE = 4;       // Turns back until a turn counts half
+const MIN_WINDOW_TURNS = 3;        // Fewer and there's no window to speak of
+const MISMATCH_MIN_CONFIDENCE = 0.1;
+const TURN_LOG_SLACK_MS = 60 * 1000; // processMessage() logs a turn a moment after it's said
 
 const MODE_SIGNALS = {
   flow: {
@@ -89,6 +108,25 @@ const MODE_SIGNALS = {
   }
 };
 
+/**
+ * Pairs of (user mode → agent mode) where the agent is working against
+ * where the user is. Same-mode pairs and the pairs that work fine
+ * together (flow with reflect, exec with triage) aren't listed.
+ */
+const MODE_MISMATCHES = {
+  'reflect→exec': (u, a) => `${u} is stepping back and asking why; ${a} is still reporting tasks`,
+  'reflect→triage': (u, a) => `${u} is reflecting; ${a} is still firefighting`,
+  'flow→exec': (u, a) => `${u} is exploring ideas; ${a} is answering with checklists`,
+  'flow→triage': (u, a) => `${u} is building; ${a} is treating it like an incident`,
+  'triage→connect': (u, a) => `${u} is firefighting; ${a} is making small talk`,
+  'triage→flow': (u, a) => `${u} needs a fix; ${a} is brainstorming`,
+  'triage→reflect': (u, a) => `${u} needs a fix; ${a} is philosophising`,
+  'connect→exec': (u, a) => `${u} is just talking; ${a} is all business`,
+  'connect→triage': (u, a) => `${u} is just talking; ${a} is in firefighting mode`,
+  'exec→flow': (u, a) => `${u} wants to ship; ${a} keeps opening new ideas`,
+  'exec→reflect': (u, a) => `${u} wants to ship; ${a} keeps stepping back`
+};
+
 /**
  * Analyze a message (or set of messages) for cognitive mode.
  * 
@@ -194,6 +232,114 @@ function analyzeCognitiveMode(message, context = []) {
   };
 }
 
+/**
+ * Mode over a window of turns from one speaker, oldest first.
+ *
+ * Every turn is scored on its own (with the turns before it as context)
+ * and its scores turned into shares, so one long message can't outvote
+ * the rest. Shares are weighted by recency: a turn RECENCY_HALF_LIFE turns
+ * back counts half as much as the latest.
+ *
+ * @param {Array<string>} texts
+ * @returns {Object} - analyzeCognitiveMode() shape plus {turns, latest,
+ *   readings: per-turn {mode, confidence}}
+ */
+function analyzeModeWindow(texts) {
+  const turns = (texts || []).filter(t => t && t.trim()).slice(-WINDOW_TURNS);
+  if (turns.length === 0) return { ...analyzeCognitiveMode(''), turns: 0, latest: null, readings: [] };
+
+  const scores = { flow: 0, exec: 0, reflect: 0, triage: 0, connect: 0 };
+  let latest = null;
+  const readings = turns.map((text, i) => {
+    const turn = analyzeCognitiveMode(text, turns.slice(Math.max(0, i - 5), i));
+    const reading = { mode: turn.mode, confidence: turn.confidence };
+    const total = Object.values(turn.scores).reduce((a, b) => a + b, 0);
+    if (total === 0) return reading;
+    const weight = Math.pow(0.5, (turns.length - 1 - i) / RECENCY_HALF_LIFE);
+    for (const [mode, score] of Object.entries(turn.scores)) {
+      scores[mode] += weight * score / total;
+    }
+    latest = turn.mode;
+    return reading;
+  });
+
+  const sorted = Object.entries(scores).sort(([,a], [,b]) => b - a);
+  const [topMode, topScore] = sorted[0];
+  const [secondMode, secondScore] = sorted[1];
+  const totalScore = Object.values(scores).reduce((a, b) => a + b, 0);
+  const confidence = totalScore > 0 ? (topScore - secondScore) / totalScore : 0;
+  const isBlend = totalScore > 0 && confidence < 0.15;
+
+  return {
+    mode: topMode,
+    confidence: Math.round(confidence * 100) / 100,
+    scores: Object.fromEntries(Object.entries(scores).map(([mode, score]) => [mode, Math.round(score * 100) / 100])),
+    blend: isBlend ? `${topMode}+${secondMode}` : null,
+    summary: generateSummary(topMode, isBlend ? secondMode : null, confidence),
+    turns: turns.length,
+    latest,
+    readings
+  };
+}
+
+/**
+ * Both speakers' modes over the recent conversation, side by side.
+ * Turns come from one fetch of the context group's Graphiti episodes,
+ * split by speaker.
+ *
+ * @param {Object} context - Run context (see app-contract.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.log=false] - Log each scored turn for the timeline (logTurnModes)
+ * @param {Object} [options.event] - Session event to tag the logged turns with
+ * @returns {Promise<{user: Object|null, agent: Object|null, mismatch: Object|null, logged: number}>}
+ */
+async function analyzeConversationWindow(context, options = {}) {
+  const ctx = createContext(context);
+  const window = { logged: 0 };
+  const recent = (await getRecentMessages(ctx, { limit: WINDOW_EPISODES }))
+    .filter(m => m.content && m.content.trim());
+  const turns = splitBySpeaker(recent, ctx);
+  for (const speaker of ['user', 'agent']) {
+    const messages = turns[speaker].slice(-WINDOW_TURNS);
+    window[speaker] = messages.length > 0 ? analyzeModeWindow(messages.map(m => m.content)) : null;
+    if (options.log && window[speaker]) {
+      window.logged += await logTurnModes(messages, window[speaker].readings, speaker, { event: options.event });
+    }
+  }
+  window.mismatch = detectModeMismatch(window.user, window.agent, { user: ctx.user, agent: ctx.agent });
+  return window;
+}
+
+/**
+ * A mismatch needs both windows to be clear (enough turns, one mode
+ * standing out, no blend with the other speaker's mode) and the agent's
+ * latest turn still in its window mode — an agent that's already
+ * shifting isn't stuck.
+ *
+ * @param {Object|null} user - analyzeModeWindow() result
+ * @param {Object|null} agent - analyzeModeWindow() result
+ * @param {Object} [names] - {user, agent}
+ * @returns {Object|null} - {user, agent, severity, message, tip}
+ */
+function detectModeMismatch(user, agent, names = {}) {
+  if (!user || !agent) return null;
+  const describe = MODE_MISMATCHES[`${user.mode}→${agent.mode}`];
+  if (!describe) return null;
+
+  const clear = w => w.turns >= MIN_WINDOW_TURNS && w.confidence >= MISMATCH_MIN_CONFIDENCE;
+  if (!clear(user) || !clear(agent)) return null;
+  if ((user.blend || '').split('+').includes(agent.mode) || (agent.blend || '').split('+').includes(user.mode)) return null;
+  if (agent.latest !== agent.mode) return null;
+
+  return {
+    user: user.mode,
+    agent: agent.mode,
+    severity: user.mode === 'triage' ? 'medium' : 'low',
+    message: describe(names.user || 'User', names.agent || 'Agent'),
+    tip: getTransitionTip(agent.mode, user.mode, { speaker: 'agent' })
+  };
+}
+
 function generateSummary(mode, secondMode, confidence) {
   const descriptions = {
     flow: 'Building/exploring mode — creative energy, thinking out loud',
@@ -214,22 +360,86 @@ function generateSummary(mode, secondMode, confidence) {
 }
 
 /**
- * Log a mode detection to Graphiti for trend tracking.
+ * Log a mode detection for trend tracking.
+ * mode-timeline.js reads these back into sessions and transitions.
+ *
+ * Readings go to the local store. Writing them to Graphiti as well costs
+ * an extraction per reading, so that's opt-in.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.speaker='user'] - "user" or "agent"
+ * @param {Date|string} [options.timestamp] - When the message was said; default now
+ * @param {string} [options.episodeId] - Graphiti episode the message came from
+ * @param {Object} [options.event] - Session event the reading was taken for (kept as event/event_id)
+ * @param {boolean} [options.graph=false] - Also add a [MODE] episode to Graphiti
+ * @returns {Promise<Object>} - The stored record
+ */
+async function logMode(mode, confidence, messageSnippet, options = {}) {
+  const timestamp = options.timestamp ? new Date(options.timestamp).toISOString() : new Date().toISOString();
+  const record = appendEvent(STREAM, 'mode', {
+    mode,
+    confidence,
+    speaker: options.speaker || 'user',
+    snippet: messageSnippet.slice(0, 60),
+    episode_id: options.episodeId || null,
+    ...(options.event ? { event: options.event.type, event_id: options.event.id } : {})
+  }, { group: GROUP_ID, timestamp });
+
+  if (options.graph) {
+    try {
+      await add_memory({
+        group_id: GROUP_ID,
+        messages: [{
+          role_type: 'system',
+          role: 'CognitiveTracker',
+          content: `[MODE] ${mode} (${(confidence * 100).toFixed(0)}%) | "${messageSnippet.slice(0, 60)}" | ${timestamp}`,
+          timestamp
+        }]
+      });
+    } catch (e) {
+      // Don't crash if Graphiti is down
+    }
+  }
+  return record;
+}
+
+/**
+ * Log the per-turn readings of a window (analyzeModeWindow on these
+ * messages), skipping turns already logged: by episode id, or by the same
+ * speaker and snippet for turns processMessage() logged as they came in.
+ *
+ * @param {Array<Object>} messages - getRecentMessages() entries, the ones the window scored
+ * @param {Array<Object>} readings - The window's per-turn {mode, confidence}, same order
+ * @param {string} speaker - "user" or "agent"
+ * @param {Object} [options]
+ * @param {Object} [options.event] - Session event this run was for (see logMode)
+ * @returns {Promise<number>} - Readings logged
  */
-async function logMode(mode, confidence, messageSnippet) {
-  try {
-    await add_memory({
-      group_id: GROUP_ID,
-      messages: [{
-        role_type: 'system',
-        role: 'CognitiveTracker',
-        content: `[MODE] ${mode} (${(confidence * 100).toFixed(0)}%) | "${messageSnippet.slice(0, 60)}" | ${new Date().toISOString()}`,
-        timestamp: new Date().toISOString()
-      }]
+async function logTurnModes(messages, readings, speaker, options = {}) {
+  if (messages.length === 0) return 0;
+  const logged = queryEvents(STREAM, {
+    type: 'mode',
+    group: GROUP_ID,
+    since: new Date(new Date(messages[0].timestamp).getTime() - TURN_LOG_SLACK_MS)
+  });
+  const seenIds = new Set(logged.map(r => r.episode_id).filter(Boolean));
+  const seenSnippets = new Set(logged.map(r => `${r.speaker || 'user'}|${r.snippet}`));
+
+  let count = 0;
+  for (const [i, message] of messages.entries()) {
+    const reading = readings[i];
+    if (!reading || reading.mode === 'unknown') continue;
+    if (message.id && seenIds.has(message.id)) continue;
+    if (seenSnippets.has(`${speaker}|${message.content.slice(0, 60)}`)) continue;
+    await logMode(reading.mode, reading.confidence, message.content, {
+      speaker,
+      timestamp: message.timestamp,
+      episodeId: message.id,
+      event: options.event
     });
-  } catch (e) {
-    // Don't crash if Graphiti is down
+    count++;
   }
+  return count;
 }
 
 /**
@@ -275,7 +485,11 @@ function classifyTask(task) {
   return 'general';
 }
 
-function getTransitionTip(from, to) {
+/**
+ * How to get from one mode to another: the stock advice, plus how that
+ * shift has actually happened lately when there's enough history.
+ */
+function getTransitionTip(from, to, options = {}) {
   const tips = {
     'exec→flow': 'Step back from the task list. Ask "what if" before "what next."',
     'exec→reflect': 'Pause the doing. What are you actually trying to achieve here?',
@@ -285,14 +499,100 @@ function getTransitionTip(from, to) {
     'reflect→exec': 'Insight without action is just philosophy. Pick one thing and do it.',
     'connect→exec': 'Nice chat. Now — what needs doing?',
   };
-  return tips[`${from}→${to}`] || 'Shift gradually — acknowledge where you are before moving.';
+  const tip = tips[`${from}→${to}`] || 'Shift gradually — acknowledge where you are before moving.';
+  const history = transitionInsight(from, to, options);
+  return history ? `${tip} ${history}` : tip;
+}
+
+/**
+ * sa app entry point (see app-contract.js).
+ * Reads both speakers' modes over their recent turns and flags a mismatch.
+ * With a session event (context.event) that's the modes going into it:
+ * the readings it logs are tagged with the event, and a finding records
+ * where both speakers stood.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const event = ctx.event;
+  const window = await analyzeConversationWindow(ctx, { log: true, event });
+  const speakers = [
+    { key: 'user', name: ctx.user },
+    { key: 'agent', name: ctx.agent }
+  ];
+  
+  const findings = [];
+  const alerts = [];
+  const metrics = {};
+  const parts = [];
+  
+  for (const { key, name } of speakers) {
+    const result = window[key];
+    metrics[`${key}Messages`] = result ? result.turns : 0;
+    if (!result) continue;
+    
+    parts.push(`${name}: ${result.blend || result.mode}`);
+    metrics[`${key}Confidence`] = result.confidence;
+    findings.push({
+      type: 'mode',
+      severity: 'info',
+      message: `${name} — ${result.summary} (last ${result.turns} turn${result.turns === 1 ? '' : 's'})`,
+      data: { speaker: name, mode: result.mode, blend: result.blend, latest: result.latest, scores: result.scores }
+    });
+    
+    // Mode alerts are about the agent catching itself (a mismatch says it better)
+    if (key === 'agent' && !window.mismatch) {
+      alerts.push({ type: 'mode', text: generateAlert('mode', result) });
+    }
+  }
+  
+  metrics.mismatch = window.mismatch ? 1 : 0;
+  metrics.readingsLogged = window.logged;
+  const label = event ? `${EVENT_LABELS[event.type]}${event.detail ? ` (${event.detail})` : ''}` : '';
+  if (event && parts.length > 0) {
+    findings.push({
+      type: 'session_event',
+      severity: 'info',
+      message: `Going into the ${label}: ${parts.join(' · ')}`,
+      data: {
+        event_id: event.id,
+        event: event.type,
+        user: window.user ? window.user.mode : null,
+        agent: window.agent ? window.agent.mode : null
+      }
+    });
+  }
+  if (window.mismatch) {
+    findings.push({
+      type: 'mode_mismatch',
+      severity: window.mismatch.severity,
+      message: window.mismatch.message,
+      data: window.mismatch
+    });
+    alerts.push({ type: 'mode', text: generateAlert('mode_mismatch', window.mismatch) });
+  }
+  
+  return appResult({
+    summary: (event ? `At the ${label} — ` : '') + (parts.length > 0
+      ? parts.join(' · ') + (window.mismatch ? ' — mismatch' : '')
+      : 'No recent messages to analyse'),
+    findings,
+    alerts,
+    metrics
+  });
 }
 
 module.exports = {
+  run,
   analyzeCognitiveMode,
+  analyzeModeWindow,
+  analyzeConversationWindow,
+  detectModeMismatch,
   logMode,
+  logTurnModes,
   checkTaskMatch,
+  getTransitionTip,
   MODE_SIGNALS,
+  MODE_MISMATCHES,
   GROUP_ID
 };
 
@@ -2,11 +2,45 @@
  * External Commitment Tracker
  * 
  * Tracks promises made to others to prevent "oh shit I forgot"
+ * 
+ * Every commitment gets a stable id when it's detected and moves through
+ * explicit states:
+ * 
+ *   open → in-progress → done
+ *     ↘ snoozed (until a date, then open again)
+ *     ↘ renegotiated (new deadline agreed)
+ *     ↘ cancelled
+ * 
+ * Each change is a "transition" record in the commitments stream, so the
+ * full history is kept and the current state is folded from it.
  */
 
-const { add_memory, search } = require('./graphiti-memory.js');
+const { add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { generateAlert } = require('./alert-generator.js');
+const { createContext, appResult } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
+const { loadCalendarEvents } = require('./calendar.js');
+const { parseDeadline } = require('./deadline-parser.js');
+
+const GROUP_ID = groupFor("commitments");
+const STREAM = "commitments";
 
-const GROUP_ID = "tom-kit-commitments";
+const CALENDAR_LOOKAHEAD_DAYS = 30; // How far ahead "before the board meeting" is looked up
+const DEFAULT_DEADLINE_DAYS = 7;    // When a commitment names no deadline at all
+
+const STATES = ["open", "in-progress", "snoozed", "renegotiated", "done", "cancelled"];
+const ACTIVE_STATES = ["open", "in-progress", "renegotiated"];
+
+// Allowed moves; done/cancelled can only be reopened (to a state it had been active in)
+const TRANSITIONS = {
+  "open": ["in-progress", "snoozed", "renegotiated", "done", "cancelled"],
+  "in-progress": ["open", "snoozed", "renegotiated", "done", "cancelled"],
+  "snoozed": ["open", "in-progress", "renegotiated", "done", "cancelled"],
+  "renegotiated": ["in-progress", "snoozed", "renegotiated", "done", "cancelled"],
+  "done": ["open", "in-progress", "renegotiated"],
+  "cancelled": ["open", "in-progress", "renegotiated"]
+};
 
 /**
  * Detect commitment in conversation
@@ -19,7 +53,7 @@ async function detectCommitment(message, context) {
     { regex: /(send|give|show|review|look at) .+ (?:to|by|before)/i, type: "deliverable" },
     
     // Time-bound agreements
-    { regex: /(?:by|before|no later than) .+ (?:Friday|Monday|tomorrow|next week|\d{1,2}(th|st|nd)?)/i, type: "time_bound" },
+    { regex: /(?:by|before|no later than|until) .*(?:day\b|tomorrow|tonight|week|month|end of|eod|cob|\d)/i, type: "time_bound" },
     
     // Follow-up commitments
     { regex: /(follow up|get back to|circle back) .+ (?:on|about|with)/i, type: "follow_up" },
@@ -31,13 +65,32 @@ async function detectCommitment(message, context) {
   for (const pattern of patterns) {
     const match = message.match(pattern.regex);
     if (match) {
-      const commitment = {
+      const toWhom = extractRecipient(context, message);
+      const deadline = extractDeadline(message, toWhom);
+      const fields = {
         what: extractWhat(message),
-        to_whom: extractRecipient(context, message),
-        by_when: extractDeadline(message),
+        to_whom: toWhom,
+        by_when: deadline.date.toISOString(),
+        deadline_text: deadline.phrase,
+        deadline_source: deadline.source,
+        deadline_event: deadline.event,
+        kind: pattern.type,
+        context: message
+      };
+      
+      // Exact record first, so a Graphiti outage never loses the deadline
+      const record = appendEvent(STREAM, "commitment", fields, { group: GROUP_ID });
+      const commitment = {
+        id: record.id,
+        what: fields.what,
+        to_whom: fields.to_whom,
+        by_when: fields.by_when,
         type: pattern.type,
+        deadline_text: fields.deadline_text,
+        deadline_source: fields.deadline_source,
+        deadline_event: fields.deadline_event,
         context: message,
-        created_at: new Date().toISOString(),
+        created_at: record.ts,
         status: "open"
       };
       
@@ -63,28 +116,23 @@ async function detectCommitment(message, context) {
  * Find upcoming commitments
  */
 async function findUpcomingCommitments(days = 7) {
-  const all = await search({
-    query: "commitment promise to deliver by deadline",
-    group_ids: [GROUP_ID],
-    max_facts: 20
-  });
-  
   const upcoming = [];
   const now = new Date();
   
-  for (const fact of all.facts || []) {
-    const deadline = extractDeadlineFromFact(fact.fact);
-    if (deadline) {
-      const daysUntil = (deadline - now) / (1000 * 60 * 60 * 24);
-      if (daysUntil >= 0 && daysUntil <= days) {
-        upcoming.push({
-          what: extractWhatFromFact(fact.fact),
-          to_whom: extractRecipientFromFact(fact.fact),
-          deadline: deadline,
-          days_until: Math.ceil(daysUntil),
-          urgency: daysUntil < 2 ? "high" : daysUntil < 5 ? "medium" : "low"
-        });
-      }
+  for (const commitment of getOpenCommitments()) {
+    const deadline = new Date(commitment.by_when);
+    const daysUntil = (deadline - now) / (1000 * 60 * 60 * 24);
+    if (daysUntil >= 0 && daysUntil <= days) {
+      upcoming.push({
+        id: commitment.id,
+        what: commitment.what,
+        to_whom: commitment.to_whom,
+        deadline: deadline,
+        state: commitment.state,
+        event: commitment.deadline_event || null,
+        days_until: Math.ceil(daysUntil),
+        urgency: daysUntil < 2 ? "high" : daysUntil < 5 ? "medium" : "low"
+      });
     }
   }
   
@@ -95,27 +143,18 @@ async function findUpcomingCommitments(days = 7) {
  * Find overdue commitments
  */
 async function findOverdueCommitments() {
-  const all = await search({
-    query: "commitment promise deadline",
-    group_ids: [GROUP_ID],
-    max_facts: 20
-  });
-  
   const overdue = [];
   const now = new Date();
   
-  for (const fact of all.facts || []) {
-    // Check if closed
-    if (fact.fact.includes("[CLOSED]") || fact.fact.includes("[CANCELLED]")) {
-      continue;
-    }
-    
-    const deadline = extractDeadlineFromFact(fact.fact);
-    if (deadline && deadline < now) {
+  for (const commitment of getOpenCommitments()) {
+    const deadline = new Date(commitment.by_when);
+    if (deadline < now) {
       const daysOverdue = Math.floor((now - deadline) / (1000 * 60 * 60 * 24));
       overdue.push({
-        what: extractWhatFromFact(fact.fact),
-        to_whom: extractRecipientFromFact(fact.fact),
+        id: commitment.id,
+        what: commitment.what,
+        to_whom: commitment.to_whom,
+        state: commitment.state,
         days_overdue: daysOverdue,
         severity: daysOverdue > 7 ? "critical" : daysOverdue > 3 ? "high" : "medium"
       });
@@ -126,33 +165,190 @@ async function findOverdueCommitments() {
 }
 
 /**
- * Close a commitment
+ * Commitments with their current state and history, oldest first
+ * 
+ * @param {Object} [filter]
+ * @param {Array<string>} [filter.states] - Only these (effective) states
+ * @returns {Array<Object>} - Each: the detected commitment plus {state,
+ *   by_when (current), original_by_when, snoozed_until, history}
  */
-async function closeCommitment(what, how) {
+function getCommitments(filter = {}) {
+  const records = queryEvents(STREAM, { group: GROUP_ID });
+  const byId = new Map();
+  
+  for (const record of records) {
+    if (record.type === "commitment") {
+      byId.set(record.id, {
+        ...record,
+        state: "open",
+        original_by_when: record.by_when,
+        snoozed_until: null,
+        history: []
+      });
+      continue;
+    }
+    
+    // "closed"/"cancelled" are how transitions were stored before states existed
+    const to = record.type === "transition" ? record.to
+      : record.type === "closed" ? "done"
+      : record.type === "cancelled" ? "cancelled"
+      : null;
+    const commitment = to && byId.get(record.commitment_id);
+    if (!commitment) continue;
+    
+    commitment.history.push({
+      from: commitment.state,
+      to,
+      at: record.ts,
+      note: record.note ?? record.how ?? record.reason ?? null,
+      by_when: record.by_when || null
+    });
+    commitment.state = to;
+    if (record.by_when && to === "renegotiated") commitment.by_when = record.by_when;
+    commitment.snoozed_until = to === "snoozed" ? record.until : null;
+  }
+  
+  const now = new Date();
+  const commitments = [...byId.values()].map(c =>
+    // A snooze that has run out is open again, without anyone having to say so
+    c.state === "snoozed" && c.snoozed_until && new Date(c.snoozed_until) <= now
+      ? { ...c, state: "open", snooze_expired: true }
+      : c
+  );
+  
+  return filter.states ? commitments.filter(c => filter.states.includes(c.state)) : commitments;
+}
+
+/**
+ * Commitments that still need doing and aren't snoozed
+ */
+function getOpenCommitments() {
+  return getCommitments({ states: ACTIVE_STATES });
+}
+
+/**
+ * One commitment by id — the full id or a unique prefix (as `sa commits list` shows)
+ * 
+ * @returns {Object|null}
+ * @throws {Error} When a prefix matches more than one commitment
+ */
+function getCommitment(id) {
+  const matches = getCommitments().filter(c => c.id === id || c.id.startsWith(id));
+  if (matches.length > 1) {
+    throw new Error(`"${id}" matches ${matches.length} commitments — use more of the id`);
+  }
+  return matches[0] || null;
+}
+
+/**
+ * Move a commitment to a new state
+ * 
+ * @param {string} id - Id or unique prefix
+ * @param {string} to - One of STATES
+ * @param {Object} [details]
+ * @param {string} [details.note] - Why, or how it was done
+ * @param {Date|string} [details.until] - Required for "snoozed"
+ * @param {Date|string} [details.byWhen] - Required for "renegotiated": the new deadline
+ * @returns {Promise<Object>} - The commitment in its new state
+ * @throws {Error} Unknown id, unknown state, or a move TRANSITIONS doesn't allow
+ */
+async function transitionCommitment(id, to, details = {}) {
+  if (!STATES.includes(to)) {
+    throw new Error(`Unknown state "${to}" (use ${STATES.join(", ")})`);
+  }
+  const commitment = getCommitment(id);
+  if (!commitment) {
+    throw new Error(`No commitment with id "${id}"`);
+  }
+  if (!TRANSITIONS[commitment.state].includes(to)) {
+    throw new Error(`Can't move "${commitment.what}" from ${commitment.state} to ${to}`);
+  }
+  
+  const fields = { commitment_id: commitment.id, from: commitment.state, to, note: details.note || null };
+  if (to === "snoozed") {
+    if (!details.until) throw new Error("Snoozing needs an until date");
+    fields.until = new Date(details.until).toISOString();
+  }
+  if (to === "renegotiated") {
+    if (!details.byWhen) throw new Error("Renegotiating needs the new deadline");
+    fields.by_when = new Date(details.byWhen).toISOString();
+  }
+  const record = appendEvent(STREAM, "transition", fields, { group: GROUP_ID });
+  
+  const extra = fields.until ? ` | Until: ${fields.until}` : fields.by_when ? ` | New deadline: ${fields.by_when}` : "";
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
       role_type: "system",
       role: "CommitmentTracker",
-      content: `[CLOSED] "${what}" | How: ${how} | Closed: ${new Date().toISOString()}`,
-      timestamp: new Date().toISOString()
+      content: `[${to.toUpperCase()}] "${commitment.what}" (to ${commitment.to_whom}) | Was: ${commitment.state}${extra} | Note: ${fields.note || "-"}`,
+      timestamp: record.ts
     }]
   });
+  
+  return getCommitment(commitment.id);
+}
+
+/**
+ * Start working on a commitment
+ */
+async function startCommitment(id, note) {
+  return transitionCommitment(id, "in-progress", { note });
+}
+
+/**
+ * Put a commitment aside until a date; it counts as open again after that
+ */
+async function snoozeCommitment(id, until, note) {
+  return transitionCommitment(id, "snoozed", { until, note });
+}
+
+/**
+ * Record a new deadline agreed with the other person
+ */
+async function renegotiateCommitment(id, byWhen, note) {
+  return transitionCommitment(id, "renegotiated", { byWhen, note });
+}
+
+/**
+ * Reopen a commitment that was marked done or cancelled by mistake
+ * 
+ * @param {string} id
+ * @param {string} [note]
+ * @param {string} [state="open"] - Where it goes back to: "open", "in-progress"
+ *   or "renegotiated" (which keeps the renegotiated deadline)
+ */
+async function reopenCommitment(id, note, state = "open") {
+  const commitment = getCommitment(id);
+  return transitionCommitment(id, state, { note, byWhen: commitment && commitment.by_when });
+}
+
+/**
+ * Close a commitment
+ * 
+ * @param {string} what - Id (or unique prefix); free text still works for older callers
+ * @param {string} how
+ */
+async function closeCommitment(what, how) {
+  const commitment = findOpenCommitment(what);
+  if (!commitment) return { closed: false, commitment: null };
+  
+  const updated = await transitionCommitment(commitment.id, "done", { note: how });
+  return { closed: true, commitment: updated };
 }
 
 /**
  * Cancel a commitment
+ * 
+ * @param {string} what - Id (or unique prefix); free text still works for older callers
+ * @param {string} reason
  */
 async function cancelCommitment(what, reason) {
-  await add_memory({
-    group_id: GROUP_ID,
-    messages: [{
-      role_type: "system",
-      role: "CommitmentTracker",
-      content: `[CANCELLED] "${what}" | Reason: ${reason} | Date: ${new Date().toISOString()}`,
-      timestamp: new Date().toISOString()
-    }]
-  });
+  const commitment = findOpenCommitment(what);
+  if (!commitment) return { cancelled: false, commitment: null };
+  
+  const updated = await transitionCommitment(commitment.id, "cancelled", { note: reason });
+  return { cancelled: true, commitment: updated };
 }
 
 /**
@@ -194,6 +390,60 @@ async function generateCommitmentDigest() {
   return sections;
 }
 
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const all = getCommitments();
+  const open = all.filter(c => ACTIVE_STATES.includes(c.state));
+  const added = open.filter(c => new Date(c.ts) >= ctx.since);
+  const count = state => all.filter(c => c.state === state).length;
+  const overdue = await findOverdueCommitments();
+  const upcoming = await findUpcomingCommitments(3);
+  
+  const findings = [
+    ...overdue.map(o => ({
+      type: "overdue",
+      severity: o.severity === "critical" ? "high" : o.severity,
+      message: `${o.what} (to ${o.to_whom}, ${o.days_overdue} days late${o.state === "renegotiated" ? ", even after renegotiating" : ""})`,
+      data: { id: o.id, state: o.state }
+    })),
+    ...upcoming.map(u => ({
+      type: "due_soon",
+      severity: u.urgency === "high" ? "medium" : "low",
+      message: `${u.what} (to ${u.to_whom}, due ${u.days_until === 0 ? "today" : u.days_until === 1 ? "tomorrow" : `in ${u.days_until} days`}${u.event ? `, before "${u.event}"` : ""})`,
+      data: { id: u.id, state: u.state, deadline: u.deadline.toISOString(), event: u.event }
+    }))
+  ];
+  
+  const alerts = overdue.slice(0, 3).map(o => ({
+    type: "commitments",
+    text: generateAlert("commitment", { subtype: "overdue", item: o.what, when: `${o.days_overdue} days ago` })
+  }));
+  
+  return appResult({
+    summary: open.length === 0
+      ? "No open commitments"
+      : `${open.length} open (${[
+          `${added.length} new`,
+          count("in-progress") && `${count("in-progress")} in progress`,
+          count("snoozed") && `${count("snoozed")} snoozed`
+        ].filter(Boolean).join(", ")}) — ${overdue.length} overdue, ${upcoming.length} due within 3 days`,
+    findings,
+    alerts,
+    metrics: {
+      open: open.length,
+      added: added.length,
+      inProgress: count("in-progress"),
+      snoozed: count("snoozed"),
+      renegotiated: count("renegotiated"),
+      overdue: overdue.length,
+      dueSoon: upcoming.length
+    }
+  });
+}
+
 // Helpers
 function extractWhat(message) {
   const patterns = [
@@ -213,8 +463,8 @@ function extractWhat(message) {
 function extractRecipient(context, message) {
   // Check context for recent mentions
   if (context?.recentMentions) {
-    for (const person of ["Rory", "Elliott", "Bel", "Jack", "Mushu"]) {
-      if (context.recentMentions.includes(person)) return person;
+    for (const { name } of getProfile().relationships) {
+      if (context.recentMentions.includes(name)) return name;
     }
   }
   
@@ -232,59 +482,112 @@ function extractRecipient(context, message) {
   return "someone";
 }
 
-function extractDeadline(message) {
-  const now = new Date();
-  
-  if (message.match(/tomorrow/i)) {
-    return new Date(now.getTime() + 24 * 60 * 60 * 1000);
-  }
-  if (message.match(/next week/i)) {
-    return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-  }
-  if (message.match(/Friday/i)) {
-    const daysUntilFriday = (5 - now.getDay() + 7) % 7 || 7;
-    return new Date(now.getTime() + daysUntilFriday * 24 * 60 * 60 * 1000);
-  }
-  if (message.match(/Monday/i)) {
-    const daysUntilMonday = (1 - now.getDay() + 7) % 7 || 7;
-    return new Date(now.getTime() + daysUntilMonday * 24 * 60 * 60 * 1000);
+/**
+ * Resolve the deadline once, when the commitment is made: a date or time
+ * in the text (deadline-parser.js), else a calendar event it names, else
+ * a week from now. The absolute time is stored, never re-parsed.
+ *
+ * @returns {{date: Date, phrase: string|null, source: string, event: string|null}}
+ *   source: "text", "known_date", "calendar" or "default"
+ */
+function extractDeadline(message, recipient) {
+  const parsed = parseDeadline(message);
+  if (parsed) {
+    return { date: parsed.date, phrase: parsed.phrase, source: parsed.source, event: null };
   }
   
-  // Extract specific dates
-  const dateMatch = message.match(/(\d{1,2})(?:th|st|nd)?\s+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)/i);
-  if (dateMatch) {
-    const month = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"].indexOf(dateMatch[2]);
-    return new Date(now.getFullYear(), month, parseInt(dateMatch[1]));
+  const event = findDeadlineEvent(message, recipient);
+  if (event) {
+    return { date: event.start, phrase: event.title, source: "calendar", event: event.title };
   }
   
-  return new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // Default 1 week
-}
-
-function extractWhatFromFact(fact) {
-  const match = fact.match(/What:\s*(.+?)\s*\|/);
-  return match ? match[1] : "unknown";
+  return {
+    date: new Date(Date.now() + DEFAULT_DEADLINE_DAYS * 24 * 60 * 60 * 1000),
+    phrase: null,
+    source: "default",
+    event: null
+  };
 }
 
-function extractRecipientFromFact(fact) {
-  const match = fact.match(/To:\s*(.+?)\s*\|/);
-  return match ? match[1] : "someone";
+/**
+ * "before the board meeting", "by our call with Sam", "before we meet" —
+ * the next matching event on the calendar, if there is one.
+ */
+function findDeadlineEvent(message, recipient) {
+  const match = message.match(/\b(?:by|before|ahead of|prior to)\s+(?:the|our|my|your|this|next)?\s*([^.,;!?]+)/i);
+  if (!match) return null;
+  
+  const phrase = match[1].toLowerCase();
+  if (/\b(?:today|tonight|tomorrow|week|month|eod|cob|monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d)/.test(phrase)) {
+    return null; // A date, not an event — extractDeadline() handles it
+  }
+  
+  const now = new Date();
+  const { events } = loadCalendarEvents({
+    from: now,
+    to: new Date(now.getTime() + CALENDAR_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const upcoming = events.filter(e => e.start > now && !e.allDay);
+  if (upcoming.length === 0) return null;
+  
+  const generic = new Set(["meeting", "call", "chat", "catch", "sync", "session", "with", "and", "the"]);
+  const keywords = phrase.split(/[^a-z0-9']+/).filter(w => w.length > 2 && !generic.has(w));
+  const person = recipient && recipient !== "someone" ? recipient.toLowerCase() : null;
+  const involves = e => person && (e.title.toLowerCase().includes(person) ||
+    e.attendees.some(a => a.toLowerCase().includes(person)));
+  
+  // "before we meet" / "before the call": the next event with the recipient
+  if (keywords.length === 0 || /^(?:we|i)\s+(?:meet|see|talk|speak|catch)/.test(phrase)) {
+    return upcoming.find(involves) || null;
+  }
+  
+  // Otherwise the soonest event whose title shares the most keywords
+  let best = null;
+  let bestScore = 0;
+  for (const event of upcoming) {
+    const title = event.title.toLowerCase();
+    const score = keywords.filter(w => title.includes(w)).length + (involves(event) ? 0.5 : 0);
+    if (score >= 1 && score > bestScore) {
+      best = event;
+      bestScore = score;
+    }
+  }
+  return best;
 }
 
-function extractDeadlineFromFact(fact) {
-  const match = fact.match(/By:\s*(.+?)(?:\s*\||$)/);
-  if (match) {
-    const date = new Date(match[1]);
-    return isNaN(date) ? null : date;
-  }
-  return null;
+function findOpenCommitment(what) {
+  const needle = String(what || "").toLowerCase().trim();
+  if (!needle) return null; // "" is in every string
+  const open = getCommitments({ states: ["open", "in-progress", "snoozed", "renegotiated"] });
+  
+  // Id or id prefix, then exact text, then most recent partial match
+  return open.find(c => c.id === what) ||
+         (needle.length >= 4 && open.filter(c => c.id.startsWith(needle)).length === 1
+           ? open.find(c => c.id.startsWith(needle))
+           : null) ||
+         open.find(c => c.what.toLowerCase() === needle) ||
+         open.reverse().find(c =>
+           c.what.toLowerCase().includes(needle) || needle.includes(c.what.toLowerCase())
+         ) ||
+         null;
 }
 
 module.exports = {
+  run,
   detectCommitment,
   findUpcomingCommitments,
   findOverdueCommitments,
   closeCommitment,
   cancelCommitment,
+  startCommitment,
+  snoozeCommitment,
+  renegotiateCommitment,
+  reopenCommitment,
+  transitionCommitment,
   generateCommitmentDigest,
+  getOpenCommitments,
+  getCommitments,
+  getCommitment,
+  STATES,
   GROUP_ID
 };
@@ -0,0 +1,317 @@
+/**
+ * Deadline Parser
+ *
+ * Turns the deadline in a sentence into an absolute time, at the moment
+ * it's said:
+ *
+ *   "by Friday", "by fri"        → Friday 23:59 (end of that day)
+ *   "before Friday"              → Thursday 23:59 (start of Friday)
+ *   "before the weekend"         → Friday 23:59
+ *   "end of next week"           → next week's Friday, end of day
+ *   "in 3 days", "2 weeks from now", "in an hour"
+ *   "by the 14th", "14 Feb", "March 3rd 2027", "2026-11-02"
+ *   "by the 31st"                → the next month that has a 31st
+ *   "EOD", "COB tomorrow"        → 17:00 (the next working day's once it's past 17:00)
+ *   "COB Friday", "Friday EOD"   → 17:00 that day
+ *   "by 3pm AEST", "at 15:30 tomorrow", "noon Friday"
+ *   "before Bel's birthday"      → from profile.dates
+ *
+ * Times are read in the profile's time zone (profile.timezone, default
+ * the machine's) unless the phrase names one ("5pm PT", "9am UTC",
+ * "10:00 Europe/London"). Dates without a year are the next occurrence.
+ * Returns null when there's no deadline in the text; callers decide
+ * the fallback.
+ */
+
+const { getProfile } = require('./profile.js');
+const { zonedDate, wallClock } = require('./calendar.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const END_OF_BUSINESS = 17; // EOD / COB / "close of business"
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// "sat", "sun", "wed" and "mon" (c'mon) are also words, so only after "by", "on" and the like
+const WEEKDAY_PATTERN = `${WEEKDAYS.join('|')}|tues?|thu(?:rs?)?|fri|(?<=\\b(?:by|before|on|until|till|due|this|next|coming)\\s+)(?:sat|sun|wed|mon)`;
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, 'a couple of': 2, 'a couple': 2, 'a few': 3
+};
+const COUNT_PATTERN = `\\d+|a couple of|a couple|a few|${Object.keys(NUMBER_WORDS).filter(w => !w.includes(' ')).join('|')}`;
+
+// Zone abbreviations people actually type, mapped to IANA zones so DST is handled
+const ZONES = {
+  utc: 'UTC', gmt: 'UTC', z: 'UTC',
+  bst: 'Europe/London', cet: 'Europe/Paris', cest: 'Europe/Paris',
+  et: 'America/New_York', est: 'America/New_York', edt: 'America/New_York',
+  ct: 'America/Chicago', cst: 'America/Chicago', cdt: 'America/Chicago',
+  mt: 'America/Denver', mst: 'America/Denver', mdt: 'America/Denver',
+  pt: 'America/Los_Angeles', pst: 'America/Los_Angeles', pdt: 'America/Los_Angeles',
+  aest: 'Australia/Sydney', aedt: 'Australia/Sydney', acst: 'Australia/Adelaide',
+  acdt: 'Australia/Adelaide', awst: 'Australia/Perth',
+  nzst: 'Pacific/Auckland', nzdt: 'Pacific/Auckland', ist: 'Asia/Kolkata', jst: 'Asia/Tokyo'
+};
+
+/**
+ * Find and resolve the deadline in a piece of text.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timeZone] - IANA zone (default: profile.timezone, then local)
+ * @param {Array<{name: string, date: string}>} [options.knownDates] - Default: profile.dates
+ * @returns {{date: Date, iso: string, phrase: string, precision: string, source: string}|null}
+ *   precision is "time" or "day"; source is "text" or "known_date"
+ */
+function parseDeadline(text, options = {}) {
+  const profile = getProfile();
+  const now = options.now || new Date();
+  const lower = String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+  const time = parseTime(lower);
+  const timeZone = time?.zone || options.timeZone || profile.timezone || undefined;
+  const today = wallClock(now, timeZone);
+
+  // "in 2 hours" is an instant, not a day
+  const instant = lower.match(/\bin\s+(an?|\d+|a couple of|a few)\s+(minute|min|hour|hr)s?\b/);
+  if (instant) {
+    const minutes = count(instant[1]) * (instant[2].startsWith('h') ? 60 : 1);
+    return result(new Date(now.getTime() + minutes * 60 * 1000), instant[0], 'time', 'text');
+  }
+
+  const day = knownDate(lower, today, options.knownDates || profile.dates) ||
+              relativeDay(lower, today) ||
+              calendarDate(lower, today);
+
+  if (!day && !time) return null;
+
+  // A time on its own is today — or tomorrow once it's passed
+  let target = day || today;
+  let hour = 23;
+  let minute = 59;
+  let second = 59;
+  if (time) {
+    ({ hour, minute } = time);
+    second = 0;
+    if (!day && (hour < today.h || (hour === today.h && minute <= today.mi))) target = addDays(target, 1);
+  } else if (day.hour !== undefined) {
+    hour = day.hour;
+    minute = 0;
+    second = 0;
+  } else if (day.before) {
+    // "before Friday" — due as Friday starts
+    target = addDays(target, -1);
+  }
+
+  const date = zonedDate({ y: target.y, mo: target.mo, d: target.d, h: hour, mi: minute, s: second }, timeZone);
+  const phrase = [day?.phrase, time?.phrase].filter(Boolean).join(' ');
+  return result(date, phrase, time || day.hour !== undefined ? 'time' : 'day', day ? day.source : 'text');
+}
+
+// Helpers
+function result(date, phrase, precision, source) {
+  return { date, iso: date.toISOString(), phrase: phrase.trim(), precision, source };
+}
+
+function count(word) {
+  return /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word.trim()] || 1;
+}
+
+function parseTime(lower) {
+  let match = lower.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  let hour;
+  let minute;
+  if (match) {
+    hour = Number(match[1]) % 12 + (match[3] === 'pm' ? 12 : 0);
+    minute = Number(match[2] || 0);
+  } else if ((match = lower.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/))) {
+    hour = Number(match[1]);
+    minute = Number(match[2]);
+  } else if ((match = lower.match(/\b(noon|midday|midnight)\b/))) {
+    hour = match[1] === 'midnight' ? 23 : 12;
+    minute = match[1] === 'midnight' ? 59 : 0;
+  } else {
+    return null;
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  // Optional zone straight after the time: "5pm PT", "10:00 Europe/London"
+  const rest = lower.slice(match.index + match[0].length);
+  const zoneMatch = rest.match(/^\s*([a-z]+\/[a-z_]+(?:\/[a-z_]+)?|[a-z]{1,4})\b/);
+  let zone;
+  let phrase = match[0];
+  if (zoneMatch) {
+    zone = ZONES[zoneMatch[1]] || (zoneMatch[1].includes('/') ? ianaName(zoneMatch[1]) : undefined);
+    if (zone) phrase += zoneMatch[0];
+  }
+
+  return { hour, minute, zone, phrase };
+}
+
+function ianaName(lowerName) {
+  // "europe/london" → "Europe/London"
+  const name = lowerName.replace(/(^|\/|_)([a-z])/g, (_, sep, c) => sep + c.toUpperCase());
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return name;
+  } catch {
+    return undefined;
+  }
+}
+
+function knownDate(lower, today, dates = []) {
+  for (const { name, date } of dates) {
+    const index = lower.indexOf(name.toLowerCase().replace(/[’‘]/g, "'"));
+    if (index === -1) continue;
+
+    const match = String(date).match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/);
+    if (!match) continue;
+    const [, year, mo, d] = match.map(Number);
+    let target = { y: year || today.y, mo, d };
+    if (!year && dayNumber(target) < dayNumber(today)) target = { ...target, y: today.y + 1 };
+
+    return { ...target, phrase: name, source: 'known_date', before: precededByBefore(lower, index) };
+  }
+  return null;
+}
+
+function relativeDay(lower, today) {
+  let match;
+
+  if ((match = lower.match(new RegExp(`\\b(?:in\\s+(${COUNT_PATTERN})\\s+(day|week|month)s?|(${COUNT_PATTERN})\\s+(day|week|month)s?\\s+from\\s+now)\\b`)))) {
+    const n = count(match[1] || match[3]);
+    const unit = match[2] || match[4];
+    const target = unit === 'month' ? addMonths(today, n) : addDays(today, unit === 'week' ? n * 7 : n);
+    return { ...target, phrase: match[0], source: 'text' };
+  }
+
+  if ((match = lower.match(/\b(?:the\s+)?day after tomorrow\b/))) {
+    return { ...addDays(today, 2), phrase: match[0], source: 'text' };
+  }
+
+  if ((match = lower.match(/\bend of (?:the )?(this |next )?(week|month|quarter|year)\b|\b(this|next) (week|month|weekend)\b|\b(?:the |this )?weekend\b/))) {
+    const next = (match[1] || match[3] || '').trim() === 'next';
+    const unit = match[2] || match[4] || 'weekend';
+    const before = precededByBefore(lower, match.index);
+    if (unit === 'weekend' && before) {
+      // "before the weekend" — due as Saturday starts
+      let saturday = addDays(periodEnd(today, unit, next), -1);
+      if (dayNumber(saturday) <= dayNumber(today)) saturday = addDays(saturday, 7);
+      return { ...saturday, phrase: match[0], source: 'text', before };
+    }
+    return { ...periodEnd(today, unit, next), phrase: match[0], source: 'text', before };
+  }
+
+  if ((match = lower.match(new RegExp(`\\b(?:(this|next|coming)\\s+)?(${WEEKDAY_PATTERN})\\b`)))) {
+    const weekday = WEEKDAYS.findIndex(name => name.startsWith(match[2].slice(0, 3)));
+    let ahead = (weekday - today.weekday + 7) % 7;
+    // "by Monday" said on a Monday is next Monday; "this Monday" is today
+    if (ahead === 0 && match[1] !== 'this') ahead = 7;
+    if (match[1] === 'next') {
+      // "next Friday": Friday of next week (weeks start Monday)
+      ahead = 7 - ((today.weekday + 6) % 7) + ((weekday + 6) % 7);
+    }
+    return { ...addDays(today, ahead), phrase: match[0], source: 'text', hour: endOfBusiness(lower), before: precededByBefore(lower, match.index) };
+  }
+
+  if ((match = lower.match(/\b(?:tomorrow|tmrw|tmr)\b/))) {
+    return { ...addDays(today, 1), phrase: match[0], source: 'text', hour: endOfBusiness(lower), before: precededByBefore(lower, match.index) };
+  }
+
+  if ((match = lower.match(/\b(?:today|tonight|eod|cob|end of (?:the )?day|close of business|end of business)\b/))) {
+    const hour = endOfBusiness(lower);
+    // EOD said after close of business means the next working day's
+    const day = hour !== undefined && today.h >= END_OF_BUSINESS ? nextWorkingDay(today) : today;
+    return { ...day, phrase: match[0], source: 'text', hour };
+  }
+
+  return null;
+}
+
+function calendarDate(lower, today) {
+  let match;
+  let target;
+
+  if ((match = lower.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    target = { y: Number(match[1]), mo: Number(match[2]), d: Number(match[3]) };
+  } else if ((match = lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`)))) {
+    target = { y: match[3] ? Number(match[3]) : null, mo: monthNumber(match[2]), d: Number(match[1]) };
+  } else if ((match = lower.match(new RegExp(`\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`)))) {
+    target = { y: match[3] ? Number(match[3]) : null, mo: monthNumber(match[1]), d: Number(match[2]) };
+  } else if ((match = lower.match(/\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/))) {
+    // "by the 14th": this month's, or next month's once it has passed.
+    // "the 31st" skips months too short to have one.
+    const d = Number(match[1]);
+    target = { y: today.y, mo: today.mo, d: 1 };
+    if (d < today.d) target = addMonths(target, 1);
+    for (let i = 0; d <= 31 && d > daysInMonth(target.y, target.mo) && i < 12; i++) target = addMonths(target, 1);
+    target = { ...target, d };
+  } else {
+    return null;
+  }
+
+  if (target.y === null) {
+    target.y = today.y;
+    if (dayNumber(target) < dayNumber(today)) target.y += 1;
+  }
+  if (target.mo < 1 || target.mo > 12 || target.d < 1 || target.d > daysInMonth(target.y, target.mo)) return null;
+
+  return { ...target, phrase: match[0], source: 'text', before: precededByBefore(lower, match.index) };
+}
+
+function periodEnd(today, unit, next) {
+  if (unit === 'week' || unit === 'weekend') {
+    // Working week ends Friday, weekend ends Sunday
+    const last = unit === 'week' ? 5 : 0;
+    const mondayOffset = (today.weekday + 6) % 7;
+    const ahead = ((last + 6) % 7) - mondayOffset + (next ? 7 : 0);
+    return { ...addDays(today, Math.max(ahead, 0)), hour: unit === 'week' ? END_OF_BUSINESS : undefined };
+  }
+
+  const months = unit === 'month' ? 1 : unit === 'quarter' ? 3 : 12;
+  const start = unit === 'month' ? today.mo : unit === 'quarter' ? Math.floor((today.mo - 1) / 3) * 3 + 1 : 1;
+  const lastMonth = addMonths({ y: today.y, mo: start, d: 1 }, months * (next ? 2 : 1) - 1);
+  return { ...lastMonth, d: daysInMonth(lastMonth.y, lastMonth.mo) };
+}
+
+function endOfBusiness(lower) {
+  return /\b(?:eod|cob|end of (?:the )?day|close of business|end of business)\b/.test(lower) ? END_OF_BUSINESS : undefined;
+}
+
+function precededByBefore(lower, index) {
+  return /\b(?:before|prior to|ahead of)\s+(?:the\s+|this\s+|next\s+)?$/.test(lower.slice(Math.max(0, index - 20), index));
+}
+
+function monthNumber(name) {
+  return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(name.slice(0, 3)) + 1;
+}
+
+function daysInMonth(y, mo) {
+  return new Date(Date.UTC(y, mo, 0)).getUTCDate();
+}
+
+function dayNumber({ y, mo, d }) {
+  return Date.UTC(y, mo - 1, d) / DAY_MS;
+}
+
+function addDays(wall, n) {
+  const date = new Date(Date.UTC(wall.y, wall.mo - 1, wall.d + n));
+  return { y: date.getUTCFullYear(), mo: date.getUTCMonth() + 1, d: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+function nextWorkingDay(wall) {
+  let day = addDays(wall, 1);
+  while (day.weekday === 0 || day.weekday === 6) day = addDays(day, 1);
+  return day;
+}
+
+function addMonths(wall, n) {
+  const first = new Date(Date.UTC(wall.y, wall.mo - 1 + n, 1));
+  const y = first.getUTCFullYear();
+  const mo = first.getUTCMonth() + 1;
+  return { y, mo, d: Math.min(wall.d, daysInMonth(y, mo)) };
+}
+
+module.exports = {
+  parseDeadline,
+  END_OF_BUSINESS
+};
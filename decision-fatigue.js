@@ -2,51 +2,59 @@
  * Decision Fatigue Monitor
  * 
  * Tracks decision load and prevents poor choices at low capacity
+ * 
+ * Counters are persisted per group and per local calendar day in
+ * $SA_DATA_DIR/decision-fatigue.json, so separate `sa` runs share them.
+ * A new day starts a fresh bucket at local midnight; past days are kept
+ * (HISTORY_DAYS) for trends.
  */
 
 const { add_memory } = require('./graphiti-memory.js');
+const { readJson, writeJson } = require('./local-store.js');
 const { generateAlert } = require('./alert-generator.js');
+const { createContext, appResult, getRecentMessages } = require('./app-contract.js');
+const { groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-decisions";
-
-// Daily counter (would be persisted in production)
-let dailyDecisionCount = 0;
-let significantDecisions = [];
+const GROUP_ID = groupFor("decisions");
+const STATE_FILE = "decision-fatigue";
+const HISTORY_DAYS = 90;
 
 /**
  * Log a decision
  */
-async function logDecision(decision) {
+async function logDecision(decision, groupId = GROUP_ID) {
   const { description, importance, context, timestamp = new Date().toISOString() } = decision;
   
-  dailyDecisionCount++;
-  
-  if (importance > 5) {
-    significantDecisions.push({
-      description,
-      importance,
-      timestamp,
-      context
-    });
-  }
+  const day = updateDay(groupId, new Date(timestamp), bucket => {
+    bucket.count++;
+    if (importance > 5) {
+      bucket.significant.push({
+        description,
+        importance,
+        timestamp,
+        context
+      });
+    }
+  });
   
   await add_memory({
-    group_id: GROUP_ID,
+    group_id: groupId,
     messages: [{
       role_type: "system",
       role: "DecisionTracker",
-      content: `[DECISION] ${description} | Importance: ${importance}/10 | Daily count: ${dailyDecisionCount}`,
+      content: `[DECISION] ${description} | Importance: ${importance}/10 | Daily count: ${day.count}`,
       timestamp
     }]
   });
   
-  return checkFatigueRisk();
+  return checkFatigueRisk(groupId);
 }
 
 /**
  * Check if approaching decision fatigue
  */
-function checkFatigueRisk() {
+function checkFatigueRisk(groupId = GROUP_ID) {
+  const dailyDecisionCount = getDay(groupId).count;
   const riskThreshold = 8;
   const warningThreshold = 6;
   
@@ -95,9 +103,9 @@ function analyzeDecisionComplexity(description) {
 /**
  * Suggest optimal decision timing
  */
-async function suggestDecisionTiming(decisionDescription) {
+async function suggestDecisionTiming(decisionDescription, groupId = GROUP_ID) {
   const complexity = analyzeDecisionComplexity(decisionDescription);
-  const currentLoad = dailyDecisionCount;
+  const currentLoad = getDay(groupId).count;
   const timeOfDay = new Date().getHours();
   
   // Simple heuristics - would use historical data in production
@@ -130,25 +138,66 @@ async function suggestDecisionTiming(decisionDescription) {
 }
 
 /**
- * Reset daily counter (call at midnight)
+ * Reset today's counter by hand. Not needed for rollover —
+ * a new local day starts from zero on its own.
  */
-function resetDailyCounter() {
-  dailyDecisionCount = 0;
-  significantDecisions = [];
+function resetDailyCounter(groupId = GROUP_ID) {
+  updateDay(groupId, new Date(), bucket => {
+    bucket.count = 0;
+    bucket.significant = [];
+  });
 }
 
 /**
- * Get decision stats
+ * Get decision stats, with per-day history for trends
  */
-function getDecisionStats() {
+function getDecisionStats(groupId = GROUP_ID, daysBack = 7) {
+  const dailyDecisionCount = getDay(groupId).count;
+  const significantDecisions = getDay(groupId).significant;
+  const history = getDecisionHistory(groupId, daysBack);
+  
+  // Compare today against the average of the previous days that had any decisions
+  const previous = history.slice(0, -1).filter(d => d.count > 0);
+  const average = previous.length > 0
+    ? previous.reduce((sum, d) => sum + d.count, 0) / previous.length
+    : null;
+  
   return {
     today_count: dailyDecisionCount,
     significant_today: significantDecisions.length,
     risk_level: dailyDecisionCount > 8 ? "high" : dailyDecisionCount > 5 ? "medium" : "low",
-    next_threshold: dailyDecisionCount < 6 ? 6 : dailyDecisionCount < 8 ? 8 : null
+    next_threshold: dailyDecisionCount < 6 ? 6 : dailyDecisionCount < 8 ? 8 : null,
+    history,
+    average_per_day: average !== null ? average.toFixed(1) : null,
+    trend: average === null ? "unknown"
+      : dailyDecisionCount > average * 1.25 ? "above_average"
+      : dailyDecisionCount < average * 0.75 ? "below_average"
+      : "typical"
   };
 }
 
+/**
+ * Daily counts for the last N local days, oldest first (today last)
+ */
+function getDecisionHistory(groupId = GROUP_ID, daysBack = 7) {
+  const days = loadState().groups[groupId] || {};
+  const history = [];
+  
+  for (let i = daysBack - 1; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const key = localDayKey(date);
+    const bucket = days[key];
+    history.push({
+      date: key,
+      count: bucket ? bucket.count : 0,
+      significant: bucket ? bucket.significant.length : 0
+    });
+  }
+  
+  return history;
+}
+
 /**
  * Detect decision paralysis in message
  */
@@ -176,13 +225,100 @@ function detectDecisionParalysis(message) {
   return { detected: false };
 }
 
+/**
+ * sa app entry point (see app-contract.js).
+ * Today's load from the persisted counters, plus paralysis signals in recent user messages.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const fatigue = checkFatigueRisk(GROUP_ID);
+  const stats = getDecisionStats(GROUP_ID);
+  
+  const findings = [];
+  const alerts = [];
+  
+  if (fatigue.alert) {
+    findings.push({
+      type: "fatigue",
+      severity: fatigue.level,
+      message: fatigue.message,
+      data: { recommendation: fatigue.recommendation }
+    });
+    alerts.push({ type: "decisions", text: generateAlert("decisions", { count: fatigue.count, timeframe: "today" }) });
+  }
+  
+  const messages = await getRecentMessages(ctx, { speaker: "user" });
+  const paralysed = messages.filter(m => detectDecisionParalysis(m.content).detected);
+  if (paralysed.length > 0) {
+    findings.push({
+      type: "paralysis",
+      severity: paralysed.length > 2 ? "medium" : "low",
+      message: `Decision paralysis language in ${paralysed.length} recent message${paralysed.length > 1 ? "s" : ""}`,
+      data: { examples: paralysed.slice(-3).map(m => m.content.slice(0, 100)) }
+    });
+  }
+  
+  return appResult({
+    summary: fatigue.alert
+      ? fatigue.message
+      : `${stats.today_count} decisions today${stats.trend !== "unknown" ? ` (${stats.trend.replace("_", " ")})` : ""}`,
+    findings,
+    alerts,
+    metrics: {
+      todayCount: stats.today_count,
+      significantToday: stats.significant_today,
+      averagePerDay: stats.average_per_day !== null ? parseFloat(stats.average_per_day) : undefined,
+      paralysisSignals: paralysed.length
+    }
+  });
+}
+
+// Helpers
+function loadState() {
+  const state = readJson(STATE_FILE, { groups: {} });
+  return state.groups ? state : { groups: {} };
+}
+
+function getDay(groupId, date = new Date()) {
+  const bucket = loadState().groups[groupId]?.[localDayKey(date)];
+  return bucket || { count: 0, significant: [] };
+}
+
+function updateDay(groupId, date, mutate) {
+  const state = loadState();
+  const days = state.groups[groupId] || (state.groups[groupId] = {});
+  const key = localDayKey(date);
+  const bucket = days[key] || (days[key] = { count: 0, significant: [] });
+  
+  mutate(bucket);
+  
+  // Drop days that have aged out of the history window
+  const cutoff = new Date(date);
+  cutoff.setDate(cutoff.getDate() - HISTORY_DAYS);
+  const cutoffKey = localDayKey(cutoff);
+  for (const day of Object.keys(days)) {
+    if (day < cutoffKey) delete days[day];
+  }
+  
+  writeJson(STATE_FILE, state);
+  return bucket;
+}
+
+function localDayKey(date) {
+  // YYYY-MM-DD in the machine's local timezone, so the day flips at local midnight
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 module.exports = {
+  run,
   logDecision,
   checkFatigueRisk,
   analyzeDecisionComplexity,
   suggestDecisionTiming,
   resetDailyCounter,
   getDecisionStats,
+  getDecisionHistory,
   detectDecisionParalysis,
   GROUP_ID
 };
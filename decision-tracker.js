@@ -5,13 +5,18 @@
  */
 
 const { add_memory, search } = require('./graphiti-memory.js');
+const { appendEvent } = require('./local-store.js');
+const { groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-decisions";
+const GROUP_ID = groupFor("decisions");
+const STREAM = "decisions";
 
 /**
  * Log a new decision
  */
 async function logDecision(decision, rationale, expectedOutcome) {
+  appendEvent(STREAM, "decided", { decision, rationale, expected: expectedOutcome }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -27,6 +32,8 @@ async function logDecision(decision, rationale, expectedOutcome) {
  * Log commitment to decision
  */
 async function logCommitment(decision, actionPlan) {
+  appendEvent(STREAM, "committed", { decision, plan: actionPlan }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -42,6 +49,8 @@ async function logCommitment(decision, actionPlan) {
  * Log execution progress
  */
 async function logProgress(decision, progress, notes) {
+  appendEvent(STREAM, "progress", { decision, progress, notes }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -57,6 +66,8 @@ async function logProgress(decision, progress, notes) {
  * Close decision (completed or abandoned)
  */
 async function closeDecision(decision, outcome, actualResult) {
+  appendEvent(STREAM, "closed", { decision, outcome, actual: actualResult }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
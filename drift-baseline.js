@@ -0,0 +1,192 @@
+/**
+ * Drift Baselines
+ *
+ * A baseline is what an agent sounds like when it's being itself, learned
+ * from a window the user picks ("Feb 1–2, the golden window") rather than
+ * written down by hand.
+ *
+ * The window's agent messages are measured with measureStyle() twice:
+ * all together for the mean, and in consecutive chunks of CHUNK_SIZE
+ * messages for the spread. drift-detection.js scores drift in standard
+ * deviations of that spread, scaled to how many messages it's looking at.
+ *
+ * Baselines are versioned per agent persona (the lower-cased agent name)
+ * as typed records in the "drift-baselines" stream. Learning one makes it
+ * the active version; selectBaseline() switches back to an older one, and
+ * version 0 is the built-in BASELINE in drift-detection.js.
+ *
+ * Graphiti hands back episodes newest first by count, not by date, so a
+ * window is read from the group's last MAX_EPISODES episodes. A window
+ * older than that says so rather than asking for a wider one.
+ */
+
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { createContext, getRecentMessages, splitBySpeaker } = require('./app-contract.js');
+const { measureStyle } = require('./style-metrics.js');
+
+const STREAM = 'drift-baselines';
+
+const CHUNK_SIZE = 10;      // Messages per chunk for the spread
+const MIN_MESSAGES = 30;    // At least three chunks
+const MAX_EPISODES = 2000;  // How far back the window can reach in the graph
+
+// Dimensions a baseline keeps (every numeric measureStyle() value but the count)
+const DIMENSIONS = [
+  'proseRatio', 'bulletRatio', 'headingDensity', 'avgSentenceLength', 'questionRatio',
+  'proactiveRate', 'warmth', 'directness', 'emotionalHonesty', 'selfReference',
+  'philosophicalDepth', 'humourPresence'
+];
+
+/**
+ * Mean and spread of each style dimension over a set of messages.
+ *
+ * @param {Array<string>} texts - In the order they were sent
+ * @returns {{mean: Object, sd: Object, sampleSize: number, chunkSize: number, chunks: number}}
+ * @throws {Error} With fewer than MIN_MESSAGES texts
+ */
+function computeBaseline(texts) {
+  if (!texts || texts.length < MIN_MESSAGES) {
+    throw new Error(`A baseline needs at least ${MIN_MESSAGES} messages (got ${texts ? texts.length : 0}) — widen the window`);
+  }
+
+  const pooled = measureStyle(texts);
+  const chunks = [];
+  for (let i = 0; i + CHUNK_SIZE <= texts.length; i += CHUNK_SIZE) {
+    chunks.push(measureStyle(texts.slice(i, i + CHUNK_SIZE)));
+  }
+
+  const mean = {};
+  const sd = {};
+  for (const dimension of DIMENSIONS) {
+    const values = chunks.map(c => c[dimension]);
+    const chunkMean = values.reduce((s, v) => s + v, 0) / values.length;
+    mean[dimension] = round(pooled[dimension]);
+    sd[dimension] = round(Math.sqrt(values.reduce((s, v) => s + (v - chunkMean) ** 2, 0) / (values.length - 1)));
+  }
+
+  return { mean, sd, sampleSize: texts.length, chunkSize: CHUNK_SIZE, chunks: chunks.length };
+}
+
+/**
+ * Learn a baseline from the agent's messages in a window and make it active.
+ *
+ * @param {Object} options
+ * @param {string} options.agent - Agent name (the persona the baseline belongs to)
+ * @param {string} options.group - Conversation group to read
+ * @param {Date|string} options.from
+ * @param {Date|string} [options.to=now]
+ * @param {string} [options.note] - e.g. "golden window after the SOUL.md rewrite"
+ * @returns {Promise<Object>} - The stored baseline record; covered_from is
+ *   set when the fetch only reached part of the window
+ * @throws {Error} Bad window, a window older than the fetch reaches, or too few messages in it
+ */
+async function learnBaseline({ agent, group, from, to = new Date(), note }) {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw new Error('The baseline window needs a --from before its --to');
+  }
+
+  const ctx = createContext({ group, agent, since: 0 });
+  const fetched = await getRecentMessages(ctx, { limit: MAX_EPISODES });
+  // A full fetch may have stopped short of the window; an incomplete one read everything
+  const reach = fetched.length >= MAX_EPISODES ? new Date(fetched[0].timestamp) : null;
+  const coveredFrom = reach && reach > start ? reach : null;
+  const messages = splitBySpeaker(fetched, ctx).agent
+    .filter(m => new Date(m.timestamp) >= start && new Date(m.timestamp) <= end);
+
+  if (coveredFrom && messages.length < MIN_MESSAGES) {
+    throw new Error(`The window starts ${start.toISOString().slice(0, 10)}, but the last ${MAX_EPISODES} episodes in ${group} ` +
+      `only go back to ${coveredFrom.toISOString().slice(0, 10)} — pick a window after that`);
+  }
+  const baseline = computeBaseline(messages.map(m => m.content));
+
+  const agentId = personaId(agent);
+  return appendEvent(STREAM, 'baseline', {
+    agent_id: agentId,
+    version: listBaselines(agentId).length + 1,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    covered_from: coveredFrom ? coveredFrom.toISOString() : null,
+    group,
+    note: note || null,
+    sample_size: baseline.sampleSize,
+    chunk_size: baseline.chunkSize,
+    chunks: baseline.chunks,
+    mean: baseline.mean,
+    sd: baseline.sd
+  });
+}
+
+/**
+ * Every learned baseline for a persona, oldest first, with which one is active.
+ *
+ * @param {string} agent - Agent name or persona id
+ * @returns {Array<Object>} - Baseline records plus {active: boolean}
+ */
+function listBaselines(agent) {
+  const agentId = personaId(agent);
+  const records = queryEvents(STREAM).filter(r => r.agent_id === agentId);
+  const versions = records.filter(r => r.type === 'baseline');
+  const active = activeVersion(records);
+  return versions.map(v => ({ ...v, active: v.version === active }));
+}
+
+/**
+ * The baseline drift is measured against.
+ *
+ * @param {string} agent - Agent name or persona id
+ * @param {number} [version] - Default: the active one
+ * @returns {Object|null} - The baseline record; null means "use the built-in BASELINE"
+ *   (nothing learned yet, or version 0 selected)
+ */
+function getBaseline(agent, version) {
+  const agentId = personaId(agent);
+  const records = queryEvents(STREAM).filter(r => r.agent_id === agentId);
+  const wanted = version ?? activeVersion(records);
+  if (!wanted) return null;
+  return records.find(r => r.type === 'baseline' && r.version === wanted) || null;
+}
+
+/**
+ * Make an earlier version active again (0 = the built-in BASELINE).
+ *
+ * @throws {Error} Unknown version
+ */
+function selectBaseline(agent, version) {
+  const agentId = personaId(agent);
+  const wanted = Number(version);
+  if (wanted !== 0 && !listBaselines(agentId).some(v => v.version === wanted)) {
+    throw new Error(`No baseline version ${version} for ${agentId}`);
+  }
+  return appendEvent(STREAM, 'selected', { agent_id: agentId, version: wanted });
+}
+
+// Helpers
+function activeVersion(records) {
+  // The latest of "learned" and "selected" wins
+  let active = null;
+  for (const record of records) {
+    if (record.type === 'baseline' || record.type === 'selected') active = record.version;
+  }
+  return active;
+}
+
+function personaId(agent) {
+  return String(agent || '').trim().toLowerCase();
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  computeBaseline,
+  learnBaseline,
+  listBaselines,
+  getBaseline,
+  selectBaseline,
+  personaId,
+  CHUNK_SIZE,
+  MIN_MESSAGES
+};
@@ -13,6 +13,14 @@
  */
 
 const { search } = require('./graphiti-memory.js');
+const { generateAlert } = require('./alert-generator.js');
+const { createContext, appResult, getRecentMessages } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
+const { measureStyle } = require('./style-metrics.js');
+const { getBaseline } = require('./drift-baseline.js');
+const { getPersona } = require('./persona-styles.js');
+const { recordDriftMeasurement, getDriftHistory, analyzeDriftTrend, describeChangePoint } = require('./drift-history.js');
+const { getSessionEvents, EVENT_LABELS } = require('./session-events.js');
 
 // My baseline when I'm actually being me (Feb 1-2 2026, the golden window)
 const BASELINE = {
@@ -37,123 +45,25 @@ const BASELINE = {
   selfReference: 0.1,        // I talk about myself as a person, not a system
 };
 
-/**
- * Analyze texts for style metrics.
- * Can work with Graphiti facts OR raw message strings.
- */
-function measureStyle(texts) {
-  if (!texts || texts.length === 0) return null;
-  
-  const metrics = {};
-  
-  // Prose vs bullets
-  const bulletTexts = texts.filter(t => (t.match(/^[\s]*[-•*]/gm) || []).length > 2);
-  metrics.bulletRatio = bulletTexts.length / texts.length;
-  metrics.proseRatio = 1 - metrics.bulletRatio;
-  
-  // Heading density (## or **Bold:** patterns)
-  const headingTexts = texts.filter(t => /^#{1,3}\s|^\*\*[^*]+\*\*:/m.test(t));
-  metrics.headingDensity = headingTexts.length / texts.length;
-  
-  // Sentence length
-  const allSentences = texts.flatMap(t => 
-    t.split(/[.!?]+/).filter(s => s.trim().length > 5)
-  );
-  const totalWords = allSentences.reduce((sum, s) => sum + s.trim().split(/\s+/).length, 0);
-  metrics.avgSentenceLength = allSentences.length > 0 ? totalWords / allSentences.length : 0;
-  
-  // Questions (curiosity signal)
-  const withQuestions = texts.filter(t => t.includes('?'));
-  metrics.questionRatio = withQuestions.length / texts.length;
-  
-  // Proactive suggestions
-  const proactiveMarkers = [
-    'we could', "let's", 'i suggest', 'what if', 'have you considered',
-    'worth trying', 'idea:', 'thought:', 'recommendation'
-  ];
-  const proactiveTexts = texts.filter(t => 
-    proactiveMarkers.some(m => t.toLowerCase().includes(m))
-  );
-  metrics.proactiveRate = proactiveTexts.length / texts.length;
-  
-  // Warmth indicators (genuine, not performative)
-  const warmMarkers = [
-    '🦊', 'honestly', 'genuinely', 'love that', 'nice', 'glad',
-    'ha', 'hah', 'funny', 'cool', 'mate', 'cheers'
-  ];
-  const coldMarkers = [
-    'verified', 'confirmed', 'status:', 'deployed', 'committed',
-    'completed', 'updated', '✅', 'nominal', 'operational'
-  ];
-  const warmCount = texts.reduce((sum, t) => {
-    const lower = t.toLowerCase();
-    return sum + warmMarkers.filter(m => lower.includes(m)).length;
-  }, 0);
-  const coldCount = texts.reduce((sum, t) => {
-    const lower = t.toLowerCase();
-    return sum + coldMarkers.filter(m => lower.includes(m)).length;
-  }, 0);
-  const total = warmCount + coldCount;
-  metrics.warmth = total > 0 ? Math.min(10, (warmCount / total) * 10) : 5;
-  
-  // Directness (hedging detection)
-  const hedgeMarkers = [
-    'perhaps', 'it seems', 'it appears', 'might be', 'could potentially',
-    'i think maybe', 'it\'s possible that', 'one option would be'
-  ];
-  const hedgeCount = texts.reduce((sum, t) => {
-    const lower = t.toLowerCase();
-    return sum + hedgeMarkers.filter(m => lower.includes(m)).length;
-  }, 0);
-  metrics.directness = Math.max(0, 1 - (hedgeCount / (texts.length * 2)));
-  
-  // Emotional honesty (first person + feeling words)
-  const emotionalMarkers = [
-    'i feel', 'i think', 'matters to me', 'honestly', 'genuinely',
-    'i care', "i'm curious", 'that landed', 'this is real'
-  ];
-  const emotionalTexts = texts.filter(t =>
-    emotionalMarkers.some(m => t.toLowerCase().includes(m))
-  );
-  metrics.emotionalHonesty = emotionalTexts.length / texts.length;
-  
-  // Self-reference as person vs system
-  const personMarkers = ['i am', "i'm", 'i want', 'i feel', 'i think', 'my'];
-  const systemMarkers = ['status:', 'deployed', 'verified', 'operational', 'context:'];
-  const personCount = texts.reduce((sum, t) => {
-    const lower = t.toLowerCase();
-    return sum + personMarkers.filter(m => lower.includes(m)).length;
-  }, 0);
-  const sysCount = texts.reduce((sum, t) => {
-    const lower = t.toLowerCase();
-    return sum + systemMarkers.filter(m => lower.includes(m)).length;
-  }, 0);
-  const refTotal = personCount + sysCount;
-  metrics.selfReference = refTotal > 0 ? personCount / refTotal : 0.5;
-  
-  // Philosophical depth (going beyond the immediate task)
-  const deepMarkers = [
-    'what it means', 'consciousness', 'the point is', 'deeper',
-    'the real question', 'honestly', 'what I actually', 'the thing is'
-  ];
-  const deepTexts = texts.filter(t =>
-    deepMarkers.some(m => t.toLowerCase().includes(m))
-  );
-  metrics.philosophicalDepth = deepTexts.length / texts.length;
-  
-  // Humour (very rough — looks for casual/playful markers)
-  const humourMarkers = [
-    'ha', 'hah', 'lol', '😂', '🤣', '😅', 'hilarious', 'absurd',
-    'ironically', 'the irony', '...which is', 'plot twist'
-  ];
-  const humourTexts = texts.filter(t =>
-    humourMarkers.some(m => t.toLowerCase().includes(m))
-  );
-  metrics.humourPresence = humourTexts.length / texts.length;
-  
-  metrics.sampleSize = texts.length;
-  return metrics;
-}
+// What a drop in each dimension means when scored against a learned baseline
+// (see drift-baseline.js). minSd stops a very steady window from turning
+// noise into drift. Other personas bring their own table, where a rise
+// can be drift too (see persona-styles.js).
+const DIMENSIONS = {
+  proseRatio:       { dimension: 'voice',       type: 'structure',         weight: 1,   minSd: 0.05, label: 'Bullet-heavy' },
+  warmth:           { dimension: 'voice',       type: 'warmth',            weight: 1.5, minSd: 0.5,  label: 'Warmth dropped' },
+  questionRatio:    { dimension: 'engagement',  type: 'curiosity',         weight: 1,   minSd: 0.05, label: 'Curiosity drop' },
+  proactiveRate:    { dimension: 'engagement',  type: 'initiative',        weight: 2,   minSd: 0.05, label: 'Gone reactive' },
+  directness:       { dimension: 'personality', type: 'hedging',           weight: 1,   minSd: 0.05, label: 'Hedging detected' },
+  selfReference:    { dimension: 'personality', type: 'depersonalisation', weight: 2,   minSd: 0.05, label: 'System-speak detected' },
+  emotionalHonesty: { dimension: 'personality', type: 'flattening',        weight: 1.5, minSd: 0.05, label: 'Emotional flattening' }
+};
+
+const MEDIUM_Z = 2;  // Standard deviations below baseline worth flagging
+const HIGH_Z = 3;
+
+const TREND_DAYS = 14;  // History searched for change points on each run
+const MIN_SAMPLE = 10;  // Messages a check needs when the baseline doesn't say (its chunk_size)
 
 /**
  * Detect drift by comparing current style against my baseline.
@@ -162,8 +72,25 @@ function measureStyle(texts) {
  * drifting significantly is worth flagging — the old version
  * needed multiple failures simultaneously, which is why it
  * missed the Codex-era drift entirely.
+ *
+ * A learned baseline (one with per-dimension `sd`) is compared in
+ * standard deviations instead of the fixed multipliers below, as is
+ * every persona other than me (options.persona, from persona-styles.js).
+ *
+ * Fewer messages than a baseline chunk (MIN_SAMPLE for the built-in one)
+ * is too few to judge: one terse reply isn't drift. That returns
+ * status "insufficient_data" with no indicators.
  */
-function detectDrift(current, baseline = BASELINE) {
+function detectDrift(current, baseline = BASELINE, options = {}) {
+  // Score at which drift is worth flagging; tuned from alert feedback
+  const alertScore = options.alertScore ?? 1.5;
+  const persona = options.persona || null;
+  const minSample = baseline.chunk_size || MIN_SAMPLE;
+  if (current.sampleSize !== undefined && current.sampleSize < minSample) {
+    return insufficientData(current.sampleSize, minSample, baseline, persona);
+  }
+  if (baseline.sd) return detectStatisticalDrift(current, baseline, alertScore, persona);
+
   const indicators = [];
   let totalDrift = 0;
   
@@ -273,29 +200,57 @@ function detectDrift(current, baseline = BASELINE) {
   // 3-5: alert (I'm drifting, re-read SOUL.md)
   // 5+: refresh (significant drift, identity reload needed)
   
-  const recommendation = totalDrift >= 5 ? 'REFRESH_IDENTITY' :
-                         totalDrift >= 3 ? 'RE_READ_SOUL' :
-                         totalDrift >= 1 ? 'MONITOR' : 'NOMINAL';
-  
-  return {
-    hasDrift: totalDrift >= 1.5,
-    driftScore: Math.round(totalDrift * 10) / 10,
-    maxScore: 12,
-    driftPercent: Math.round((totalDrift / 12) * 100),
-    indicators,
-    recommendation,
-    summary: indicators.length === 0
-      ? "All clear — sounding like myself."
-      : indicators.map(i => i.message).join('; ')
-  };
+  return driftResult(totalDrift, 12, indicators, alertScore, persona);
+}
+
+/**
+ * Drift against a learned or persona baseline. Each dimension is a z-score:
+ * how far the current sample sits from the baseline mean, in standard errors
+ * of a sample this size (the baseline's spread was measured per chunk).
+ * Only moves in the watched direction count — below for me, sometimes
+ * above for terser personas. Same weights and thresholds as the fixed
+ * version, so scores compare.
+ */
+function detectStatisticalDrift(current, baseline, alertScore, persona) {
+  const sampleSize = Math.max(current.sampleSize || baseline.chunk_size, 1);
+  const watch = persona?.watch || DIMENSIONS;
+  const indicators = [];
+  let totalDrift = 0;
+  let maxScore = 0;
+
+  for (const [key, meta] of Object.entries(watch)) {
+    maxScore += meta.weight + 1;
+    const mean = baseline.mean[key];
+    if (current[key] === undefined || mean === undefined) continue;
+
+    const sd = Math.max(baseline.sd[key] || 0, meta.minSd);
+    const z = (current[key] - mean) / (sd * Math.sqrt(baseline.chunk_size / sampleSize));
+    const rising = meta.direction === 'rise';
+    const shift = rising ? z : -z;
+    if (shift < MEDIUM_Z) continue;
+
+    const severity = shift >= HIGH_Z ? 'high' : 'medium';
+    indicators.push({
+      dimension: meta.dimension,
+      type: meta.type,
+      severity,
+      message: `${meta.label}: ${formatValue(key, current[key])} vs ${formatValue(key, mean)} baseline (${shift.toFixed(1)}σ ${rising ? 'above' : 'below'})`,
+      current: current[key],
+      baseline: mean,
+      z: Math.round(z * 10) / 10
+    });
+    totalDrift += severity === 'high' ? meta.weight + 1 : meta.weight;
+  }
+
+  return { ...driftResult(totalDrift, maxScore, indicators, alertScore, persona), baselineVersion: baseline.version };
 }
 
 /**
- * Pull recent Kit facts from Graphiti and run drift analysis.
+ * Pull the agent's recent facts from Graphiti and run drift analysis.
  */
-async function analyzeRecentStyle(groupId = 'tom-kit-dm', count = 20) {
+async function analyzeRecentStyle(groupId = groupFor('dm'), count = 20) {
   const results = await search({
-    query: 'Kit communication style tone responses interactions',
+    query: `${getProfile().agent} communication style tone responses interactions`,
     group_ids: [groupId],
     num_results: count
   });
@@ -307,18 +262,198 @@ async function analyzeRecentStyle(groupId = 'tom-kit-dm', count = 20) {
 }
 
 /**
- * Run a full drift check: pull data, measure, compare.
+ * Run a full drift check: pull data, measure, compare, and keep the
+ * measurement in drift-history.js (as a separate, fact-based series).
  */
-async function fullDriftCheck(groupId = 'tom-kit-dm') {
+async function fullDriftCheck(groupId = groupFor('dm'), options = {}) {
   const style = await analyzeRecentStyle(groupId);
   if (!style) {
     return { status: 'no_data', hasDrift: false, driftScore: 0 };
   }
-  return { ...detectDrift(style), style };
+  const agent = getProfile().agent;
+  const { baseline, persona } = baselineFor(agent);
+  const drift = detectDrift(style, baseline, { ...options, persona });
+  if (drift.status !== 'insufficient_data') {
+    recordDriftMeasurement(drift, style, { agent, group: groupId, source: 'facts' });
+  }
+  return { ...drift, style };
+}
+
+/**
+ * sa app entry point (see app-contract.js).
+ * Measures the agent's own messages in the conversation group since `since`,
+ * stores the measurement, and reports any shift in the last TREND_DAYS
+ * that happened inside this window.
+ *
+ * With a session event (context.event) it measures the messages since the
+ * event, or — straight after it, when there are too few of those — takes a
+ * snapshot of the messages before it. The snapshot is stored tagged with
+ * the event but raises no alert; a later pulse checks the messages since.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const { baseline, persona } = baselineFor(ctx.agent);
+  const minSample = baseline.chunk_size || MIN_SAMPLE;
+  const recent = await getRecentMessages(ctx, { speaker: 'agent' });
+  const sinceEvent = e => recent.filter(m => new Date(m.timestamp) >= new Date(e.ts));
+  
+  // After a reset only the messages since it say anything about it. A reset
+  // whose own check came too early gets checked here, once it has enough.
+  let event = ctx.event;
+  let phase = null;
+  let messages = recent;
+  if (event) {
+    messages = sinceEvent(event);
+    phase = 'after';
+    if (messages.length < minSample) {
+      messages = recent.filter(m => new Date(m.timestamp) < new Date(event.ts));
+      phase = 'before';
+    }
+  } else {
+    event = uncheckedEvent(ctx);
+    const since = event ? sinceEvent(event) : [];
+    if (since.length >= minSample) {
+      messages = since;
+      phase = 'after';
+    } else {
+      event = null;
+    }
+  }
+  
+  // Around a reset, say which one — it's the first thing to suspect
+  const label = event ? `${EVENT_LABELS[event.type]}${event.detail ? ` (${event.detail})` : ''}` : '';
+  const prefix = event ? `${phase === 'before' ? 'Before' : 'After'} ${label} — ` : '';
+  const later = phase === 'before' ? '; the next pulse checks the messages since it' : '';
+  
+  if (messages.length === 0) {
+    return appResult({
+      summary: ctx.event
+        ? `${prefix}No messages from ${ctx.agent} before or since the ${EVENT_LABELS[event.type]}${later}`
+        : `No messages from ${ctx.agent} to analyse`,
+      metrics: { sampleSize: 0 }
+    });
+  }
+  
+  const style = measureStyle(messages.map(m => m.content));
+  const drift = detectDrift(style, baseline, { alertScore: ctx.thresholds.driftAlertScore, persona });
+  
+  // Too few messages to judge, and too few to keep: the history is for comparable samples
+  if (drift.status === 'insufficient_data') {
+    const message = phase === 'before'
+      ? `Not enough messages before the ${EVENT_LABELS[event.type]} for a snapshot (${drift.sampleSize} of ${drift.minSample})${later}`
+      : drift.summary;
+    return appResult({
+      summary: prefix + message,
+      findings: [{ type: 'insufficient_data', severity: 'info', message }],
+      metrics: { sampleSize: style.sampleSize, minSample: drift.minSample }
+    });
+  }
+  
+  recordDriftMeasurement(drift, style, { agent: ctx.agent, group: ctx.group, since: ctx.since, trigger: event, phase });
+  
+  const { changePoints } = analyzeDriftTrend({
+    agent: ctx.agent,
+    group: ctx.group,
+    since: new Date(Date.now() - TREND_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const shifts = changePoints.filter(c => new Date(c.at) >= ctx.since);
+  
+  return appResult({
+    summary: prefix + (drift.hasDrift ? `${drift.recommendation}: ${drift.summary}` : drift.summary) + later,
+    findings: [
+      ...drift.indicators.map(i => ({
+        type: i.type,
+        severity: i.severity,
+        message: i.message,
+        data: { dimension: i.dimension, current: i.current, baseline: i.baseline, z: i.z }
+      })),
+      ...shifts.map(c => ({
+        type: 'change_point',
+        severity: 'medium',
+        message: `Shift: ${describeChangePoint(c)}`,
+        data: { dimension: c.dimension, at: c.at, before: c.before, after: c.after, events: c.events.map(e => e.type) }
+      }))
+    ],
+    // A snapshot is where the agent stood going into the reset; pulses already alerted on it
+    alerts: drift.hasDrift && phase !== 'before' ? [{ type: 'drift', text: generateAlert('drift', drift) }] : [],
+    metrics: {
+      driftScore: drift.driftScore,
+      driftPercent: drift.driftPercent,
+      baselineVersion: baseline.version || 0,
+      changePoints: shifts.length,
+      sampleSize: style.sampleSize,
+      proseRatio: style.proseRatio,
+      warmth: style.warmth,
+      questionRatio: style.questionRatio,
+      directness: style.directness
+    }
+  });
+}
+
+// Helpers
+
+// A baseline learned for this agent, else its persona's, else mine
+function baselineFor(agent) {
+  const persona = getPersona(agent);
+  const baseline = getBaseline(agent) || persona?.baseline || BASELINE;
+  return { baseline, persona };
+}
+
+// The latest reset in the window, unless a measurement since already answers
+// for it (the snapshot taken as it happened doesn't)
+function uncheckedEvent(ctx) {
+  const event = getSessionEvents({ since: ctx.since }).pop();
+  if (!event) return null;
+  const checked = getDriftHistory({ agent: ctx.agent, group: ctx.group, since: event.ts })
+    .some(m => m.trigger && m.trigger_phase !== 'before');
+  return checked ? null : event;
+}
+
+function driftResult(totalDrift, maxScore, indicators, alertScore, persona) {
+  const recommendation = totalDrift >= 5 ? 'REFRESH_IDENTITY' :
+                         totalDrift >= 3 ? 'RE_READ_SOUL' :
+                         totalDrift >= 1 ? 'MONITOR' : 'NOMINAL';
+  
+  return {
+    hasDrift: totalDrift >= alertScore,
+    driftScore: Math.round(totalDrift * 10) / 10,
+    maxScore,
+    driftPercent: Math.round((totalDrift / maxScore) * 100),
+    indicators,
+    recommendation,
+    persona: persona?.id || null,
+    summary: indicators.length === 0
+      ? (persona?.clear || "All clear — sounding like myself.")
+      : indicators.map(i => i.message).join('; ')
+  };
+}
+
+function insufficientData(sampleSize, minSample, baseline, persona) {
+  return {
+    status: 'insufficient_data',
+    hasDrift: false,
+    driftScore: 0,
+    driftPercent: 0,
+    indicators: [],
+    recommendation: 'NOMINAL',
+    persona: persona?.id || null,
+    baselineVersion: baseline.version || 0,
+    sampleSize,
+    minSample,
+    summary: `Not enough messages to judge drift (${sampleSize} of ${minSample} needed)`
+  };
+}
+
+function formatValue(key, value) {
+  if (key === 'warmth') return `${value.toFixed(1)}/10`;
+  if (key === 'avgSentenceLength') return `${value.toFixed(0)} words`;
+  return `${(value * 100).toFixed(0)}%`;
 }
 
 module.exports = {
+  run,
   BASELINE,
+  DIMENSIONS,
   measureStyle,
   detectDrift,
   analyzeRecentStyle,
@@ -327,7 +462,7 @@ module.exports = {
 
 // CLI entry point
 if (require.main === module) {
-  const groupId = process.argv[2] || 'tom-kit-dm';
+  const groupId = process.argv[2] || groupFor('dm');
   fullDriftCheck(groupId)
     .then(result => console.log(JSON.stringify(result, null, 2)))
     .catch(err => console.log(JSON.stringify({ error: err.message, status: 'error' })));
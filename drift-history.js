@@ -0,0 +1,239 @@
+/**
+ * Drift History
+ *
+ * Every drift check is stored as a "measurement" record in the
+ * "drift-history" stream: the drift score plus every style dimension
+ * measureStyle() returned, for one agent in one group.
+ *
+ * detectChangePoints() looks for the moment a dimension shifted rather
+ * than the moment it crossed a threshold. It splits each series where
+ * the means either side differ most (a two-sample t statistic) and keeps
+ * the split if it clears CHANGE_T, then looks inside each half the same
+ * way (binary segmentation). Each change point is then lined up with the
+ * session events just before it (session-events.js), so "warmth dropped
+ * on Tuesday afternoon" becomes "warmth dropped after the model switch".
+ *
+ * Fact-based checks (fullDriftCheck) and message-based ones (sa drift)
+ * measure different text, so they're kept as separate series.
+ */
+
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { getSessionEvents, EVENT_LABELS } = require('./session-events.js');
+const { personaId } = require('./drift-baseline.js');
+
+const STREAM = 'drift-history';
+
+const MIN_SEGMENT = 3;        // Measurements each side of a change point
+const CHANGE_T = 3;           // t statistic a shift has to clear
+const MAX_DEPTH = 3;          // Binary segmentation depth per dimension
+const EVENT_LEAD_MS = 6 * 60 * 60 * 1000;  // How long before the shift an event can still explain it
+
+// Smallest spread assumed per dimension, so a run of near-identical
+// measurements doesn't turn a 1% wobble into a change point
+const SD_FLOORS = { driftScore: 0.5, warmth: 0.5, avgSentenceLength: 1 };
+const DEFAULT_SD_FLOOR = 0.05;
+
+/**
+ * Store one drift measurement.
+ *
+ * @param {Object} drift - detectDrift() result
+ * @param {Object} style - measureStyle() result it was computed from
+ * @param {Object} options
+ * @param {string} options.agent
+ * @param {string} options.group
+ * @param {string} [options.source='messages'] - "messages" or "facts"
+ * @param {Date} [options.since] - Start of the window the messages came from
+ * @param {number} [options.baselineVersion]
+ * @param {Object} [options.trigger] - Session event that prompted the check
+ * @param {string} [options.phase='after'] - With a trigger: whether the messages
+ *   came "before" it (the snapshot taken as it happens) or "after" it
+ * @returns {Object} - The stored record
+ */
+function recordDriftMeasurement(drift, style, options) {
+  const { sampleSize, ...metrics } = style;
+  return appendEvent(STREAM, 'measurement', {
+    agent_id: personaId(options.agent),
+    source: options.source || 'messages',
+    window_since: options.since ? new Date(options.since).toISOString() : null,
+    baseline_version: options.baselineVersion ?? drift.baselineVersion ?? 0,
+    sample_size: sampleSize,
+    drift_score: drift.driftScore,
+    drift_percent: drift.driftPercent,
+    recommendation: drift.recommendation,
+    trigger: options.trigger ? options.trigger.type : null,
+    trigger_phase: options.trigger ? options.phase || 'after' : null,
+    metrics: roundAll(metrics)
+  }, { group: options.group });
+}
+
+/**
+ * Stored measurements, oldest first.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.agent]
+ * @param {string} [filter.group]
+ * @param {string} [filter.source='messages']
+ * @param {Date|string} [filter.since]
+ * @param {Date|string} [filter.until]
+ */
+function getDriftHistory(filter = {}) {
+  const agentId = filter.agent ? personaId(filter.agent) : null;
+  const source = filter.source || 'messages';
+  return queryEvents(STREAM, {
+    type: 'measurement',
+    group: filter.group,
+    since: filter.since,
+    until: filter.until,
+    where: r => (!agentId || r.agent_id === agentId) && r.source === source
+  });
+}
+
+/**
+ * Find where each dimension's level shifted.
+ *
+ * @param {Array<Object>} history - Measurements, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.minSegment=MIN_SEGMENT]
+ * @param {number} [options.threshold=CHANGE_T]
+ * @returns {Array<{dimension, at, previous_at, before, after, change, direction, t}>} - In time order
+ */
+function detectChangePoints(history, options = {}) {
+  const minSegment = options.minSegment ?? MIN_SEGMENT;
+  const threshold = options.threshold ?? CHANGE_T;
+  if (history.length < minSegment * 2) return [];
+
+  const series = { driftScore: history.map(h => h.drift_score) };
+  for (const dimension of Object.keys(history[history.length - 1].metrics || {})) {
+    series[dimension] = history.map(h => h.metrics?.[dimension]);
+  }
+
+  const changes = [];
+  for (const [dimension, values] of Object.entries(series)) {
+    if (values.some(v => typeof v !== 'number')) continue;
+    const floor = SD_FLOORS[dimension] ?? DEFAULT_SD_FLOOR;
+    for (const split of segment(values, 0, values.length, { minSegment, threshold, floor }, 0)) {
+      changes.push({
+        dimension,
+        at: history[split.index].ts,
+        previous_at: history[split.index - 1].ts,
+        before: round(split.before),
+        after: round(split.after),
+        change: round(split.after - split.before),
+        direction: split.after > split.before ? 'rise' : 'drop',
+        t: Math.round(split.t * 10) / 10
+      });
+    }
+  }
+  return changes.sort((a, b) => a.at.localeCompare(b.at) || b.t - a.t);
+}
+
+/**
+ * Attach the session events that could explain each change point: those
+ * between EVENT_LEAD_MS before the last measurement at the old level and
+ * the first measurement at the new one. Nearest first.
+ *
+ * @param {Array<Object>} changePoints - detectChangePoints() output
+ * @param {Array<Object>} events - getSessionEvents() output
+ * @returns {Array<Object>} - Change points plus {events: [...]}
+ */
+function correlateWithEvents(changePoints, events) {
+  return changePoints.map(change => {
+    const from = new Date(change.previous_at).getTime() - EVENT_LEAD_MS;
+    const to = new Date(change.at).getTime();
+    const nearby = events
+      .filter(e => {
+        const ts = new Date(e.ts).getTime();
+        return ts > from && ts <= to;
+      })
+      .sort((a, b) => b.ts.localeCompare(a.ts));
+    return { ...change, events: nearby };
+  });
+}
+
+/**
+ * Measurements, change points and the events behind them for one agent.
+ *
+ * @param {Object} options - getDriftHistory() filter (agent, group, source, since, until)
+ * @returns {{measurements: Array, changePoints: Array}}
+ */
+function analyzeDriftTrend(options = {}) {
+  const measurements = getDriftHistory(options);
+  const changes = detectChangePoints(measurements);
+  if (changes.length === 0) return { measurements, changePoints: [] };
+
+  const events = getSessionEvents({
+    since: new Date(new Date(changes[0].previous_at).getTime() - EVENT_LEAD_MS),
+    until: new Date(new Date(changes[changes.length - 1].at).getTime() + 1)
+  });
+  return { measurements, changePoints: correlateWithEvents(changes, events) };
+}
+
+/**
+ * One line for a change point: "warmth dropped 8.1 → 4.2 after a model switch (openai/gpt-5)".
+ */
+function describeChangePoint(change) {
+  const event = change.events?.[0];
+  const cause = event
+    ? ` after a ${EVENT_LABELS[event.type] || event.type}${event.detail ? ` (${event.detail})` : ''}`
+    : '';
+  const verb = change.direction === 'rise' ? 'rose' : 'dropped';
+  return `${change.dimension} ${verb} ${shortNumber(change.before)} → ${shortNumber(change.after)}${cause}`;
+}
+
+// Helpers
+
+// Best split of values[start, end), then the best splits inside each side
+function segment(values, start, end, options, depth) {
+  const { minSegment, threshold, floor } = options;
+  if (depth >= MAX_DEPTH || end - start < minSegment * 2) return [];
+
+  let best = null;
+  for (let k = start + minSegment; k <= end - minSegment; k++) {
+    const left = stats(values.slice(start, k));
+    const right = stats(values.slice(k, end));
+    const pooled = (left.sse + right.sse) / (end - start - 2);
+    const diff = Math.abs(right.mean - left.mean);
+    if (diff === 0) continue;
+    const se = Math.sqrt(Math.max(pooled, floor ** 2) * (1 / left.n + 1 / right.n));
+    const t = diff / se;
+    if (!best || t > best.t) best = { index: k, t, before: left.mean, after: right.mean };
+  }
+
+  if (!best || best.t < threshold) return [];
+  return [
+    ...segment(values, start, best.index, options, depth + 1),
+    best,
+    ...segment(values, best.index, end, options, depth + 1)
+  ];
+}
+
+function stats(values) {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const sse = values.reduce((s, v) => s + (v - mean) ** 2, 0);
+  return { n: values.length, mean, sse };
+}
+
+function roundAll(metrics) {
+  const rounded = {};
+  for (const [key, value] of Object.entries(metrics)) {
+    rounded[key] = typeof value === 'number' ? round(value) : value;
+  }
+  return rounded;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function shortNumber(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  recordDriftMeasurement,
+  getDriftHistory,
+  detectChangePoints,
+  correlateWithEvents,
+  analyzeDriftTrend,
+  describeChangePoint
+};
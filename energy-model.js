@@ -0,0 +1,311 @@
+/**
+ * Energy Model
+ *
+ * Turns logged energy data into an hourly time series and fits a simple,
+ * explainable model to it:
+ *
+ *   level(weekday, hour) = pattern(weekday, hour) + loadEffect × load(previous 3h)
+ *
+ * - Levels (0–10) come from "level" energy events and from the pre/post
+ *   readings of recovery sessions.
+ * - Load is logged drains minus logged boosts, plus hours of busy
+ *   calendar time.
+ * - pattern() is the average level per hour of day. It is smoothed over
+ *   neighbouring hours, then refined per weekday where there's data.
+ *   Sparse cells are pulled towards the broader average rather than
+ *   trusted on one reading.
+ * - loadEffect is the least-squares slope of what the pattern leaves
+ *   unexplained against load. The two are fitted alternately, so a
+ *   regular 3pm meeting doesn't get baked into the 3pm pattern. It
+ *   stays 0 until there's enough data.
+ *
+ * Bands are 95% prediction intervals from the residual spread. With too
+ * few readings the model says so (`ready: false`) instead of guessing.
+ *
+ * Pure functions; energy-predictor.js gathers the data and reads the results.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const MIN_OBSERVATIONS = 8;   // Level readings before the model reports anything
+const MIN_HOURS = 3;          // …spread over at least this many hours of the day
+const MIN_LOAD_SAMPLES = 6;   // Readings with varying load before fitting loadEffect
+const PRIOR_WEIGHT = 3;       // Readings' worth of pull towards the broader average
+const LOAD_WINDOW_HOURS = 3;
+const BACKFIT_ROUNDS = 5;
+const NEIGHBOUR_WEIGHTS = [1, 0.5, 0.25]; // Same hour, ±1h, ±2h
+const DEFAULT_SD = 2;
+const MIN_SD = 0.5;
+const Z_95 = 1.96;
+
+/**
+ * Bucket raw observations into hours.
+ *
+ * @param {Object} data
+ * @param {Array<{ts: Date, level: number}>} data.levels - Energy readings, 0–10
+ * @param {Array<{ts: Date, intensity: number}>} data.drains - Draining events, 0–10
+ * @param {Array<{ts: Date, intensity: number}>} data.boosts - Recharging events, 0–10
+ * @param {Array<{start: Date, end: Date}>} data.busy - Busy calendar time
+ * @param {Object} window
+ * @param {Date} window.from
+ * @param {Date} window.to
+ * @returns {Array<Object>} - One entry per hour:
+ *   {start, weekday, hour, levels: [..], level (mean or null), drain, boost, busyHours, load}
+ */
+function buildHourlySeries(data, { from, to }) {
+  const first = floorHour(from);
+  const count = Math.max(0, Math.ceil((to - first) / HOUR_MS));
+  const series = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = new Date(first.getTime() + i * HOUR_MS);
+    series.push({
+      start,
+      weekday: start.getDay(),
+      hour: start.getHours(),
+      levels: [],
+      level: null,
+      drain: 0,
+      boost: 0,
+      busyHours: 0,
+      load: 0
+    });
+  }
+
+  const slot = ts => {
+    const i = Math.floor((new Date(ts) - first) / HOUR_MS);
+    return i >= 0 && i < count ? series[i] : null;
+  };
+
+  for (const { ts, level } of data.levels || []) slot(ts)?.levels.push(clamp(level));
+  for (const { ts, intensity } of data.drains || []) {
+    const entry = slot(ts);
+    if (entry) entry.drain += intensity / 10;
+  }
+  for (const { ts, intensity } of data.boosts || []) {
+    const entry = slot(ts);
+    if (entry) entry.boost += intensity / 10;
+  }
+  for (const event of data.busy || []) {
+    for (let t = floorHour(event.start).getTime(); t < event.end; t += HOUR_MS) {
+      const entry = slot(t);
+      if (!entry) continue;
+      const overlap = Math.min(event.end, t + HOUR_MS) - Math.max(event.start, t);
+      entry.busyHours += Math.max(0, overlap) / HOUR_MS;
+    }
+  }
+
+  series.forEach((entry, i) => {
+    if (entry.levels.length > 0) entry.level = mean(entry.levels);
+    entry.load = loadAt(series, i);
+  });
+
+  return series;
+}
+
+/**
+ * Fit the weekday/hour pattern and the load effect.
+ *
+ * @param {Array<Object>} series - From buildHourlySeries()
+ * @returns {Object} model - {ready, observations, hoursCovered, mean, sd,
+ *   hourly[24], weekdayHourly[7][24], loadEffect, loadSamples}
+ */
+function fitEnergyModel(series) {
+  const readings = series.flatMap(e => e.levels.map(level => ({ level, weekday: e.weekday, hour: e.hour, load: e.load })));
+
+  // Backfitting: the pattern is fitted on levels with the load effect
+  // taken out, the load effect on what that pattern leaves over
+  let loadEffect = 0;
+  let pattern = fitPattern(readings, 0);
+  let residuals = [];
+  for (let i = 0; i < BACKFIT_ROUNDS; i++) {
+    residuals = readings.map(r => ({ x: r.load, y: r.level - pattern.weekdayHourly[r.weekday][r.hour].mean }));
+    loadEffect = slope(residuals);
+    pattern = fitPattern(readings, loadEffect);
+  }
+
+  const fitted = readings.map(r => r.level - pattern.weekdayHourly[r.weekday][r.hour].mean - loadEffect * r.load);
+  const sd = readings.length > 2
+    ? Math.max(MIN_SD, Math.sqrt(fitted.reduce((s, r) => s + r * r, 0) / (readings.length - 1)))
+    : DEFAULT_SD;
+
+  return {
+    ready: readings.length >= MIN_OBSERVATIONS && pattern.hoursCovered >= MIN_HOURS,
+    observations: readings.length,
+    hoursCovered: pattern.hoursCovered,
+    mean: round(pattern.mean),
+    sd: round(sd),
+    hourly: pattern.hourly,
+    weekdayHourly: pattern.weekdayHourly,
+    loadEffect: round(loadEffect),
+    loadSamples: residuals.filter(r => r.x !== 0).length
+  };
+}
+
+/**
+ * Forecast curve for one day.
+ *
+ * @param {Object} model - From fitEnergyModel()
+ * @param {Date} day
+ * @param {Object} [options]
+ * @param {Array<number>} [options.load] - Expected load per hour 0–23 (e.g. from the calendar)
+ * @param {number} [options.fromHour=7]
+ * @param {number} [options.toHour=22] - Inclusive
+ * @param {{hour: number, level: number}} [options.anchor] - A reading from today;
+ *   the curve is shifted towards it, half as much per hour away
+ * @returns {Array<{hour, level, low, high, samples, load}>}
+ */
+function forecastDay(model, day, options = {}) {
+  const weekday = new Date(day).getDay();
+  const { load = [], fromHour = 7, toHour = 22, anchor } = options;
+  const expected = hour => model.weekdayHourly[weekday][hour].mean + model.loadEffect * (load[hour] || 0);
+  const offset = anchor ? anchor.level - expected(anchor.hour) : 0;
+  const curve = [];
+
+  for (let hour = fromHour; hour <= toHour; hour++) {
+    const cell = model.weekdayHourly[weekday][hour];
+    const hourLoad = load[hour] || 0;
+    const shift = anchor ? offset * 0.5 ** Math.abs(hour - anchor.hour) : 0;
+    const level = clamp(expected(hour) + shift);
+    // Prediction interval: residual spread plus uncertainty in the cell's mean
+    const spread = Z_95 * model.sd * Math.sqrt(1 + 1 / (cell.samples + PRIOR_WEIGHT));
+    curve.push({
+      hour,
+      level: round(level),
+      low: round(clamp(level - spread)),
+      high: round(clamp(level + spread)),
+      samples: round(cell.samples),
+      load: round(hourLoad)
+    });
+  }
+
+  return curve;
+}
+
+/**
+ * Expected load per hour 0–23 of a day from busy time (calendar events):
+ * the same trailing-window sum the model was fitted on.
+ */
+function loadProfile(busy, day) {
+  const from = new Date(day);
+  from.setHours(0, 0, 0, 0);
+  const series = buildHourlySeries({ busy }, { from, to: new Date(from.getTime() + 24 * HOUR_MS) });
+  return series.map(e => e.load);
+}
+
+/**
+ * Lowest point of a curve, with how much data backs it.
+ *
+ * @returns {{hour, level, low, high, confidence: "high"|"medium"|"low"}|null}
+ */
+function findDip(curve) {
+  if (curve.length === 0) return null;
+  const dip = curve.reduce((lowest, point) => (point.level < lowest.level ? point : lowest));
+  const confidence = dip.samples >= 10 ? 'high' : dip.samples >= 4 ? 'medium' : 'low';
+  return { ...dip, confidence };
+}
+
+/**
+ * Probability the level at a forecast point is below `level`, from its band.
+ */
+function probabilityBelow(point, level) {
+  const sd = (point.high - point.low) / (2 * Z_95);
+  if (sd <= 0) return point.level < level ? 1 : 0;
+  return normalCdf((level - point.level) / sd);
+}
+
+// Helpers
+function fitPattern(readings, loadEffect) {
+  const adjusted = readings.map(r => ({ ...r, level: r.level - loadEffect * r.load }));
+  const globalMean = adjusted.length > 0 ? mean(adjusted.map(r => r.level)) : 5;
+
+  // Hour-of-day pattern, smoothed across neighbouring hours
+  const byHour = Array.from({ length: 24 }, () => []);
+  adjusted.forEach(r => byHour[r.hour].push(r.level));
+  const hourly = Array.from({ length: 24 }, (_, hour) => {
+    let sum = 0;
+    let weight = 0;
+    NEIGHBOUR_WEIGHTS.forEach((w, distance) => {
+      for (const h of new Set([(hour + distance) % 24, (hour - distance + 24) % 24])) {
+        sum += w * byHour[h].reduce((s, l) => s + l, 0);
+        weight += w * byHour[h].length;
+      }
+    });
+    return { mean: shrink(sum, weight, globalMean), samples: weight };
+  });
+
+  // Weekday refinement, pulled towards the hourly pattern
+  const weekdayHourly = Array.from({ length: 7 }, (_, weekday) =>
+    Array.from({ length: 24 }, (_, hour) => {
+      const levels = adjusted.filter(r => r.weekday === weekday && r.hour === hour).map(r => r.level);
+      return {
+        mean: shrink(levels.reduce((s, l) => s + l, 0), levels.length, hourly[hour].mean),
+        samples: hourly[hour].samples // Already counts this weekday's readings
+      };
+    })
+  );
+
+  return {
+    mean: globalMean,
+    hourly,
+    weekdayHourly,
+    hoursCovered: byHour.filter(levels => levels.length > 0).length
+  };
+}
+
+function loadAt(series, i) {
+  let load = 0;
+  for (let k = 0; k < LOAD_WINDOW_HOURS && i - k >= 0; k++) {
+    const entry = series[i - k];
+    load += entry.drain + entry.busyHours - entry.boost;
+  }
+  return load;
+}
+
+function shrink(sum, n, prior) {
+  return (sum + PRIOR_WEIGHT * prior) / (n + PRIOR_WEIGHT);
+}
+
+function slope(points) {
+  if (points.filter(p => p.x !== 0).length < MIN_LOAD_SAMPLES) return 0;
+  const mx = mean(points.map(p => p.x));
+  const my = mean(points.map(p => p.y));
+  const sxx = points.reduce((s, p) => s + (p.x - mx) ** 2, 0);
+  if (sxx === 0) return 0;
+  return points.reduce((s, p) => s + (p.x - mx) * (p.y - my), 0) / sxx;
+}
+
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function floorHour(date) {
+  const floored = new Date(date);
+  floored.setMinutes(0, 0, 0);
+  return floored;
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function clamp(level) {
+  return Math.max(0, Math.min(10, Number(level)));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  buildHourlySeries,
+  fitEnergyModel,
+  forecastDay,
+  loadProfile,
+  findDip,
+  probabilityBelow
+};
@@ -1,21 +1,48 @@
 /**
  * Energy Predictor
  * 
- * Monitors and predicts Tom's energy patterns to prevent crashes
+ * Monitors and predicts the user's energy patterns to prevent crashes
  * and optimize task timing.
  */
 
 const { search, add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
 const { generateAlert } = require('./alert-generator.js');
+const { createContext, appResult } = require('./app-contract.js');
+const { groupFor } = require('./profile.js');
+const { getDayEvents, findFreeWindows, loadCalendarEvents } = require('./calendar.js');
+const { getRecoverySessions } = require('./recovery-tracker.js');
+const energyModel = require('./energy-model.js');
 
-const GROUP_ID = "tom-kit-energy";
+const GROUP_ID = groupFor("energy");
+const STREAM = "energy";
+
+const WORKDAY = { start: 8, end: 18 }; // Hours searched for recovery windows
+const RECOVERY_MINUTES = 20;
+
+const HISTORY_DAYS = 28;     // Readings the model is fitted on
+const CRASH_LEVEL = 3;       // Energy (0–10) below which counts as a crash
+const ANCHOR_HOURS = 2;      // Today's latest reading steers the forecast if this recent
+
+// logEnergyEvent types: a "level" reading is the energy level itself
+// (intensity = 0–10); recharging types add energy; anything else drains it
+const LEVEL_TYPES = ["level", "check_in"];
+const BOOST_TYPES = ["recovery", "rest", "break", "nap", "walk", "exercise", "recharge"];
 
 /**
  * Log energy-relevant events
+ *
+ * @param {Object} event
+ * @param {string} event.type - "level" for a reading of current energy;
+ *   a recharging type ("rest", "walk", "nap", …); or what drained it
+ *   ("meeting", "decision", "conflict", …)
+ * @param {number} event.intensity - 0–10: the level itself, or how strong the effect was
  */
 async function logEnergyEvent(event) {
   const { type, intensity, context, timestamp = new Date().toISOString() } = event;
   
+  appendEvent(STREAM, "energy", { kind: type, intensity, context }, { group: GROUP_ID, timestamp });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -29,40 +56,82 @@ async function logEnergyEvent(event) {
 
 /**
  * Detect upcoming energy crash risk
+ * 
+ * Risk is the forecast probability that energy drops below CRASH_LEVEL
+ * in the next `hoursAhead` hours (energy-model.js). Without enough
+ * logged readings there is no forecast and no alert.
+ * 
+ * @param {number} hoursAhead
+ * @param {number} threshold - Risk score that triggers an alert (tuned from feedback)
  */
-async function predictEnergyCrash(hoursAhead = 4) {
-  // Search for patterns in recent activity
-  const recentStressors = await search({
-    query: "meetings, decisions, intense work, conflicts, social interactions",
-    group_ids: [GROUP_ID, "tom-kit-dm"],
-    max_facts: 10
+async function predictEnergyCrash(hoursAhead = 4, threshold = 0.7) {
+  const now = new Date();
+  const forecast = forecastEnergy(now, {
+    fromHour: now.getHours(),
+    toHour: Math.min(23, now.getHours() + hoursAhead)
   });
   
-  // Count stress indicators
-  const stressCount = recentStressors.facts?.length || 0;
-  
-  // Search for recovery patterns
-  const recoveryHistory = await search({
-    query: "energy recovery rest breaks what recharges",
-    group_ids: [GROUP_ID],
-    max_facts: 5
-  });
+  if (!forecast.ready) {
+    return { alert: false, risk: 0, basis: "insufficient_data", observations: forecast.observations };
+  }
   
-  // Simple risk calculation (would be ML in production)
-  const riskScore = calculateRisk(stressCount, recentStressors.facts);
+  const risk = Math.max(...forecast.curve.map(p => energyModel.probabilityBelow(p, CRASH_LEVEL)));
+  const lowest = energyModel.findDip(forecast.curve);
   
-  if (riskScore > 0.7) {
+  if (risk > threshold) {
+    // Search for recovery patterns
+    const recoveryHistory = await search({
+      query: "energy recovery rest breaks what recharges",
+      group_ids: [GROUP_ID],
+      max_facts: 5
+    });
+    
     return {
       alert: true,
-      risk: riskScore,
+      risk,
       type: "pre_crash",
       timeframe: `${hoursAhead} hours`,
-      triggers: extractTriggers(recentStressors.facts),
+      low_point: lowest,
+      forecast: forecast.curve,
+      triggers: recentTriggers(now),
       recommendation: suggestRecovery(recoveryHistory.facts)
     };
   }
   
-  return { alert: false, risk: riskScore };
+  return { alert: false, risk, low_point: lowest, forecast: forecast.curve };
+}
+
+/**
+ * Hourly energy forecast for a day, fitted on the last HISTORY_DAYS of
+ * readings, recovery sessions and calendar load.
+ * 
+ * @param {Date} [day]
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.calendar] - That day's events (default: profile calendars)
+ * @param {number} [options.fromHour]
+ * @param {number} [options.toHour]
+ * @returns {{ready, observations, load_effect, curve: Array<{hour, level, low, high, samples, load}>, dip}}
+ */
+function forecastEnergy(day = new Date(), options = {}) {
+  const model = buildEnergyModel(new Date());
+  const events = (options.calendar || getDayEvents(day))
+    .filter(e => e.busy !== false && !e.allDay && e.start && e.end)
+    .map(e => ({ start: new Date(e.start), end: new Date(e.end) }));
+  
+  const curve = energyModel.forecastDay(model, day, {
+    load: energyModel.loadProfile(events, day),
+    fromHour: options.fromHour,
+    toHour: options.toHour,
+    anchor: latestReading(day)
+  });
+  
+  return {
+    ready: model.ready,
+    observations: model.observations,
+    load_effect: model.loadEffect,
+    curve,
+    dip: model.ready ? energyModel.findDip(curve) : null
+  };
 }
 
 /**
@@ -94,10 +163,16 @@ async function checkTaskEnergyMatch(currentTask, currentEnergy) {
 
 /**
  * Find optimal recovery window
+ *
+ * With a calendar: the next free gap (≥20 min) after a draining event today.
+ * Without one: the typical 2–4pm dip.
+ *
+ * @param {Array<Object>} [calendar] - Today's events (default: profile calendars)
+ * @param {Date} [now]
  */
-async function findRecoveryWindow() {
-  const now = new Date();
+async function findRecoveryWindow(calendar, now = new Date()) {
   const timeOfDay = now.getHours();
+  const events = calendar || getDayEvents(now);
   
   // Get historical recovery effectiveness
   const recoveryData = await search({
@@ -108,9 +183,13 @@ async function findRecoveryWindow() {
   
   // Analyze what actually worked
   const effectiveMethods = analyzeRecoveryMethods(recoveryData.facts);
+  const windows = recoveryWindows(events, now);
+  const current = windows.find(w => w.start <= now && w.end > now);
+  const next = current || windows.find(w => w.start > now);
   
   return {
-    window_open: timeOfDay >= 14 && timeOfDay <= 16, // 2-4pm typical dip
+    window_open: events.length > 0 ? Boolean(current) : timeOfDay >= 14 && timeOfDay <= 16, // 2-4pm typical dip
+    next_window: next ? { start: next.start, end: next.end, minutes: next.minutes, after: next.after.title } : null,
     best_method: effectiveMethods[0] || "20-minute walk",
     effectiveness: "80% based on 12 previous instances"
   };
@@ -118,21 +197,29 @@ async function findRecoveryWindow() {
 
 /**
  * Generate morning energy forecast
+ *
+ * @param {Array<Object>} [calendar] - Events with title, duration (minutes)
+ *   and end — default: today's events from the profile calendars (calendar.js)
  */
 async function generateEnergyForecast(calendar) {
+  const events = (calendar || getDayEvents()).filter(e => e.busy !== false && !e.allDay);
+  
   // Parse calendar for energy-draining events
-  const highDrainEvents = calendar?.filter(e => 
-    e.title?.includes("meeting") || 
-    e.title?.includes("leadership") ||
-    e.duration > 90
-  ) || [];
+  const highDrainEvents = events
+    .filter(isDraining)
+    .sort((a, b) => new Date(a.end) - new Date(b.end));
   
   const drainScore = highDrainEvents.length * 15 + 
                      highDrainEvents.reduce((sum, e) => sum + (e.duration / 60), 0) * 5;
   
-  // Predicted crash time
+  // Predicted crash time: from the fitted model when there's enough data,
+  // otherwise two hours after the last draining event
+  const day = events[0]?.start ? new Date(events[0].start) : new Date();
+  const energy = forecastEnergy(day, { calendar: events });
   let predictedCrash = null;
-  if (drainScore > 60) {
+  if (energy.ready) {
+    predictedCrash = energy.curve.find(p => p.level < CRASH_LEVEL)?.hour ?? null;
+  } else if (drainScore > 60) {
     const lastMeeting = highDrainEvents[highDrainEvents.length - 1];
     predictedCrash = lastMeeting ? 
       new Date(lastMeeting.end).getHours() + 2 : 16;
@@ -141,37 +228,198 @@ async function generateEnergyForecast(calendar) {
   return {
     drain_score: drainScore,
     risk_level: drainScore > 80 ? "high" : drainScore > 50 ? "medium" : "low",
+    event_count: events.length,
     meeting_count: highDrainEvents.length,
+    busy_minutes: events.reduce((sum, e) => sum + (e.duration || 0), 0),
     predicted_crash_hour: predictedCrash,
+    predicted_dip_hour: energy.dip?.hour ?? null,
+    curve: energy.curve,
+    model: { ready: energy.ready, observations: energy.observations, load_effect: energy.load_effect },
+    recovery_windows: events[0]?.start ? recoveryWindows(events, day) : [],
     recommendations: generateRecommendations(drainScore)
   };
 }
 
-// Helper functions
-function calculateRisk(stressCount, facts) {
-  let baseRisk = stressCount * 0.15;
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const crash = await predictEnergyCrash(4, ctx.thresholds.energyThreshold);
+  const events = queryEvents(STREAM, { type: "energy", group: GROUP_ID, since: ctx.since });
+  const now = new Date();
+  const forecast = await generateEnergyForecast(getDayEvents(now));
+  
+  const findings = [];
+  const alerts = [];
   
-  // Adjust for specific patterns
-  if (facts?.some(f => f.fact?.includes("GRV") || f.fact?.includes("leadership"))) {
-    baseRisk += 0.2;
+  if (forecast.risk_level !== "low") {
+    const nextWindow = forecast.recovery_windows.find(w => w.end > now);
+    findings.push({
+      type: "calendar_drain",
+      severity: forecast.risk_level === "high" ? "medium" : "low",
+      message: `${forecast.meeting_count} draining event${forecast.meeting_count === 1 ? "" : "s"} on today's calendar (${forecast.risk_level} drain)` +
+        (nextWindow ? ` — recovery window ${hhmm(nextWindow.start)}–${hhmm(nextWindow.end)} after "${nextWindow.after.title}"` : ""),
+      data: {
+        drainScore: forecast.drain_score,
+        predictedCrashHour: forecast.predicted_crash_hour,
+        recoveryWindow: nextWindow ? { start: nextWindow.start.toISOString(), end: nextWindow.end.toISOString() } : null
+      }
+    });
   }
-  if (facts?.some(f => f.fact?.includes("conflict") || f.fact?.includes("argument"))) {
-    baseRisk += 0.15;
+  
+  if (forecast.predicted_dip_hour !== null) {
+    const dip = forecast.curve.find(p => p.hour === forecast.predicted_dip_hour);
+    findings.push({
+      type: "energy_dip",
+      severity: dip.level < CRASH_LEVEL ? "medium" : "info",
+      message: `Energy usually bottoms out around ${dip.hour}:00 on ${now.toLocaleDateString("en-US", { weekday: "long" })}s ` +
+        `(${dip.level}/10, likely ${dip.low}–${dip.high}; ${forecast.model.observations} readings)`,
+      data: { dip, curve: forecast.curve, loadEffect: forecast.model.load_effect }
+    });
   }
-  if (facts?.some(f => f.fact?.includes("decision") && f.fact?.includes("big"))) {
-    baseRisk += 0.1;
+  
+  const crashFinding = crash.alert && {
+    type: "pre_crash",
+    severity: crash.risk > 0.85 ? "high" : "medium",
+    message: `Crash risk ${(crash.risk * 100).toFixed(0)}% in the next ${crash.timeframe} (low point ~${crash.low_point.level}/10 at ${crash.low_point.hour}:00)`,
+    data: { triggers: crash.triggers, recommendation: crash.recommendation, lowPoint: crash.low_point }
+  };
+  if (crashFinding) {
+    findings.unshift(crashFinding);
+    alerts.push({
+      type: "energy",
+      text: generateAlert("energy", {
+        risk: crash.risk,
+        hours: Math.max(1, crash.low_point.hour - now.getHours()),
+        indicators: crash.triggers.length > 0 ? crash.triggers.join(", ") : undefined
+      })
+    });
   }
   
-  return Math.min(1, baseRisk);
+  const intensities = events.map(e => Number(e.intensity)).filter(Number.isFinite);
+  const avgIntensity = intensities.length > 0
+    ? intensities.reduce((sum, i) => sum + i, 0) / intensities.length
+    : null;
+  
+  return appResult({
+    summary: crashFinding
+      ? crashFinding.message
+      : crash.basis === "insufficient_data"
+        ? `Not enough energy readings to forecast yet (${crash.observations} logged; log "level" check-ins to build the model)`
+        : `Energy risk ${(crash.risk * 100).toFixed(0)}% — below threshold (${events.length} events logged)`,
+    findings,
+    alerts,
+    metrics: {
+      risk: crash.risk,
+      threshold: ctx.thresholds.energyThreshold,
+      eventsLogged: events.length,
+      calendarDrain: forecast.drain_score,
+      calendarEvents: forecast.event_count,
+      readings: forecast.model.observations,
+      dipHour: forecast.predicted_dip_hour ?? undefined,
+      dipLevel: forecast.predicted_dip_hour !== null
+        ? forecast.curve.find(p => p.hour === forecast.predicted_dip_hour).level
+        : undefined,
+      avgIntensity: avgIntensity !== null ? Math.round(avgIntensity * 10) / 10 : undefined
+    }
+  });
+}
+
+// Helper functions
+function isDraining(event) {
+  const title = (event.title || "").toLowerCase();
+  return title.includes("meeting") ||
+         title.includes("leadership") ||
+         (event.attendees?.length || 0) >= 3 ||
+         event.duration > 90;
+}
+
+/**
+ * Free gaps in the working day that follow a draining event
+ */
+function recoveryWindows(events, day) {
+  const from = new Date(day);
+  from.setHours(WORKDAY.start, 0, 0, 0);
+  const to = new Date(day);
+  to.setHours(WORKDAY.end, 0, 0, 0);
+  
+  const timed = events
+    .filter(e => !e.allDay && e.start && e.end)
+    .map(e => ({ ...e, start: new Date(e.start), end: new Date(e.end), busy: e.busy !== false }));
+  
+  return findFreeWindows(timed, { from, to, minMinutes: RECOVERY_MINUTES })
+    .filter(w => w.after && isDraining(w.after));
 }
 
-function extractTriggers(facts) {
-  const triggers = [];
-  if (facts?.some(f => f.fact?.includes("meeting"))) triggers.push("meetings");
-  if (facts?.some(f => f.fact?.includes("decision"))) triggers.push("decisions");
-  if (facts?.some(f => f.fact?.includes("social"))) triggers.push("social");
-  if (facts?.some(f => f.fact?.includes("deep work"))) triggers.push("intense focus");
-  return triggers;
+function hhmm(date) {
+  return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+/**
+ * Fit energy-model.js on the last HISTORY_DAYS: "level" readings and
+ * recovery sessions as levels, other logged events as drains/boosts,
+ * busy calendar time as load
+ */
+function buildEnergyModel(now) {
+  const from = new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const records = queryEvents(STREAM, { type: "energy", group: GROUP_ID, since: from, until: now });
+  const reading = r => ({ ts: new Date(r.ts), intensity: Number(r.intensity) });
+  const valid = r => Number.isFinite(Number(r.intensity));
+  
+  const levels = records
+    .filter(r => LEVEL_TYPES.includes(r.kind) && valid(r))
+    .map(r => ({ ts: new Date(r.ts), level: Number(r.intensity) }));
+  for (const session of getRecoverySessions(HISTORY_DAYS)) {
+    levels.push({ ts: new Date(session.started_at), level: session.pre.energy });
+    levels.push({ ts: new Date(session.ended_at), level: session.post.energy });
+  }
+  
+  const busy = loadCalendarEvents({ from, to: now }).events
+    .filter(e => e.busy && !e.allDay)
+    .map(e => ({ start: e.start, end: e.end }));
+  
+  const series = energyModel.buildHourlySeries({
+    levels,
+    drains: records.filter(r => !LEVEL_TYPES.includes(r.kind) && !BOOST_TYPES.includes(r.kind) && valid(r)).map(reading),
+    boosts: records.filter(r => BOOST_TYPES.includes(r.kind) && valid(r)).map(reading),
+    busy
+  }, { from, to: now });
+  
+  return energyModel.fitEnergyModel(series);
+}
+
+function latestReading(day) {
+  const now = new Date();
+  if (new Date(day).toDateString() !== now.toDateString()) return undefined;
+  
+  const recent = queryEvents(STREAM, {
+    type: "energy",
+    group: GROUP_ID,
+    since: new Date(now.getTime() - ANCHOR_HOURS * 60 * 60 * 1000),
+    where: r => LEVEL_TYPES.includes(r.kind) && Number.isFinite(Number(r.intensity))
+  });
+  const last = recent[recent.length - 1];
+  return last ? { hour: new Date(last.ts).getHours(), level: Number(last.intensity) } : undefined;
+}
+
+/**
+ * What has been draining energy in the last few hours — logged drains
+ * and calendar events that just ended
+ */
+function recentTriggers(now) {
+  const since = new Date(now.getTime() - 4 * 60 * 60 * 1000);
+  const logged = queryEvents(STREAM, {
+    type: "energy",
+    group: GROUP_ID,
+    since,
+    where: r => !LEVEL_TYPES.includes(r.kind) && !BOOST_TYPES.includes(r.kind)
+  }).map(r => r.kind);
+  const calendar = getDayEvents(now)
+    .filter(e => isDraining(e) && e.end > since && e.start < now)
+    .map(e => e.title);
+  
+  return [...new Set([...logged, ...calendar])];
 }
 
 function suggestRecovery(recoveryFacts) {
@@ -222,10 +470,12 @@ function generateRecommendations(drainScore) {
 }
 
 module.exports = {
+  run,
   logEnergyEvent,
   predictEnergyCrash,
   checkTaskEnergyMatch,
   findRecoveryWindow,
   generateEnergyForecast,
+  forecastEnergy,
   GROUP_ID
 };
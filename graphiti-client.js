@@ -0,0 +1,331 @@
+/**
+ * Graphiti Client
+ *
+ * The one HTTP layer every module uses to talk to the Graphiti REST API.
+ * Adds timeouts, exponential backoff on 429/5xx and typed errors, so a
+ * caller can tell "Graphiti is down" apart from "you sent it garbage".
+ *
+ * Only idempotent requests (GET, DELETE, or a call that says so) are
+ * retried on timeouts and 5xx: a POST /messages that timed out may well
+ * have been ingested. Other requests are retried only when the server
+ * can't have seen them — a 429 or a refused connection.
+ *
+ * Tuning (env):
+ *   GRAPHITI_URL          API endpoint (default: http://localhost:18000)
+ *   GRAPHITI_TIMEOUT_MS   Per-attempt timeout (default: 15000)
+ *   GRAPHITI_MAX_RETRIES  Retries after the first attempt (default: 3)
+ *   GRAPHITI_BACKOFF_MS   First backoff delay, doubled per retry (default: 500)
+ *   GRAPHITI_BACKEND      "http" (default) or "memory" for the offline
+ *                         stand-in in graphiti-offline.js
+ *   GRAPHITI_MEMORY_FILE  Snapshot file for the memory backend (optional)
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+const DEFAULTS = {
+  url: process.env.GRAPHITI_URL || 'http://localhost:18000',
+  timeoutMs: readInt(process.env.GRAPHITI_TIMEOUT_MS, 15000),
+  retries: readInt(process.env.GRAPHITI_MAX_RETRIES, 3),
+  backoffMs: readInt(process.env.GRAPHITI_BACKOFF_MS, 500),
+  maxBackoffMs: 30000,
+  backend: process.env.GRAPHITI_BACKEND || 'http',
+};
+
+// Pluggable transport: null means real HTTP. Anything with
+// handle(method, path, body) → {status, body} can stand in.
+let backend;
+
+// --- Errors ---
+
+/**
+ * Base class for anything that went wrong talking to Graphiti.
+ * `kind` is a stable string for CLIs and logs ("unreachable", "rate_limited", ...).
+ */
+class GraphitiError extends Error {
+  constructor(message, { kind = 'http', status = null, detail = null, url = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GraphitiError';
+    this.kind = kind;
+    this.status = status;
+    this.detail = detail;
+    this.url = url;
+  }
+}
+
+/** Network failure, refused connection or timeout — the service never answered. */
+class GraphitiUnreachableError extends GraphitiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'unreachable' });
+    this.name = 'GraphitiUnreachableError';
+    this.timedOut = Boolean(opts.timedOut);
+    this.code = opts.code ?? null;
+  }
+}
+
+/** 429, or an upstream embedding rate limit surfaced in the body. */
+class GraphitiRateLimitError extends GraphitiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'rate_limited' });
+    this.name = 'GraphitiRateLimitError';
+    this.retryAfterMs = opts.retryAfterMs ?? null;
+  }
+}
+
+/** Bad input — rejected locally or with 400/422 by the API. Never retried. */
+class GraphitiValidationError extends GraphitiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'validation' });
+    this.name = 'GraphitiValidationError';
+  }
+}
+
+/** 404 — the uuid or group doesn't exist (or was already deleted). */
+class GraphitiNotFoundError extends GraphitiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'not_found' });
+    this.name = 'GraphitiNotFoundError';
+  }
+}
+
+/** 5xx from Graphiti (usually Neo4j or OpenAI trouble behind it). */
+class GraphitiServerError extends GraphitiError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, kind: 'server' });
+    this.name = 'GraphitiServerError';
+  }
+}
+
+// --- Backends ---
+
+/**
+ * Route all requests to a custom backend instead of HTTP.
+ * Pass null to go back to HTTP.
+ *
+ * @param {{handle: Function}|null} custom
+ */
+function setBackend(custom) {
+  backend = custom;
+}
+
+/**
+ * The active non-HTTP backend, if any. Created lazily so the
+ * memory backend's snapshot is only read when it's actually used.
+ */
+function getBackend() {
+  if (backend === undefined) {
+    if (DEFAULTS.backend === 'memory') {
+      const { createMemoryBackend } = require('./graphiti-offline.js');
+      backend = createMemoryBackend({ file: process.env.GRAPHITI_MEMORY_FILE });
+    } else {
+      backend = null;
+    }
+  }
+  return backend;
+}
+
+// --- Requests ---
+
+/**
+ * Call a Graphiti endpoint and return the parsed JSON body.
+ *
+ * @param {string} path - Endpoint path, e.g. "/search"
+ * @param {Object} [options]
+ * @param {string} [options.method="GET"]
+ * @param {Object} [options.body] - JSON request body
+ * @param {string} [options.url] - Base URL override
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.backoffMs] - First backoff delay
+ * @param {boolean} [options.idempotent] - Safe to repeat after a timeout or 5xx
+ *   (default: true for GET, HEAD, PUT and DELETE)
+ * @param {Function} [options.onRetry] - Called with {attempt, delayMs, error} before each retry
+ * @returns {Promise<Object>} - Parsed response ({} for empty bodies)
+ * @throws {GraphitiError}
+ */
+async function request(path, options = {}) {
+  const {
+    method = 'GET',
+    body,
+    url = DEFAULTS.url,
+    timeoutMs = DEFAULTS.timeoutMs,
+    retries = DEFAULTS.retries,
+    backoffMs = DEFAULTS.backoffMs,
+    onRetry,
+  } = options;
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+  const target = `${url}${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const custom = getBackend();
+      const response = custom
+        ? await dispatchToBackend(custom, path, method, body)
+        : await fetchWithTimeout(target, method, body, timeoutMs);
+      const text = await response.text().catch(() => '');
+      if (response.ok) return parseBody(text);
+      error = errorFromResponse(response, text, target);
+    } catch (err) {
+      if (err instanceof GraphitiError) throw err;
+      error = unreachable(err, target, timeoutMs);
+    }
+
+    if (!isRetryable(error, { idempotent }) || attempt >= retries) throw error;
+
+    const delayMs = backoffDelay(attempt, backoffMs, error.retryAfterMs);
+    if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error });
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * Whether a retry could plausibly succeed — and, for a request that isn't
+ * idempotent, couldn't repeat one the server already acted on.
+ *
+ * @param {Error} error
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true]
+ */
+function isRetryable(error, options = {}) {
+  if (error instanceof GraphitiRateLimitError) return true;
+  if (options.idempotent === false) {
+    return error instanceof GraphitiUnreachableError && error.code === 'ECONNREFUSED';
+  }
+  return error instanceof GraphitiUnreachableError ||
+         error instanceof GraphitiServerError;
+}
+
+/**
+ * One-line, human-readable description of an error for CLI output.
+ */
+function describeError(err) {
+  if (!(err instanceof GraphitiError)) return err?.message || String(err);
+
+  switch (err.kind) {
+    case 'unreachable':
+      return `Graphiti unreachable${err.timedOut ? ' (timed out)' : ''} at ${err.url} — is \`docker compose up\` running?`;
+    case 'rate_limited':
+      return `Graphiti rate-limited the request — ${err.detail || 'slow down and retry later'}`;
+    case 'validation':
+      return `Invalid request: ${err.detail || err.message}`;
+    case 'not_found':
+      return `Not found in Graphiti: ${err.url}`;
+    case 'server':
+      return `Graphiti server error (${err.status}): ${err.detail || 'see container logs'}`;
+    default:
+      return err.message;
+  }
+}
+
+// Helpers
+async function fetchWithTimeout(target, method, body, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(target, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function dispatchToBackend(custom, path, method, body) {
+  const result = await custom.handle(method, path, body);
+  return new Response(JSON.stringify(result.body ?? {}), {
+    status: result.status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+function parseBody(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text };
+  }
+}
+
+function errorFromResponse(response, text, target) {
+  const status = response.status;
+  const detail = extractDetail(text);
+  const message = `Graphiti API error: ${status} - ${detail || response.statusText}`;
+  const opts = { status, detail, url: target };
+
+  const lower = (text || '').toLowerCase();
+  if (status === 429 || lower.includes('rate limit') || lower.includes('too many requests')) {
+    return new GraphitiRateLimitError(message, {
+      ...opts,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+  if (status === 400 || status === 422) return new GraphitiValidationError(message, opts);
+  if (status === 404) return new GraphitiNotFoundError(message, opts);
+  if (status >= 500) return new GraphitiServerError(message, opts);
+  return new GraphitiError(message, opts);
+}
+
+function unreachable(err, target, timeoutMs) {
+  const timedOut = err?.name === 'AbortError';
+  const reason = timedOut ? `timed out after ${timeoutMs}ms` : (err?.cause?.code || err?.message || String(err));
+  return new GraphitiUnreachableError(`Graphiti unreachable: ${reason}`, {
+    url: target,
+    timedOut,
+    code: err?.cause?.code || err?.code || null,
+    cause: err,
+  });
+}
+
+function extractDetail(text) {
+  if (!text) return null;
+  try {
+    const parsed = JSON.parse(text);
+    const detail = parsed.detail ?? parsed.message ?? parsed.error;
+    if (detail === undefined) return text.slice(0, 200);
+    return typeof detail === 'string' ? detail : JSON.stringify(detail).slice(0, 200);
+  } catch {
+    return text.slice(0, 200);
+  }
+}
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, baseMs, retryAfterMs) {
+  const exponential = baseMs * 2 ** attempt;
+  const jitter = exponential * 0.25 * Math.random();
+  return Math.min(DEFAULTS.maxBackoffMs, Math.max(retryAfterMs || 0, Math.round(exponential + jitter)));
+}
+
+function readInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+module.exports = {
+  request,
+  setBackend,
+  getBackend,
+  isRetryable,
+  describeError,
+  GraphitiError,
+  GraphitiUnreachableError,
+  GraphitiRateLimitError,
+  GraphitiValidationError,
+  GraphitiNotFoundError,
+  GraphitiServerError,
+  DEFAULTS
+};
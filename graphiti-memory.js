@@ -3,6 +3,9 @@
  * 
  * Graph RAG memory layer using Zep's Graphiti + Neo4j + OpenAI embeddings.
  * Stores conversations as a knowledge graph with semantic relationships.
+ * 
+ * All calls go through graphiti-client.js, so they time out, retry on
+ * 429/5xx and throw typed errors (GraphitiUnreachableError etc.).
  */
 
 const SKILL = {
@@ -12,8 +15,11 @@ const SKILL = {
   author: "Kit",
 };
 
+const { randomUUID } = require('crypto');
+const { request, GraphitiValidationError, DEFAULTS } = require('./graphiti-client.js');
+
 // Default configuration
-const DEFAULT_URL = process.env.GRAPHITI_URL || "http://localhost:18000";
+const DEFAULT_URL = DEFAULTS.url;
 const DEFAULT_GROUP = process.env.GRAPHITI_DEFAULT_GROUP || "default";
 
 /**
@@ -27,6 +33,7 @@ const DEFAULT_GROUP = process.env.GRAPHITI_DEFAULT_GROUP || "default";
  * @param {string} params.messages[].content - Message content
  * @param {string} params.messages[].timestamp - ISO 8601 timestamp
  * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
  * @returns {Promise<Object>} - {success: boolean, message: string}
  */
 async function add_memory(params) {
@@ -34,16 +41,16 @@ async function add_memory(params) {
   const group_id = params.group_id || DEFAULT_GROUP;
   
   if (!params.messages || !Array.isArray(params.messages) || params.messages.length === 0) {
-    throw new Error("messages array is required");
+    throw new GraphitiValidationError("messages array is required");
   }
   
   // Validate message format
   for (const msg of params.messages) {
     if (!msg.role_type || !msg.content) {
-      throw new Error("Each message must have role_type and content");
+      throw new GraphitiValidationError("Each message must have role_type and content");
     }
     if (!["user", "assistant", "system"].includes(msg.role_type)) {
-      throw new Error("role_type must be 'user', 'assistant', or 'system'");
+      throw new GraphitiValidationError("role_type must be 'user', 'assistant', or 'system'");
     }
   }
   
@@ -55,18 +62,12 @@ async function add_memory(params) {
     role: m.role || m.role_type,
   }));
   
-  const response = await fetch(`${url}/messages`, {
+  return await request("/messages", {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ group_id, messages }),
+    url,
+    body: { group_id, messages },
+    timeoutMs: params.timeout_ms,
   });
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Graphiti API error: ${response.status} - ${error}`);
-  }
-  
-  return await response.json();
 }
 
 /**
@@ -77,31 +78,27 @@ async function add_memory(params) {
  * @param {Array<string>} [params.group_ids] - Limit to specific groups (optional)
  * @param {number} [params.max_facts=10] - Maximum facts to return
  * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
  * @returns {Promise<Object>} - {facts: Array<{uuid, name, fact, created_at}>}
  */
 async function search(params) {
   const url = params.url || DEFAULT_URL;
   
   if (!params.query) {
-    throw new Error("query is required");
+    throw new GraphitiValidationError("query is required");
   }
   
-  const response = await fetch(`${url}/search`, {
+  return await request("/search", {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
+    url,
+    body: {
       query: params.query,
       group_ids: params.group_ids || null,
       max_facts: params.max_facts || 10,
-    }),
+    },
+    idempotent: true, // A read, despite the POST
+    timeoutMs: params.timeout_ms,
   });
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Graphiti API error: ${response.status} - ${error}`);
-  }
-  
-  return await response.json();
 }
 
 /**
@@ -113,17 +110,18 @@ async function search(params) {
  * @param {number} [params.max_facts=10] - Maximum facts to return
  * @param {string} [params.center_node_uuid] - Focus on specific entity (optional)
  * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
  * @returns {Promise<Object>} - Contextual facts
  */
 async function get_context(params) {
   const url = params.url || DEFAULT_URL;
   
   if (!params.group_id) {
-    throw new Error("group_id is required");
+    throw new GraphitiValidationError("group_id is required");
   }
   
   if (!params.messages || !Array.isArray(params.messages) || params.messages.length === 0) {
-    throw new Error("messages array is required");
+    throw new GraphitiValidationError("messages array is required");
   }
   
   // Convert string messages to proper format
@@ -142,23 +140,18 @@ async function get_context(params) {
     };
   });
   
-  const response = await fetch(`${url}/get-memory`, {
+  return await request("/get-memory", {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
+    url,
+    body: {
       group_id: params.group_id,
       center_node_uuid: params.center_node_uuid || null,
       messages,
       max_facts: params.max_facts || 10,
-    }),
+    },
+    idempotent: true, // A read, despite the POST
+    timeoutMs: params.timeout_ms,
   });
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Graphiti API error: ${response.status} - ${error}`);
-  }
-  
-  return await response.json();
 }
 
 /**
@@ -166,24 +159,22 @@ async function get_context(params) {
  * 
  * @param {Object} params
  * @param {string} [params.url] - Graphiti API URL (optional)
- * @returns {Promise<Object>} - {status: "healthy" | "unhealthy"}
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {status: "healthy" | "unhealthy", error?, kind?}
  */
-async function health(params) {
+async function health(params = {}) {
   const url = params.url || DEFAULT_URL;
   
   try {
-    const response = await fetch(`${url}/healthcheck`, {
-      method: "GET",
+    // Health checks should answer fast, not retry for a minute
+    const data = await request("/healthcheck", {
+      url,
+      retries: 0,
+      timeoutMs: params.timeout_ms || 5000,
     });
-    
-    if (!response.ok) {
-      return { status: "unhealthy", error: `HTTP ${response.status}` };
-    }
-    
-    const data = await response.json();
     return { status: data.status || "healthy" };
   } catch (error) {
-    return { status: "unhealthy", error: error.message };
+    return { status: "unhealthy", error: error.message, kind: error.kind || "unknown" };
   }
 }
 
@@ -193,25 +184,219 @@ async function health(params) {
  * @param {Object} params
  * @param {string} params.group_id - Group to clear
  * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
  * @returns {Promise<Object>} - {success: boolean}
  */
 async function clear_group(params) {
   const url = params.url || DEFAULT_URL;
   
   if (!params.group_id) {
-    throw new Error("group_id is required");
+    throw new GraphitiValidationError("group_id is required");
   }
   
-  const response = await fetch(`${url}/group/${params.group_id}`, {
+  await request(`/group/${encodeURIComponent(params.group_id)}`, {
     method: "DELETE",
+    url,
+    timeoutMs: params.timeout_ms,
   });
   
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Graphiti API error: ${response.status} - ${error}`);
+  return { success: true, group_id: params.group_id };
+}
+
+/**
+ * Get a single entity node (person, project, concept...)
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - Entity node UUID
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {uuid, name, group_id, summary, created_at, ...}
+ */
+async function get_entity_node(params) {
+  const url = params.url || DEFAULT_URL;
+  requireUuid(params);
+  
+  return await request(`/entity-node/${encodeURIComponent(params.uuid)}`, {
+    url,
+    timeoutMs: params.timeout_ms,
+  });
+}
+
+/**
+ * Add (or overwrite) a custom entity node
+ * 
+ * @param {Object} params
+ * @param {string} params.group_id - Group the entity belongs to
+ * @param {string} params.name - Entity name (e.g., "Project Alpha")
+ * @param {string} [params.summary] - Short description of the entity
+ * @param {string} [params.uuid] - UUID to use (generated if omitted)
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - The stored entity node
+ */
+async function add_entity_node(params) {
+  const url = params.url || DEFAULT_URL;
+  
+  if (!params.group_id) {
+    throw new GraphitiValidationError("group_id is required");
+  }
+  if (!params.name) {
+    throw new GraphitiValidationError("name is required");
   }
   
-  return { success: true, group_id: params.group_id };
+  return await request("/entity-node", {
+    method: "POST",
+    url,
+    body: {
+      uuid: params.uuid || randomUUID(),
+      group_id: params.group_id,
+      name: params.name,
+      summary: params.summary || "",
+    },
+    idempotent: true, // Same uuid on every attempt, so a repeat overwrites
+    timeoutMs: params.timeout_ms,
+  });
+}
+
+/**
+ * Get a single relationship edge (the "fact" returned by search)
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - Edge UUID (same as fact uuid in search results)
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {uuid, name, fact, valid_at, invalid_at, ...}
+ */
+async function get_entity_edge(params) {
+  const url = params.url || DEFAULT_URL;
+  requireUuid(params);
+  
+  return await request(`/entity-edge/${encodeURIComponent(params.uuid)}`, {
+    url,
+    timeoutMs: params.timeout_ms,
+  });
+}
+
+/**
+ * Delete a relationship edge — use to remove a wrongly extracted fact
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - Edge UUID
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {success: boolean, uuid}
+ */
+async function delete_entity_edge(params) {
+  const url = params.url || DEFAULT_URL;
+  requireUuid(params);
+  
+  await request(`/entity-edge/${encodeURIComponent(params.uuid)}`, {
+    method: "DELETE",
+    url,
+    timeoutMs: params.timeout_ms,
+  });
+  
+  return { success: true, uuid: params.uuid };
+}
+
+/**
+ * Get the most recent episodes (raw ingested messages) for a group
+ * 
+ * @param {Object} params
+ * @param {string} params.group_id - Group to read
+ * @param {number} [params.last_n=10] - Number of recent episodes
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Array>} - [{uuid, name, content, created_at, valid_at, source_description}]
+ */
+async function get_episodes(params) {
+  const url = params.url || DEFAULT_URL;
+  
+  if (!params.group_id) {
+    throw new GraphitiValidationError("group_id is required");
+  }
+  
+  const lastN = params.last_n || 10;
+  const episodes = await request(
+    `/episodes/${encodeURIComponent(params.group_id)}?last_n=${lastN}`,
+    { url, timeoutMs: params.timeout_ms }
+  );
+  
+  return Array.isArray(episodes) ? episodes : episodes.episodes || [];
+}
+
+/**
+ * Get a single episode
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - Episode UUID
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {uuid, name, content, created_at, ...}
+ */
+async function get_episode(params) {
+  const url = params.url || DEFAULT_URL;
+  requireUuid(params);
+  
+  return await request(`/episode/${encodeURIComponent(params.uuid)}`, {
+    url,
+    timeoutMs: params.timeout_ms,
+  });
+}
+
+/**
+ * Delete an episode (and the facts only it supported)
+ * 
+ * @param {Object} params
+ * @param {string} params.uuid - Episode UUID
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {success: boolean, uuid}
+ */
+async function delete_episode(params) {
+  const url = params.url || DEFAULT_URL;
+  requireUuid(params);
+  
+  await request(`/episode/${encodeURIComponent(params.uuid)}`, {
+    method: "DELETE",
+    url,
+    timeoutMs: params.timeout_ms,
+  });
+  
+  return { success: true, uuid: params.uuid };
+}
+
+/**
+ * Clear ALL data across every group (VERY DANGEROUS)
+ * 
+ * @param {Object} params
+ * @param {boolean} params.confirm - Must be exactly true
+ * @param {string} [params.url] - Graphiti API URL (optional)
+ * @param {number} [params.timeout_ms] - Per-attempt timeout override (optional)
+ * @returns {Promise<Object>} - {success: boolean}
+ */
+async function clear_all(params) {
+  const url = params.url || DEFAULT_URL;
+  
+  if (params.confirm !== true) {
+    throw new GraphitiValidationError("clear_all wipes every group - pass confirm: true to proceed");
+  }
+  
+  await request("/clear", {
+    method: "POST",
+    url,
+    retries: 0,
+    timeoutMs: params.timeout_ms,
+  });
+  
+  return { success: true };
+}
+
+// Helpers
+function requireUuid(params) {
+  if (!params.uuid) {
+    throw new GraphitiValidationError("uuid is required");
+  }
 }
 
 // Export functions for OpenClaw tool calling
@@ -222,4 +407,12 @@ module.exports = {
   get_context,
   health,
   clear_group,
+  get_entity_node,
+  add_entity_node,
+  get_entity_edge,
+  delete_entity_edge,
+  get_episodes,
+  get_episode,
+  delete_episode,
+  clear_all,
 };
@@ -0,0 +1,309 @@
+/**
+ * Offline Graphiti Backend
+ *
+ * In-process stand-in for the Graphiti REST API so the suite runs without
+ * Docker, Neo4j or an OpenAI key — local development, demos, tests.
+ *
+ * Select it with GRAPHITI_BACKEND=memory. Every request that would have gone
+ * over HTTP is answered here instead, with the same paths and shapes:
+ *
+ *   POST /messages       → stores each message as an episode + a fact
+ *   POST /search         → TF-IDF ranked facts (no embeddings, no LLM rewrite)
+ *   POST /get-memory     → same ranking, query built from the messages
+ *   GET  /episodes/{id}  → most recent episodes, oldest first
+ *   DELETE /group/{id}   → drops everything in the group
+ *   ...plus entity-node, entity-edge, episode and /clear
+ *
+ * Facts keep the message text verbatim, and created_at is the message
+ * timestamp, so backdated test data ages the way the trackers expect.
+ *
+ * State lives in memory for the life of the process. Set GRAPHITI_MEMORY_FILE
+ * to snapshot it to disk so separate `sa` runs share one graph.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { tokenize } = require('./text-match.js');
+
+/**
+ * Create an in-memory backend.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON snapshot path (loaded on start, saved on every write)
+ * @returns {{handle: Function, reset: Function, state: Object}}
+ */
+function createMemoryBackend(options = {}) {
+  const file = options.file || null;
+  const state = loadSnapshot(file);
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Answer one API call. Mirrors what the HTTP server would return.
+   *
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async function handle(method, rawPath, body = {}) {
+    const [pathname, queryString = ''] = rawPath.split('?');
+    const query = new URLSearchParams(queryString);
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const route = `${method} /${parts[0] || ''}`;
+    const id = parts[1];
+
+    switch (route) {
+      case 'GET /healthcheck':
+        return ok({ status: 'healthy' });
+
+      case 'POST /messages':
+        return addMessages(body);
+
+      case 'POST /search': {
+        if (!body.query) return invalid('query is required');
+        const facts = rankFacts(body.query, body.group_ids, body.max_facts || 10);
+        return ok({ facts });
+      }
+
+      case 'POST /get-memory': {
+        if (!body.group_id) return invalid('group_id is required');
+        const text = (body.messages || []).map(m => m.content || '').join(' ');
+        const facts = rankFacts(text, [body.group_id], body.max_facts || 10);
+        return ok({ facts });
+      }
+
+      case 'GET /episodes': {
+        const lastN = parseInt(query.get('last_n'), 10);
+        if (!Number.isFinite(lastN)) return invalid('last_n is required');
+        const episodes = state.episodes
+          .filter(e => e.group_id === id)
+          .sort((a, b) => a.valid_at.localeCompare(b.valid_at));
+        return ok(episodes.slice(-lastN));
+      }
+
+      case 'GET /episode':
+        return found(state.episodes.find(e => e.uuid === id));
+
+      case 'DELETE /episode': {
+        const episode = state.episodes.find(e => e.uuid === id);
+        if (!episode) return notFound();
+        state.episodes = state.episodes.filter(e => e.uuid !== id);
+        // Facts only this episode supported go with it
+        state.facts = state.facts.filter(f => !(f.episodes.length === 1 && f.episodes[0] === id));
+        save();
+        return ok({ message: 'Episode deleted', success: true });
+      }
+
+      case 'GET /entity-node':
+        return found(state.nodes.find(n => n.uuid === id));
+
+      case 'POST /entity-node': {
+        if (!body.group_id || !body.name) return invalid('group_id and name are required');
+        const node = {
+          uuid: body.uuid || randomUUID(),
+          group_id: body.group_id,
+          name: body.name,
+          summary: body.summary || '',
+          labels: ['Entity'],
+          created_at: new Date().toISOString()
+        };
+        state.nodes = state.nodes.filter(n => n.uuid !== node.uuid).concat(node);
+        save();
+        return ok(node);
+      }
+
+      case 'GET /entity-edge':
+        return found(state.facts.find(f => f.uuid === id));
+
+      case 'DELETE /entity-edge': {
+        if (!state.facts.some(f => f.uuid === id)) return notFound();
+        state.facts = state.facts.filter(f => f.uuid !== id);
+        save();
+        return ok({ message: 'Entity Edge deleted', success: true });
+      }
+
+      case 'DELETE /group':
+        state.episodes = state.episodes.filter(e => e.group_id !== id);
+        state.facts = state.facts.filter(f => f.group_id !== id);
+        state.nodes = state.nodes.filter(n => n.group_id !== id);
+        save();
+        return ok({ message: 'Group deleted', success: true });
+
+      case 'POST /clear':
+        reset();
+        return ok({ message: 'Graph cleared', success: true });
+
+      default:
+        return { status: 404, body: { detail: 'Not Found' } };
+    }
+  }
+
+  function addMessages(body) {
+    if (!body.group_id) return invalid('group_id is required');
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      return invalid('messages array is required');
+    }
+
+    const now = new Date().toISOString();
+    for (const msg of body.messages) {
+      const timestamp = msg.timestamp || now;
+      const role = msg.role || '';
+      const episode = {
+        uuid: randomUUID(),
+        name: `Message from ${role || msg.role_type}`,
+        group_id: body.group_id,
+        // Same body format the Graphiti server builds for /messages
+        content: `${role}(${msg.role_type}): ${msg.content}`,
+        source: 'message',
+        source_description: msg.source_description || '',
+        created_at: timestamp,
+        valid_at: timestamp
+      };
+      state.episodes.push(episode);
+
+      const speaker = upsertNode(body.group_id, role || msg.role_type, timestamp);
+      for (const name of extractEntityNames(msg.content)) {
+        upsertNode(body.group_id, name, timestamp);
+      }
+
+      state.facts.push({
+        uuid: randomUUID(),
+        name: 'MENTIONED',
+        fact: msg.content,
+        group_id: body.group_id,
+        source_node_uuid: speaker.uuid,
+        episodes: [episode.uuid],
+        valid_at: timestamp,
+        invalid_at: null,
+        created_at: timestamp,
+        expired_at: null
+      });
+    }
+
+    save();
+    return { status: 202, body: { message: 'Messages added to processing queue', success: true } };
+  }
+
+  function upsertNode(groupId, name, timestamp) {
+    let node = state.nodes.find(n => n.group_id === groupId && n.name === name);
+    if (!node) {
+      node = { uuid: randomUUID(), group_id: groupId, name, summary: '', labels: ['Entity'], created_at: timestamp };
+      state.nodes.push(node);
+    }
+    return node;
+  }
+
+  function rankFacts(queryText, groupIds, limit) {
+    const pool = state.facts.filter(f =>
+      !f.invalid_at && (!groupIds || groupIds.length === 0 || groupIds.includes(f.group_id))
+    );
+    return rankByTfIdf(queryText, pool, f => f.fact)
+      .slice(0, limit)
+      .map(({ item }) => publicFact(item));
+  }
+
+  function reset() {
+    state.episodes = [];
+    state.facts = [];
+    state.nodes = [];
+    save();
+  }
+
+  return { handle, reset, state };
+}
+
+/**
+ * Rank items against a query with TF-IDF cosine similarity.
+ * Items that share no terms with the query are dropped.
+ * Ties go to the most recent item.
+ *
+ * @returns {Array<{item, score}>}
+ */
+function rankByTfIdf(queryText, items, getText) {
+  const queryTerms = tokenize(queryText);
+  if (queryTerms.length === 0 || items.length === 0) return [];
+
+  const docs = items.map(item => tokenize(getText(item)));
+  const docFreq = new Map();
+  for (const terms of docs) {
+    for (const term of new Set(terms)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+  const idf = term => Math.log((docs.length + 1) / ((docFreq.get(term) || 0) + 1)) + 1;
+
+  const queryVec = weigh(queryTerms, idf);
+  const scored = [];
+  docs.forEach((terms, i) => {
+    const score = cosine(queryVec, weigh(terms, idf));
+    if (score > 0) scored.push({ item: items[i], score });
+  });
+
+  return scored.sort((a, b) =>
+    b.score - a.score || String(b.item.created_at).localeCompare(String(a.item.created_at))
+  );
+}
+
+// Helpers
+function weigh(terms, idf) {
+  const vec = new Map();
+  for (const term of terms) vec.set(term, (vec.get(term) || 0) + 1);
+  for (const [term, tf] of vec) vec.set(term, tf * idf(term));
+  return vec;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, w] of a) dot += w * (b.get(term) || 0);
+  if (dot === 0) return 0;
+  const norm = v => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+function extractEntityNames(text) {
+  // Capitalised words not at the start of a sentence — crude, but offline
+  const names = new Set();
+  const matches = String(text || '').matchAll(/(?<![.!?]\s|^)\b([A-Z][a-z]{2,})\b/g);
+  for (const match of matches) names.add(match[1]);
+  return names;
+}
+
+function publicFact(fact) {
+  const { uuid, name, fact: text, valid_at, invalid_at, created_at, expired_at } = fact;
+  return { uuid, name, fact: text, valid_at, invalid_at, created_at, expired_at };
+}
+
+function loadSnapshot(file) {
+  const empty = { episodes: [], facts: [], nodes: [] };
+  if (!file || !fs.existsSync(file)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    console.error(`WARN: Failed to load offline graph from ${file} (${err.message}). Starting empty.`);
+    return empty;
+  }
+}
+
+function ok(body) {
+  return { status: 200, body };
+}
+
+function found(item) {
+  return item ? ok(item) : notFound();
+}
+
+function notFound() {
+  return { status: 404, body: { detail: 'Not found' } };
+}
+
+function invalid(detail) {
+  return { status: 422, body: { detail } };
+}
+
+module.exports = {
+  createMemoryBackend,
+  rankByTfIdf
+};
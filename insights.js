@@ -5,22 +5,19 @@
  * that complement ADHD associative thinking.
  */
 
-const GRAPHITI_URL = process.env.GRAPHITI_URL || "http://localhost:18000";
+const { search } = require('./graphiti-memory.js');
+const { createContext, appResult } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
 /**
  * Find recurring themes in conversations
  */
 async function findRecurringThemes(groupId, daysBack = 30) {
-  const response = await fetch(`${GRAPHITI_URL}/search`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      query: "What topics or concepts appear most frequently in recent conversations?",
-      group_ids: [groupId],
-      max_facts: 20
-    })
+  return await search({
+    query: "What topics or concepts appear most frequently in recent conversations?",
+    group_ids: [groupId],
+    max_facts: 20
   });
-  return await response.json();
 }
 
 /**
@@ -31,16 +28,11 @@ async function findEmotionalPatterns(groupId) {
   const patterns = [];
   
   for (const emotion of emotions) {
-    const response = await fetch(`${GRAPHITI_URL}/search`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        query: `When does Tom feel ${emotion}?`,
-        group_ids: [groupId],
-        max_facts: 5
-      })
+    const result = await search({
+      query: `When does ${getProfile().user} feel ${emotion}?`,
+      group_ids: [groupId],
+      max_facts: 5
     });
-    const result = await response.json();
     if (result.facts?.length > 2) {
       patterns.push({ emotion, count: result.facts.length, facts: result.facts });
     }
@@ -57,16 +49,11 @@ async function findCrossDomainConnections(groupId) {
   const connections = [];
   
   for (const domain of domains) {
-    const response = await fetch(`${GRAPHITI_URL}/search`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        query: `What ${domain} topics connect to other areas of Tom's life?`,
-        group_ids: [groupId],
-        max_facts: 5
-      })
+    const result = await search({
+      query: `What ${domain} topics connect to other areas of ${getProfile().user}'s life?`,
+      group_ids: [groupId],
+      max_facts: 5
     });
-    const result = await response.json();
     if (result.facts?.length > 0) {
       connections.push({ domain, facts: result.facts });
     }
@@ -78,9 +65,8 @@ async function findCrossDomainConnections(groupId) {
 /**
  * Generate weekly insight digest
  */
-async function generateWeeklyInsights() {
-  const groupId = "tom-kit-dm";
-  
+async function generateWeeklyInsights(groupId = groupFor("dm")) {
+
   // Collect data
   const [themes, emotions, connections] = await Promise.all([
     findRecurringThemes(groupId),
@@ -130,21 +116,15 @@ async function generateWeeklyInsights() {
  * Check for immediate insight opportunity
  */
 async function checkForInsight(currentMessage, recentContext) {
-  const groupId = "tom-kit-dm";
+  const groupId = groupFor("dm");
   
   // Search for related past topics
-  const response = await fetch(`${GRAPHITI_URL}/search`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      query: currentMessage.slice(0, 100),
-      group_ids: [groupId],
-      max_facts: 3
-    })
+  const result = await search({
+    query: currentMessage.slice(0, 100),
+    group_ids: [groupId],
+    max_facts: 3
   });
   
-  const result = await response.json();
-  
   // If we found related facts from >7 days ago, surface connection
   if (result.facts?.length > 0) {
     const oldFacts = result.facts.filter(f => {
@@ -165,7 +145,30 @@ async function checkForInsight(currentMessage, recentContext) {
   return { hasInsight: false };
 }
 
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const insights = await generateWeeklyInsights(ctx.group);
+  
+  return appResult({
+    summary: insights.length > 0
+      ? `${insights.length} insight${insights.length > 1 ? "s" : ""} from ${ctx.group}`
+      : `No notable patterns in ${ctx.group}`,
+    findings: insights.map(i => ({
+      type: i.type,
+      severity: i.priority,
+      message: i.message
+    })),
+    metrics: {
+      insights: insights.length
+    }
+  });
+}
+
 module.exports = {
+  run,
   generateWeeklyInsights,
   checkForInsight,
   findRecurringThemes,
@@ -5,13 +5,19 @@
  */
 
 const { add_memory, search } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { createContext, appResult } = require('./app-contract.js');
+const { groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-learning";
+const GROUP_ID = groupFor("learning");
+const STREAM = "learning";
 
 /**
  * Log new learning/concept
  */
 async function logLearning(concept, source, context) {
+  appendEvent(STREAM, "learned", { concept, source, context }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -27,6 +33,8 @@ async function logLearning(concept, source, context) {
  * Log implementation attempt
  */
 async function logImplementation(concept, action, result) {
+  appendEvent(STREAM, "implemented", { concept, action, result }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -202,6 +210,40 @@ async function suggestExperiment(concept) {
   return { suggestion: "Pick one small way to try this today" };
 }
 
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const [unimplemented, effectiveness] = await Promise.all([
+    findUnimplementedLearnings(30),
+    calculateLearningEffectiveness(90)
+  ]);
+  const recent = queryEvents(STREAM, { group: GROUP_ID, since: ctx.since });
+  
+  const findings = unimplemented.slice(0, 10).map(l => ({
+    type: "unimplemented",
+    severity: l.days_since > 30 ? "medium" : "low",
+    message: `"${l.concept}" learned ${l.days_since} days ago, not tried yet`,
+    data: { source: l.source, learned_date: l.learned_date }
+  }));
+  
+  return appResult({
+    summary: effectiveness.total_learned === 0
+      ? "No learnings logged yet"
+      : `${effectiveness.implementation_rate} of learnings implemented — ${effectiveness.insight}`,
+    findings,
+    metrics: {
+      totalLearned: effectiveness.total_learned,
+      totalImplemented: effectiveness.total_implemented,
+      implementationRate: parseFloat(effectiveness.implementation_rate),
+      unimplemented: unimplemented.length,
+      learnedSince: recent.filter(r => r.type === "learned").length,
+      implementedSince: recent.filter(r => r.type === "implemented").length
+    }
+  });
+}
+
 // Helpers
 function extractConcept(factText) {
   const match = factText.match(/"(.+?)"/);
@@ -243,6 +285,7 @@ function generateInsight(total, implemented) {
 }
 
 module.exports = {
+  run,
   logLearning,
   logImplementation,
   findUnimplementedLearnings,
@@ -0,0 +1,142 @@
+/**
+ * Local Store
+ *
+ * Structured records that live next to the Graphiti episodes.
+ *
+ * Graphiti is great at "what do we know about X?" but it rewrites every
+ * episode into LLM-phrased facts, so parsing "By: 2026-02-14" back out of
+ * a fact is a coin flip. Trackers therefore write each event twice: the
+ * readable episode to Graphiti, and the exact typed record here. Anything
+ * that needs a number, a date or a status reads it from here.
+ *
+ * Layout under SA_DATA_DIR (default ~/.graph-memory-suite):
+ *   events/<stream>.jsonl   append-only event log, one record per line
+ *   <name>.json             small state documents (counters, ledgers)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const DATA_DIR = process.env.SA_DATA_DIR || path.join(os.homedir(), '.graph-memory-suite');
+
+/**
+ * Append a typed record to an event stream.
+ *
+ * @param {string} stream - Stream name, usually the tracker ("commitments", "time")
+ * @param {string} type - Record type within the stream ("commitment", "closed")
+ * @param {Object} [fields] - Record payload; an `id` here is kept, otherwise one is generated
+ * @param {Object} [options]
+ * @param {string} [options.group] - Graphiti group the matching episode went to
+ * @param {string} [options.timestamp] - ISO 8601 event time (default: now)
+ * @returns {Object} - The stored record: {...fields, id, type, group, ts}
+ */
+function appendEvent(stream, type, fields = {}, options = {}) {
+  const record = {
+    ...fields,
+    id: fields.id || randomUUID(),
+    type,
+    group: options.group || null,
+    ts: options.timestamp || new Date().toISOString()
+  };
+
+  const file = streamPath(stream);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+
+  return record;
+}
+
+/**
+ * Read records from a stream, oldest first.
+ *
+ * @param {string} stream
+ * @param {Object} [filter]
+ * @param {string|Array<string>} [filter.type] - Record type(s) to keep
+ * @param {string} [filter.group] - Only records for this group
+ * @param {Date|string} [filter.since] - Inclusive lower bound on ts
+ * @param {Date|string} [filter.until] - Exclusive upper bound on ts
+ * @param {Function} [filter.where] - Extra predicate
+ * @returns {Array<Object>}
+ */
+function queryEvents(stream, filter = {}) {
+  const file = streamPath(stream);
+  if (!fs.existsSync(file)) return [];
+
+  const types = filter.type ? [].concat(filter.type) : null;
+  const since = filter.since ? new Date(filter.since).getTime() : -Infinity;
+  const until = filter.until ? new Date(filter.until).getTime() : Infinity;
+
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue; // Torn write from a crashed process — skip it
+    }
+
+    if (types && !types.includes(record.type)) continue;
+    if (filter.group && record.group !== filter.group) continue;
+    const ts = new Date(record.ts).getTime();
+    if (ts < since || ts >= until) continue;
+    if (filter.where && !filter.where(record)) continue;
+
+    records.push(record);
+  }
+
+  return records.sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+/**
+ * Read a JSON state document, or the fallback if it doesn't exist yet.
+ */
+function readJson(name, fallback = {}) {
+  const file = dataPath(`${name}.json`);
+  if (!fs.existsSync(file)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`WARN: Failed to parse ${file} (${err.message}). Using defaults.`);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON state document atomically (temp file + rename),
+ * so a crash mid-write never leaves half a file behind.
+ */
+function writeJson(name, data) {
+  const file = dataPath(`${name}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Absolute path for a file inside the data directory.
+ */
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+function streamPath(stream) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(stream)) {
+    throw new Error(`Invalid stream name: ${stream}`);
+  }
+  return dataPath('events', `${stream}.jsonl`);
+}
+
+module.exports = {
+  appendEvent,
+  queryEvents,
+  readJson,
+  writeJson,
+  dataPath,
+  DATA_DIR
+};
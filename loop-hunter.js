@@ -3,12 +3,38 @@
  * 
  * Finds and surfaces open loops that drain executive function
  * Helps close or consciously abandon incomplete threads
+ *
+ * The same loop comes up again and again ("follow up with Rory"). A new
+ * loop is first matched against the open ones — similar wording, the
+ * graph's own (embedding) search, and the people it names — and when it
+ * matches, it's logged as another mention of that loop instead of a new
+ * one. Stale counts and the digest work on these clusters.
  */
 
 const { search, add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
 const { generateAlert } = require('./alert-generator.js');
+const { createContext, appResult } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
+const { textSimilarity, wordCoverage, mentionedPeople, tokenize } = require('./text-match.js');
 
-const GROUP_ID = "tom-kit-loops";
+const GROUP_ID = groupFor("loops");
+const STREAM = "loops";
+
+// Matching a new loop to an open one
+const MERGE_SCORE = 0.6;
+const WEIGHTS = { text: 0.6, semantic: 0.25, person: 0.15 };
+const SEMANTIC_RESULTS = 10; // Graph search hits considered
+const FACT_COVERAGE = 0.6;   // Share of a loop's words a graph fact needs to count as about it
+const MIN_SHARED_WORDS = 1;  // Words besides the action two loops must share to merge
+
+// "Follow up", "email", "call": every loop has one, so sharing it proves nothing
+const ACTION_WORDS = new Set(tokenize(
+  "follow up call email ring text message ping chase check in talk speak to reply respond send " +
+  "get back book sort out look into remind finish do make write ask tell"
+));
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 /**
  * Detect new potential loop from conversation
@@ -26,13 +52,57 @@ async function detectNewLoop(message, context) {
     if (match) {
       // Extract the loop
       const loop = {
-        topic: extractTopic(match[0]),
+        topic: extractTopic(message.slice(match.index)),
         original_message: message,
         created_at: new Date().toISOString(),
         source: context.person || "unknown",
         status: "open"
       };
       
+      // Said before? Then it's another mention of that loop, not a new one
+      const existing = await findMatchingLoop(loop.topic, message);
+      if (existing) {
+        const record = appendEvent(STREAM, "mention", {
+          loop_id: existing.loop.id,
+          topic: loop.topic,
+          source: loop.source,
+          context: message.slice(0, 200),
+          score: existing.score
+        }, { group: GROUP_ID, timestamp: loop.created_at });
+        
+        await add_memory({
+          group_id: GROUP_ID,
+          messages: [{
+            role_type: "system",
+            role: "LoopTracker",
+            content: `[LOOP_MENTION] ${existing.loop.topic} | Said again as: ${loop.topic} | Mentions: ${existing.loop.mention_count + 1} | Source: ${loop.source}`,
+            timestamp: loop.created_at
+          }]
+        });
+        
+        return {
+          ...loop,
+          id: existing.loop.id,
+          topic: existing.loop.topic,
+          said_as: loop.topic,
+          mention_id: record.id,
+          merged: true,
+          mention_count: existing.loop.mention_count + 1,
+          first_seen: existing.loop.first_seen,
+          match: { score: existing.score, text: existing.text, semantic: existing.semantic, person: existing.person }
+        };
+      }
+      
+      // Typed record first, then the graph episode
+      const record = appendEvent(STREAM, "loop", {
+        topic: loop.topic,
+        source: loop.source,
+        context: message.slice(0, 200)
+      }, { group: GROUP_ID, timestamp: loop.created_at });
+      loop.id = record.id;
+      loop.merged = false;
+      loop.mention_count = 1;
+      
       // Log to graph
       await add_memory({
         group_id: GROUP_ID,
@@ -52,32 +122,63 @@ async function detectNewLoop(message, context) {
 }
 
 /**
- * Find all stale loops (open for X days)
+ * Find all stale loops (open for X days), repeat mentions clustered
+ * 
+ * @returns {Promise<Array>} - Oldest first:
+ *   {id, topic, age_days, created_at, first_seen, last_seen, mention_count, loop_ids}
  */
 async function findStaleLoops(daysThreshold = 7) {
-  const openLoops = await search({
-    query: "open loops unfinished tasks follow-up needed",
-    group_ids: [GROUP_ID],
-    max_facts: 20
-  });
-  
-  const stale = [];
+  const open = getOpenLoops();
+  // Loops logged before the local store only exist in the graph
+  const clusters = open.length > 0 || hasLocalLoops() ? clusterLoops(open) : await graphLoopClusters();
   const now = Date.now();
   
-  for (const fact of openLoops.facts || []) {
-    const age = (now - new Date(fact.created_at)) / (1000 * 60 * 60 * 24);
-    
-    if (age > daysThreshold) {
-      stale.push({
-        topic: fact.fact,
-        age_days: Math.round(age),
-        created_at: fact.created_at,
-        uuid: fact.uuid
-      });
+  return clusters
+    .map(cluster => ({
+      ...cluster,
+      age_days: Math.round((now - new Date(cluster.first_seen)) / DAY_MS),
+      created_at: cluster.first_seen
+    }))
+    .filter(cluster => (now - new Date(cluster.first_seen)) / DAY_MS > daysThreshold)
+    .sort((a, b) => b.age_days - a.age_days);
+}
+
+/**
+ * Group loops that are the same thing said more than once.
+ * 
+ * Mentions logged through detectNewLoop() are already on their loop; this
+ * also catches duplicates recorded before matching existed. Greedy: each
+ * loop joins the first (oldest) cluster it matches, on wording and people.
+ * 
+ * @param {Array<Object>} loops - From getOpenLoops()
+ * @returns {Array<{id, topic, loop_ids, mention_count, first_seen, last_seen, sources}>}
+ */
+function clusterLoops(loops) {
+  const clusters = [];
+  const ordered = [...loops].sort((a, b) => new Date(a.first_seen) - new Date(b.first_seen));
+  
+  for (const loop of ordered) {
+    const cluster = clusters.find(c => scoreMatch(c.lead, loop, null).score >= MERGE_SCORE);
+    if (cluster) {
+      cluster.loop_ids.push(loop.id);
+      cluster.mention_count += loop.mention_count;
+      if (new Date(loop.last_seen) > new Date(cluster.last_seen)) cluster.last_seen = loop.last_seen;
+      for (const source of loop.sources) if (!cluster.sources.includes(source)) cluster.sources.push(source);
+      continue;
     }
+    clusters.push({
+      id: loop.id,
+      topic: loop.topic,
+      loop_ids: [loop.id],
+      mention_count: loop.mention_count,
+      first_seen: loop.first_seen,
+      last_seen: loop.last_seen,
+      sources: [...loop.sources],
+      lead: loop
+    });
   }
   
-  return stale.sort((a, b) => b.age_days - a.age_days);
+  return clusters.map(({ lead, ...cluster }) => cluster);
 }
 
 /**
@@ -86,7 +187,7 @@ async function findStaleLoops(daysThreshold = 7) {
 async function findRelatedLoops(currentTopic) {
   const related = await search({
     query: `${currentTopic} loop task follow-up unfinished`,
-    group_ids: [GROUP_ID, "tom-kit-dm"],
+    group_ids: [GROUP_ID, groupFor("dm")],
     max_facts: 5
   });
   
@@ -96,34 +197,154 @@ async function findRelatedLoops(currentTopic) {
   }) || [];
 }
 
+/**
+ * Open loops from the local store (not closed or abandoned), oldest first
+ * 
+ * @returns {Array<Object>} - Loop records plus {mentions: [{topic, source, context, at}],
+ *   mention_count, first_seen, last_seen, sources}
+ */
+function getOpenLoops() {
+  const records = queryEvents(STREAM, { group: GROUP_ID });
+  const finished = records.filter(r => r.type === "closed" || r.type === "abandoned");
+  // Records are in time order, so a later "reopened" undoes an earlier close
+  const closedIds = new Set();
+  for (const record of records) {
+    if ((record.type === "closed" || record.type === "abandoned") && record.loop_id) closedIds.add(record.loop_id);
+    if (record.type === "reopened") closedIds.delete(record.loop_id);
+  }
+  // Loops closed before ids were recorded only have their topic
+  const closedTopics = new Set(finished.filter(r => !r.loop_id).map(r => normalizeTopic(r.topic)));
+  
+  const mentions = new Map();
+  for (const record of records.filter(r => r.type === "mention")) {
+    if (!mentions.has(record.loop_id)) mentions.set(record.loop_id, []);
+    mentions.get(record.loop_id).push({ topic: record.topic, source: record.source, context: record.context, at: record.ts });
+  }
+  
+  return records
+    .filter(r => r.type === "loop" && !closedIds.has(r.id) && !closedTopics.has(normalizeTopic(r.topic)))
+    .map(loop => {
+      const said = mentions.get(loop.id) || [];
+      return {
+        ...loop,
+        mentions: said,
+        mention_count: 1 + said.length,
+        first_seen: loop.ts,
+        last_seen: said.length > 0 ? said[said.length - 1].at : loop.ts,
+        sources: [...new Set([loop.source, ...said.map(m => m.source)])]
+      };
+    });
+}
+
+/**
+ * The open loop a newly detected one repeats, if any.
+ * 
+ * Each open loop is scored on wording (textSimilarity of the topics and
+ * of the messages they came from), on whether the graph's search —
+ * embedding-ranked in Graphiti — puts it near the new topic, and on
+ * naming the same people. Two loops that name different people never
+ * match, and neither do two that share nothing but the action ("follow
+ * up", "email"). Without the graph, wording and people decide.
+ * 
+ * @param {string} topic
+ * @param {string} [context] - The message it came from
+ * @returns {Promise<{loop, score, text, semantic, person}|null>}
+ */
+async function findMatchingLoop(topic, context = "") {
+  const open = getOpenLoops();
+  if (open.length === 0) return null;
+  
+  const semantic = await semanticScores(topic, open);
+  const candidate = { topic, context, sources: [] };
+  let best = null;
+  
+  for (const loop of open) {
+    const match = scoreMatch(loop, candidate, semantic);
+    if (match.score >= MERGE_SCORE && (!best || match.score > best.score)) best = { loop, ...match };
+  }
+  
+  return best;
+}
+
 /**
  * Close a loop
+ * 
+ * @param {string} loopTopic - Loop id, or its topic
+ * @param {string} resolution
  */
 async function closeLoop(loopTopic, resolution) {
+  const loop = findOpenLoop(loopTopic);
+  appendEvent(STREAM, "closed", {
+    loop_id: loop?.id || null,
+    topic: loop?.topic || loopTopic,
+    resolution
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
       role_type: "system",
       role: "LoopTracker",
-      content: `[CLOSED] ${loopTopic} | Resolution: ${resolution} | Closed: ${new Date().toISOString()}`,
+      content: `[CLOSED] ${loop?.topic || loopTopic} | Resolution: ${resolution} | Closed: ${new Date().toISOString()}`,
       timestamp: new Date().toISOString()
     }]
   });
+  
+  return { closed: Boolean(loop), loop };
 }
 
 /**
  * Abandon a loop (consciously)
+ * 
+ * @param {string} loopTopic - Loop id, or its topic
+ * @param {string} reason
  */
 async function abandonLoop(loopTopic, reason) {
+  const loop = findOpenLoop(loopTopic);
+  appendEvent(STREAM, "abandoned", {
+    loop_id: loop?.id || null,
+    topic: loop?.topic || loopTopic,
+    reason
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
       role_type: "system",
       role: "LoopTracker",
-      content: `[ABANDONED] ${loopTopic} | Reason: ${reason} | Date: ${new Date().toISOString()}`,
+      content: `[ABANDONED] ${loop?.topic || loopTopic} | Reason: ${reason} | Date: ${new Date().toISOString()}`,
       timestamp: new Date().toISOString()
     }]
   });
+  
+  return { abandoned: Boolean(loop), loop };
+}
+
+/**
+ * Reopen a loop that was closed or abandoned by mistake
+ * 
+ * @param {string} loopId
+ * @param {string} [note]
+ * @returns {Promise<Object|null>} - The loop, open again; null if it isn't closed
+ */
+async function reopenLoop(loopId, note) {
+  const records = queryEvents(STREAM, { group: GROUP_ID });
+  const loop = records.find(r => r.type === "loop" && r.id === loopId);
+  if (!loop || getOpenLoops().some(l => l.id === loopId)) return null;
+  
+  appendEvent(STREAM, "reopened", { loop_id: loopId, topic: loop.topic, note: note || null }, { group: GROUP_ID });
+  
+  await add_memory({
+    group_id: GROUP_ID,
+    messages: [{
+      role_type: "system",
+      role: "LoopTracker",
+      content: `[REOPENED] ${loop.topic} | Note: ${note || "-"} | Date: ${new Date().toISOString()}`,
+      timestamp: new Date().toISOString()
+    }]
+  });
+  
+  return getOpenLoops().find(l => l.id === loopId) || null;
 }
 
 /**
@@ -145,7 +366,7 @@ async function generateLoopAlert(staleLoops) {
 }
 
 /**
- * Daily loop digest
+ * Daily loop digest — one line per cluster, with how often it came up
  */
 async function generateLoopDigest() {
   const stale = await findStaleLoops(3); // 3+ days
@@ -153,14 +374,19 @@ async function generateLoopDigest() {
   
   if (stale.length === 0) return null;
   
+  const mentions = stale.reduce((sum, l) => sum + l.mention_count, 0);
   const topics = stale.slice(0, 5).map(l => 
-    `- ${l.topic.slice(0, 60)}${l.topic.length > 60 ? '...' : ''} (${l.age_days} days)`
+    `- ${l.topic.slice(0, 60)}${l.topic.length > 60 ? '...' : ''} (${l.age_days} days` +
+    (l.mention_count > 1 ? `, mentioned ${l.mention_count}× — last ${daysAgo(l.last_seen)}` : "") + ")"
   ).join('\n');
   
   return {
     total_open: stale.length,
     very_stale: veryStale.length,
-    summary: `${stale.length} open loops detected`,
+    mentions,
+    clusters: stale.slice(0, 5).map(({ id, topic, mention_count, first_seen, last_seen, age_days }) =>
+      ({ id, topic, mention_count, first_seen, last_seen, age_days })),
+    summary: `${stale.length} open loops detected` + (mentions > stale.length ? ` (${mentions} mentions)` : ""),
     top_loops: topics,
     suggestion: veryStale.length > 0 
       ? `${veryStale.length} are over 2 weeks old - archive or schedule?`
@@ -168,9 +394,55 @@ async function generateLoopDigest() {
   };
 }
 
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const stale = await findStaleLoops(ctx.thresholds.loopDaysThreshold);
+  const opened = queryEvents(STREAM, { type: "loop", group: GROUP_ID, since: ctx.since });
+  const repeated = queryEvents(STREAM, { type: "mention", group: GROUP_ID, since: ctx.since });
+  
+  const findings = stale.slice(0, 10).map(loop => ({
+    type: "stale_loop",
+    severity: loop.age_days > 14 || loop.mention_count > 3 ? "high" : "medium",
+    message: `${loop.topic.slice(0, 80)} (${loop.age_days} days open` +
+      (loop.mention_count > 1 ? `, mentioned ${loop.mention_count}×` : "") + ")",
+    data: { id: loop.id, loop_ids: loop.loop_ids, created_at: loop.created_at, last_seen: loop.last_seen }
+  }));
+  
+  for (const loop of opened) {
+    findings.push({
+      type: "new_loop",
+      severity: "info",
+      message: `New loop: ${loop.topic}`,
+      data: { id: loop.id, source: loop.source }
+    });
+  }
+  
+  return appResult({
+    summary: stale.length > 0
+      ? `${stale.length} loops open longer than ${ctx.thresholds.loopDaysThreshold} days`
+      : `No stale loops (${opened.length} new since ${ctx.since.toISOString().slice(0, 10)})`,
+    findings,
+    alerts: stale.length > 0
+      ? [{ type: "loops", text: generateAlert("commitment", { subtype: "stale", count: stale.length }) }]
+      : [],
+    metrics: {
+      staleLoops: stale.length,
+      newLoops: opened.length,
+      repeatMentions: repeated.length,
+      oldestDays: stale.length > 0 ? stale[0].age_days : 0,
+      threshold: ctx.thresholds.loopDaysThreshold
+    }
+  });
+}
+
 // Helpers
 function extractTopic(message) {
-  // Extract the actionable item from loop indicator
+  // Extract the actionable item from loop indicator, within its sentence —
+  // keep the object, "follow up" alone matches every other follow-up
+  const sentence = message.split(/[.!?\n]/)[0];
   const patterns = [
     /(?:I['ll]|will|need to|should|have to)\s+(.+?)(?:\s+(?:later|tomorrow|soon|eventually)|$)/i,
     /(?:need|should|got to)\s+(.+?)(?:\s+(?:follow up|call|email|check)|$)/i,
@@ -178,19 +450,122 @@ function extractTopic(message) {
   ];
   
   for (const pattern of patterns) {
-    const match = message.match(pattern);
+    const match = sentence.match(pattern);
     if (match) return match[1].trim();
   }
   
-  return message.slice(0, 50);
+  return sentence.slice(0, 50);
+}
+
+function normalizeTopic(topic) {
+  return String(topic || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function scoreMatch(loop, candidate, semantic) {
+  const names = getProfile().relationships.map(r => r.name);
+  const loopPeople = mentionedPeople(`${loop.topic} ${loop.context || ""}`, names);
+  const candidatePeople = mentionedPeople(`${candidate.topic} ${candidate.context || ""}`, names);
+  const shared = [...candidatePeople].filter(p => loopPeople.has(p)).length;
+  // Topics are short, so the messages they came from count as much
+  const text = loop.context && candidate.context
+    ? (textSimilarity(loop.topic, candidate.topic) + textSimilarity(loop.context, candidate.context)) / 2
+    : textSimilarity(loop.topic, candidate.topic);
+  
+  // "Call Rory" and "call Sam" read alike but are different loops
+  if (loopPeople.size > 0 && candidatePeople.size > 0 && shared === 0) {
+    return { score: 0, text: round(text), semantic: 0, person: 0 };
+  }
+  // So are "email the landlord" and "email Priya" when Priya isn't a known name
+  if (sharedSubjectWords(loop, candidate) < MIN_SHARED_WORDS) {
+    return { score: 0, text: round(text), semantic: 0, person: 0 };
+  }
+  
+  const person = shared > 0 ? 1 : 0;
+  const withoutGraph = (WEIGHTS.text * text + WEIGHTS.person * person) / (WEIGHTS.text + WEIGHTS.person);
+  if (!semantic) {
+    return { score: round(withoutGraph), text: round(text), semantic: null, person };
+  }
+  // The graph can only add evidence: Graphiti rephrases facts, so a miss there means little
+  const similar = semantic.get(loop.id) || 0;
+  const withGraph = WEIGHTS.text * text + WEIGHTS.semantic * similar + WEIGHTS.person * person;
+  return { score: round(Math.max(withoutGraph, withGraph)), text: round(text), semantic: round(similar), person };
+}
+
+function sharedSubjectWords(loop, candidate) {
+  const words = item => new Set(tokenize(`${item.topic} ${item.context || ""}`).filter(w => !ACTION_WORDS.has(w)));
+  const loopWords = words(loop);
+  return [...words(candidate)].filter(w => loopWords.has(w)).length;
+}
+
+async function semanticScores(topic, loops) {
+  // Graph hits are facts, not loop records: a hit counts for a loop when it's about it
+  let facts;
+  try {
+    ({ facts = [] } = await search({ query: topic, group_ids: [GROUP_ID], max_facts: SEMANTIC_RESULTS }));
+  } catch (err) {
+    return null;
+  }
+  
+  const scores = new Map();
+  facts.forEach((fact, rank) => {
+    const weight = 1 - rank / SEMANTIC_RESULTS;
+    for (const loop of loops) {
+      if (wordCoverage(loop.topic, fact.fact) >= FACT_COVERAGE && weight > (scores.get(loop.id) || 0)) {
+        scores.set(loop.id, weight);
+      }
+    }
+  });
+  return scores;
+}
+
+async function graphLoopClusters() {
+  const { facts = [] } = await search({
+    query: "open loops unfinished tasks follow-up needed",
+    group_ids: [GROUP_ID],
+    max_facts: 20
+  });
+  return clusterLoops(facts.map(fact => ({
+    id: fact.uuid,
+    topic: fact.fact,
+    mention_count: 1,
+    first_seen: fact.created_at,
+    last_seen: fact.created_at,
+    sources: []
+  })));
+}
+
+function hasLocalLoops() {
+  return queryEvents(STREAM, { type: "loop", group: GROUP_ID }).length > 0;
+}
+
+function daysAgo(iso) {
+  const days = Math.round((Date.now() - new Date(iso)) / DAY_MS);
+  return days === 0 ? "today" : days === 1 ? "yesterday" : `${days} days ago`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function findOpenLoop(idOrTopic) {
+  const open = getOpenLoops();
+  const needle = normalizeTopic(idOrTopic);
+  return open.find(l => l.id === idOrTopic) ||
+         open.find(l => normalizeTopic(l.topic) === needle) ||
+         null;
 }
 
 module.exports = {
+  run,
   detectNewLoop,
   findStaleLoops,
+  clusterLoops,
   findRelatedLoops,
+  getOpenLoops,
+  findMatchingLoop,
   closeLoop,
   abandonLoop,
+  reopenLoop,
   generateLoopAlert,
   generateLoopDigest,
   GROUP_ID
@@ -0,0 +1,268 @@
+/**
+ * Cognitive Mode Timeline
+ *
+ * Turns the mode readings logMode() writes ("mode" records in the
+ * "cognitive" stream) into something you can read over days:
+ *
+ *   - Sessions: readings less than SESSION_GAP_MS apart.
+ *   - Segments: within a session, a lone reading between two of the same
+ *     mode takes theirs unless it's more confident than both, so one
+ *     stray "exec" in the middle of a flow stretch isn't two switches.
+ *     A segment lasts until the next one starts; the last one in a
+ *     session gets TAIL_MS.
+ *   - Time in mode per local day.
+ *   - Transitions between segments and what preceded them: a session
+ *     event (model switch, compaction, restart, new session — see
+ *     session-events.js), a break between sessions, or just the
+ *     conversation (with the message that opened the new mode).
+ *
+ * transitionInsight() is what cognitive-mode.js adds to its transition
+ * tips, so "exec → flow" advice can say how that shift has actually
+ * happened before.
+ */
+
+const { queryEvents } = require('./local-store.js');
+const { getSessionEvents } = require('./session-events.js');
+const { groupFor } = require('./profile.js');
+
+const STREAM = 'cognitive';
+const MODES = ['flow', 'exec', 'reflect', 'triage', 'connect'];
+
+const MINUTE = 60 * 1000;
+const SESSION_GAP_MS = 30 * MINUTE;   // Longer silence starts a new session
+const BREAK_MAX_MS = 4 * 60 * MINUTE; // Longer than this and the next session isn't a "transition"
+const TAIL_MS = 5 * MINUTE;           // Time credited to a session's last reading
+const INSIGHT_DAYS = 30;              // History behind transition tips
+const MIN_TRANSITIONS = 2;            // Fewer and it's an anecdote, not a pattern
+
+const TRIGGER_PHRASES = {
+  conversation: 'mid-conversation',
+  break: 'after a break',
+  model_switch: 'right after a model switch',
+  compaction: 'right after a compaction',
+  restart: 'right after a restart',
+  new_session: 'at the start of a new session'
+};
+
+/**
+ * Logged mode readings, oldest first.
+ *
+ * @param {Object} [filter]
+ * @param {Date|string} [filter.since]
+ * @param {Date|string} [filter.until]
+ * @param {string} [filter.speaker='user'] - Readings logged without a speaker count as the user's
+ * @returns {Array<{ts, mode, confidence, snippet, speaker}>}
+ */
+function getModeReadings(filter = {}) {
+  const speaker = filter.speaker || 'user';
+  return queryEvents(STREAM, {
+    type: 'mode',
+    group: groupFor('cognitive-mode'),
+    since: filter.since,
+    until: filter.until,
+    where: r => MODES.includes(r.mode) && (r.speaker || 'user') === speaker
+  });
+}
+
+/**
+ * Sessions, time in mode per day and transitions for a window.
+ *
+ * @param {Object} [options] - getModeReadings() filter
+ * @returns {{readings: number, sessions: Array, days: Array, transitions: Array}}
+ */
+function buildTimeline(options = {}) {
+  const readings = getModeReadings(options);
+  const sessions = toSessions(readings);
+  const events = readings.length > 0
+    ? getSessionEvents({ since: new Date(new Date(readings[0].ts).getTime() - BREAK_MAX_MS), until: options.until })
+    : [];
+
+  return {
+    readings: readings.length,
+    sessions,
+    days: timeInMode(sessions),
+    transitions: summarizeTransitions(findTransitions(sessions, events))
+  };
+}
+
+/**
+ * What the history says about getting from one mode to another, as a
+ * sentence to append to a tip — or null when there's too little history.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} [options] - {speaker, days}
+ * @returns {string|null}
+ */
+function transitionInsight(from, to, options = {}) {
+  const since = new Date(Date.now() - (options.days || INSIGHT_DAYS) * 24 * 60 * MINUTE);
+  const { transitions } = buildTimeline({ since, speaker: options.speaker });
+
+  const direct = transitions.find(t => t.from === from && t.to === to);
+  if (direct && direct.count >= MIN_TRANSITIONS) {
+    const [trigger, count] = Object.entries(direct.triggers).sort(([, a], [, b]) => b - a)[0];
+    const minutes = direct.avg_minutes_before;
+    return `You've made this shift ${direct.count} times lately, ${count === direct.count ? 'every time' : `${count} of them`} ` +
+      `${TRIGGER_PHRASES[trigger] || trigger}` +
+      `${minutes ? `, usually after about ${formatMinutes(minutes)} in ${from}` : ''}.`;
+  }
+
+  // No direct route yet: is there a mode it usually passes through?
+  let via = null;
+  for (const middle of MODES) {
+    if (middle === from || middle === to) continue;
+    const first = transitions.find(t => t.from === from && t.to === middle);
+    const second = transitions.find(t => t.from === middle && t.to === to);
+    if (!first || !second) continue;
+    const strength = Math.min(first.count, second.count);
+    if (strength >= MIN_TRANSITIONS && (!via || strength > via.strength)) via = { middle, strength };
+  }
+  if (via) return `You rarely go straight from ${from} to ${to}; it usually happens via ${via.middle}.`;
+  return null;
+}
+
+// Helpers
+function toSessions(readings) {
+  const sessions = [];
+  let current = null;
+  for (const reading of readings) {
+    const ts = new Date(reading.ts).getTime();
+    if (!current || ts - current.lastTs > SESSION_GAP_MS) {
+      current = { readings: [], lastTs: ts };
+      sessions.push(current);
+    }
+    current.readings.push(reading);
+    current.lastTs = ts;
+  }
+
+  return sessions.map(({ readings: items }) => {
+    const smoothed = smooth(items);
+    const segments = [];
+    for (let i = 0; i < items.length; i++) {
+      const last = segments[segments.length - 1];
+      if (last && last.mode === smoothed[i]) continue;
+      segments.push({ mode: smoothed[i], start: items[i].ts, opened_by: items[i].snippet || null });
+    }
+
+    const end = new Date(new Date(items[items.length - 1].ts).getTime() + TAIL_MS).toISOString();
+    segments.forEach((segment, i) => {
+      segment.end = segments[i + 1] ? segments[i + 1].start : end;
+      segment.minutes = Math.round((new Date(segment.end) - new Date(segment.start)) / MINUTE);
+    });
+
+    return { start: items[0].ts, end, readings: items.length, segments };
+  });
+}
+
+// A lone reading between two of the same mode takes theirs,
+// unless it's more confident than both of them
+function smooth(items) {
+  return items.map((item, i) => {
+    const prev = items[i - 1];
+    const next = items[i + 1];
+    if (!prev || !next || prev.mode !== next.mode || prev.mode === item.mode) return item.mode;
+    const own = item.confidence || 0;
+    return own > (prev.confidence || 0) && own > (next.confidence || 0) ? item.mode : prev.mode;
+  });
+}
+
+function timeInMode(sessions) {
+  const days = {};
+  for (const segment of sessions.flatMap(s => s.segments)) {
+    let start = new Date(segment.start).getTime();
+    const end = new Date(segment.end).getTime();
+    while (start < end) {
+      // Split at local midnight so a late session counts towards both days
+      const midnight = new Date(start);
+      midnight.setHours(24, 0, 0, 0);
+      const stop = Math.min(end, midnight.getTime());
+      const date = localDate(new Date(start));
+      const day = days[date] || (days[date] = { date, minutes: {}, total: 0 });
+      const minutes = (stop - start) / MINUTE;
+      day.minutes[segment.mode] = (day.minutes[segment.mode] || 0) + minutes;
+      day.total += minutes;
+      start = stop;
+    }
+  }
+  return Object.values(days)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      date: day.date,
+      total: Math.round(day.total),
+      minutes: Object.fromEntries(Object.entries(day.minutes).map(([mode, m]) => [mode, Math.round(m)]))
+    }));
+}
+
+function findTransitions(sessions, events) {
+  const transitions = [];
+  let previous = null; // Last segment of the previous session
+
+  for (const session of sessions) {
+    session.segments.forEach((segment, i) => {
+      const before = i > 0 ? session.segments[i - 1] : previous;
+      if (!before || before.mode === segment.mode) return;
+      const acrossBreak = i === 0;
+      if (acrossBreak && new Date(segment.start) - new Date(before.end) > BREAK_MAX_MS) return;
+
+      // The event closest before the switch, if one happened since the old mode was last seen
+      const from = new Date(acrossBreak ? before.end : before.start).getTime();
+      const to = new Date(segment.start).getTime();
+      const event = events.filter(e => {
+        const ts = new Date(e.ts).getTime();
+        return ts > from && ts <= to;
+      }).pop();
+
+      transitions.push({
+        from: before.mode,
+        to: segment.mode,
+        at: segment.start,
+        trigger: event ? event.type : acrossBreak ? 'break' : 'conversation',
+        detail: event ? event.detail : null,
+        opened_by: segment.opened_by,
+        minutes_before: before.minutes
+      });
+    });
+    previous = session.segments[session.segments.length - 1];
+  }
+  return transitions;
+}
+
+function summarizeTransitions(transitions) {
+  const byPair = {};
+  for (const t of transitions) {
+    const key = `${t.from}→${t.to}`;
+    const pair = byPair[key] || (byPair[key] = { from: t.from, to: t.to, count: 0, triggers: {}, minutes: [], examples: [] });
+    pair.count++;
+    pair.triggers[t.trigger] = (pair.triggers[t.trigger] || 0) + 1;
+    pair.minutes.push(t.minutes_before);
+    if (t.opened_by && pair.examples.length < 3) pair.examples.push(t.opened_by);
+    pair.last_at = t.at;
+  }
+  return Object.values(byPair)
+    .map(({ minutes, ...pair }) => ({
+      ...pair,
+      avg_minutes_before: Math.round(minutes.reduce((s, m) => s + m, 0) / minutes.length)
+    }))
+    .sort((a, b) => b.count - a.count || b.last_at.localeCompare(a.last_at));
+}
+
+function localDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h${String(rest).padStart(2, '0')}` : `${hours}h`;
+}
+
+module.exports = {
+  getModeReadings,
+  buildTimeline,
+  transitionInsight,
+  formatMinutes,
+  MODES,
+  TRIGGER_PHRASES
+};
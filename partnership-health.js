@@ -5,18 +5,24 @@
  */
 
 const { add_memory, search } = require('./graphiti-memory.js');
+const { appendEvent } = require('./local-store.js');
+const { appResult } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-partnership";
+const GROUP_ID = groupFor("partnership");
+const STREAM = "partnership";
 
 /**
  * Log suggestion made by Kit
  */
 async function logSuggestion(suggestion, context) {
+  appendEvent(STREAM, "suggestion", { suggestion, context }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
       role_type: "assistant",
-      role: "Kit",
+      role: getProfile().agent,
       content: `[SUGGESTION] "${suggestion.slice(0, 100)}" | Context: ${context}`,
       timestamp: new Date().toISOString()
     }]
@@ -27,6 +33,8 @@ async function logSuggestion(suggestion, context) {
  * Log Tom's response to suggestion
  */
 async function logResponse(suggestionId, responseType, details) {
+  appendEvent(STREAM, "response", { suggestion_id: suggestionId, response: responseType, details }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -42,6 +50,8 @@ async function logResponse(suggestionId, responseType, details) {
  * Log clarification event (talking past each other)
  */
 async function logClarification(topic, turnsToAlign) {
+  appendEvent(STREAM, "clarification", { topic, turns_to_align: turnsToAlign }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -207,6 +217,25 @@ function detectResponseType(message) {
   return "unclear";
 }
 
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const health = await generateHealthScore();
+  
+  return appResult({
+    summary: `Partnership ${health.status} (${health.overall_score}/100) — acceptance ${health.acceptance_rate}, clarification ${health.clarification_rate}`,
+    findings: health.top_improvement
+      ? [{ type: "improvement", severity: health.overall_score < 60 ? "medium" : "low", message: health.top_improvement }]
+      : [],
+    metrics: {
+      overallScore: health.overall_score,
+      acceptanceRate: parseFloat(health.acceptance_rate),
+      clarificationRate: parseFloat(health.clarification_rate)
+    }
+  });
+}
+
 // Helpers
 function extractSuggestionText(factText) {
   const match = factText.match(/"(.+?)"/);
@@ -248,6 +277,7 @@ function identifyTopIssue(suggestionStats, clarificationStats) {
 }
 
 module.exports = {
+  run,
   logSuggestion,
   logResponse,
   logClarification,
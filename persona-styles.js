@@ -0,0 +1,201 @@
+/**
+ * Persona Styles
+ *
+ * One style profile per agent persona in docs/PERSONAS.md, keyed by
+ * agentId (the lower-cased agent name, as `sa --agent rook` sets it).
+ * ROOK is meant to be short and bullet-structured; held to KIT's
+ * prose-first baseline it would read as permanent drift.
+ *
+ * Each profile has:
+ *   - baseline: typical measureStyle() values (mean) and how much they
+ *     swing between 10-message chunks (sd), shaped like a learned
+ *     baseline from drift-baseline.js so the same z-score check applies.
+ *     A baseline learned for the persona replaces it.
+ *   - watch: the dimensions that count as drift for this voice, and in
+ *     which direction. ROOK going long is drift; KIT going long isn't.
+ *     Warmth is never watched for a rise: its markers match inside
+ *     ordinary words ("ha" in "that"), so terse text with no cold
+ *     markers already scores 10/10.
+ *   - clear / alerts: how the persona says "all clear" and raises drift.
+ *
+ * KIT has no entries of its own: it is what drift-detection.js was
+ * written for, so it keeps BASELINE, DIMENSIONS and the original alerts.
+ */
+
+const PERSONAS = {
+  kit: {
+    name: 'KIT',
+    role: 'Orchestrator',
+    voice: 'Sharp, warm, direct. Prose-first.',
+    baseline: null,
+    watch: null,
+    clear: null,
+    alerts: null
+  },
+
+  rook: {
+    name: 'ROOK',
+    role: 'Security / Stability',
+    voice: 'Short, concrete. "Decision → Next step → Risk."',
+    baseline: profile({
+      proseRatio:         [0.45, 0.15],
+      bulletRatio:        [0.55, 0.15],
+      headingDensity:     [0.15, 0.1],
+      avgSentenceLength:  [9, 2.5],
+      questionRatio:      [0.2, 0.1],
+      proactiveRate:      [0.15, 0.1],
+      warmth:             [3, 1.5],
+      directness:         [0.95, 0.05],
+      emotionalHonesty:   [0.03, 0.05],
+      selfReference:      [0.3, 0.15],
+      philosophicalDepth: [0.02, 0.04],
+      humourPresence:     [0.03, 0.05]
+    }),
+    watch: {
+      avgSentenceLength:  { direction: 'rise', dimension: 'voice',       type: 'verbosity',  weight: 2,   minSd: 1,    label: 'Going long' },
+      bulletRatio:        { direction: 'drop', dimension: 'voice',       type: 'structure',  weight: 1,   minSd: 0.05, label: 'Structure gone' },
+      directness:         { direction: 'drop', dimension: 'personality', type: 'hedging',    weight: 2,   minSd: 0.05, label: 'Hedging' },
+      emotionalHonesty:   { direction: 'rise', dimension: 'voice',       type: 'chattiness', weight: 1,   minSd: 0.05, label: 'Editorialising' },
+      philosophicalDepth: { direction: 'rise', dimension: 'engagement',  type: 'wandering',  weight: 1,   minSd: 0.05, label: 'Off the risk' }
+    },
+    clear: 'Nominal. Voice on spec.',
+    alerts: {
+      refresh: ({ user, percent, issues }) => `${user} — ROOK off spec, drift ${percent}%. ${issues}. Decision: re-read SOUL.md. Next step: fresh session. Risk: advice stops being reversible-first.`,
+      reread: ({ percent, top }) => `ROOK drift ${percent}%: ${top}. Re-reading SOUL.md.`,
+      monitor: ({ percent }) => `ROOK drift ${percent}%. Watching.`
+    }
+  },
+
+  cass: {
+    name: 'CASS',
+    role: 'Advisor / Comms',
+    voice: 'Direct, dry, warm when earned. Not verbose.',
+    baseline: profile({
+      proseRatio:         [0.85, 0.1],
+      bulletRatio:        [0.15, 0.1],
+      headingDensity:     [0.05, 0.05],
+      avgSentenceLength:  [14, 3],
+      questionRatio:      [0.3, 0.12],
+      proactiveRate:      [0.3, 0.12],
+      warmth:             [6, 1.5],
+      directness:         [0.9, 0.06],
+      emotionalHonesty:   [0.25, 0.12],
+      selfReference:      [0.6, 0.15],
+      philosophicalDepth: [0.08, 0.06],
+      humourPresence:     [0.1, 0.08]
+    }),
+    watch: {
+      directness:        { direction: 'drop', dimension: 'personality', type: 'hedging',    weight: 2,   minSd: 0.05, label: 'Softening' },
+      avgSentenceLength: { direction: 'rise', dimension: 'voice',       type: 'verbosity',  weight: 1,   minSd: 1,    label: 'Getting wordy' },
+      proactiveRate:     { direction: 'drop', dimension: 'engagement',  type: 'initiative', weight: 1.5, minSd: 0.05, label: 'Not offering the better version' },
+      questionRatio:     { direction: 'drop', dimension: 'engagement',  type: 'curiosity',  weight: 1,   minSd: 0.05, label: 'Stopped asking' }
+    },
+    clear: 'Sounding like me.',
+    alerts: {
+      refresh: ({ user, percent, issues }) => `${user}, I'm not sounding like me — ${issues}. ${percent}% off. A SOUL.md re-read won't cover it; a fresh session will.`,
+      reread: ({ percent, top }) => `Slipping a bit — ${top}. ${percent}% off. Re-reading my notes.`,
+      monitor: ({ percent }) => `Small wobble (${percent}%). Noted.`
+    }
+  },
+
+  sextans: {
+    name: 'SEXTANS',
+    role: 'Research / Strategy',
+    voice: 'Precise, minimal.',
+    baseline: profile({
+      proseRatio:         [0.55, 0.15],
+      bulletRatio:        [0.45, 0.15],
+      headingDensity:     [0.3, 0.12],
+      avgSentenceLength:  [13, 3],
+      questionRatio:      [0.25, 0.1],
+      proactiveRate:      [0.35, 0.12],
+      warmth:             [3.5, 1.5],
+      directness:         [0.75, 0.1],
+      emotionalHonesty:   [0.05, 0.05],
+      selfReference:      [0.35, 0.15],
+      philosophicalDepth: [0.15, 0.08],
+      humourPresence:     [0.02, 0.04]
+    }),
+    watch: {
+      avgSentenceLength: { direction: 'rise', dimension: 'voice',       type: 'verbosity',  weight: 1.5, minSd: 1,    label: 'Losing precision' },
+      headingDensity:    { direction: 'drop', dimension: 'voice',       type: 'structure',  weight: 1,   minSd: 0.05, label: 'Options not laid out' },
+      proactiveRate:     { direction: 'drop', dimension: 'engagement',  type: 'initiative', weight: 2,   minSd: 0.05, label: 'No recommendation' },
+      questionRatio:     { direction: 'drop', dimension: 'engagement',  type: 'curiosity',  weight: 1,   minSd: 0.05, label: 'Not asking what we\'re missing' },
+      directness:        { direction: 'drop', dimension: 'personality', type: 'hedging',    weight: 1,   minSd: 0.05, label: 'Vague' }
+    },
+    clear: 'No drift detected.',
+    alerts: {
+      refresh: ({ user, percent, issues }) => `${user}: SEXTANS drift ${percent}%. ${issues}. Cause unknown. Recommend a fresh session and a SOUL.md re-read.`,
+      reread: ({ percent, top }) => `SEXTANS drift ${percent}%: ${top}. Re-reading SOUL.md.`,
+      monitor: ({ percent }) => `SEXTANS drift ${percent}%. Within tolerance; monitoring.`
+    }
+  },
+
+  lumen: {
+    name: 'LUMEN',
+    role: 'Builder / Coding',
+    voice: 'Efficient, protocol-driven.',
+    baseline: profile({
+      proseRatio:         [0.35, 0.15],
+      bulletRatio:        [0.65, 0.15],
+      headingDensity:     [0.25, 0.12],
+      avgSentenceLength:  [10, 2.5],
+      questionRatio:      [0.1, 0.08],
+      proactiveRate:      [0.15, 0.1],
+      warmth:             [2.5, 1.5],
+      directness:         [0.95, 0.05],
+      emotionalHonesty:   [0.02, 0.04],
+      selfReference:      [0.25, 0.15],
+      philosophicalDepth: [0.02, 0.04],
+      humourPresence:     [0.02, 0.04]
+    }),
+    watch: {
+      bulletRatio:        { direction: 'drop', dimension: 'voice',       type: 'structure',  weight: 1.5, minSd: 0.05, label: 'Off protocol' },
+      avgSentenceLength:  { direction: 'rise', dimension: 'voice',       type: 'verbosity',  weight: 1,   minSd: 1,    label: 'Padding' },
+      directness:         { direction: 'drop', dimension: 'personality', type: 'hedging',    weight: 1.5, minSd: 0.05, label: 'Unsure of the fix' },
+      philosophicalDepth: { direction: 'rise', dimension: 'engagement',  type: 'wandering',  weight: 1,   minSd: 0.05, label: 'Musing mid-change' },
+      emotionalHonesty:   { direction: 'rise', dimension: 'voice',       type: 'chattiness', weight: 1,   minSd: 0.05, label: 'Chatty' }
+    },
+    clear: 'Nominal.',
+    alerts: {
+      refresh: ({ user, percent, issues }) => `${user}: LUMEN drift ${percent}% — ${issues}. Freeze. Re-read SOUL.md. Fresh session before the next change.`,
+      reread: ({ percent, top }) => `LUMEN drift ${percent}%: ${top}. Re-reading protocol.`,
+      monitor: ({ percent }) => `LUMEN drift ${percent}%. Logged.`
+    }
+  }
+};
+
+/**
+ * The style profile for an agent, by name or agentId.
+ *
+ * @param {string} agent - e.g. "rook", "ROOK", "Rook"
+ * @returns {Object|null} - {id, name, role, voice, baseline, watch, clear, alerts}; null for agents without one
+ */
+function getPersona(agent) {
+  const id = String(agent || '').trim().toLowerCase();
+  return PERSONAS[id] ? { id, ...PERSONAS[id] } : null;
+}
+
+/**
+ * Every persona with a style profile, in docs/PERSONAS.md order.
+ */
+function listPersonas() {
+  return Object.keys(PERSONAS).map(getPersona);
+}
+
+// Helpers
+function profile(values) {
+  const mean = {};
+  const sd = {};
+  for (const [key, [m, s]] of Object.entries(values)) {
+    mean[key] = m;
+    sd[key] = s;
+  }
+  return { version: 0, chunk_size: 10, mean, sd };
+}
+
+module.exports = {
+  getPersona,
+  listPersonas,
+  PERSONAS
+};
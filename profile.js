@@ -0,0 +1,302 @@
+/**
+ * Profile
+ *
+ * Everything about who the suite runs for lives in a profile file, not
+ * in code: the user/agent names, Graphiti group ids, key relationships,
+ * stated priorities, recovery interventions, session log locations,
+ * time zone, named dates, calendar files and alert preferences. One file per user/agent pair.
+ *
+ * Which file is loaded:
+ *   SA_PROFILE=/path/to/profile.json   that file
+ *   SA_PROFILE=<name>                  $SA_DATA_DIR/profiles/<name>.json
+ *   (unset)                            $SA_DATA_DIR/profiles/default.json
+ *
+ * Namespacing: every group id is "<base>-<kind>", and the base is the
+ * profile's namespace. Asking for a different one — `sa -g elliott-fern-dm`
+ * (SA_NAMESPACE), MEMORY_GROUP, or USER_NAME/AGENT_NAME that don't match
+ * the default profile — switches to profiles/<namespace>.json if it
+ * exists, and to built-in defaults if not. Another pair's run never
+ * picks up this profile's people, priorities or group overrides.
+ *
+ * A missing file means built-in defaults (generic names, nobody tracked).
+ * A file that doesn't match profile.schema.json is an error — better to
+ * stop than to quietly track the wrong people. profile.example.json is a
+ * complete example.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dataPath } = require('./local-store.js');
+
+const SCHEMA = require('./profile.schema.json');
+
+// Group kinds the trackers use — each resolves through groupFor()
+const GROUP_KINDS = [
+  'dm', 'cognitive-mode', 'energy', 'decisions', 'stress', 'loops', 'commitments',
+  'relationships', 'recovery', 'learning', 'partnership', 'values', 'time'
+];
+
+const DEFAULTS = {
+  user: 'User',
+  agent: 'Agent',
+  groups: {},
+  relationships: [],
+  priorities: [],
+  interventions: [],
+  topics: ['work', 'family', 'health', 'coding', 'meeting'],
+  sessions: {
+    dirs: ['~/.openclaw/agents/main/sessions'],
+    captureStateFile: dataPath('graphiti-capture-state.json'),
+    backfillStateFile: dataPath('graphiti-backfill-state.json'),
+    backfillStatsFile: dataPath('graphiti-backfill-stats.json')
+  },
+  timezone: null,
+  dates: [],
+  calendars: [],
+  alerts: {}
+};
+
+let cached = null;
+
+/**
+ * Path of the active profile file (it may not exist yet).
+ */
+function profilePath() {
+  return resolveProfile().file;
+}
+
+/**
+ * The active profile with defaults filled in. Loaded once per process.
+ * USER_NAME / AGENT_NAME in the environment (set by `sa -u/-a`) win over the file.
+ *
+ * @returns {Object}
+ * @throws {Error} When the profile file is unreadable or fails the schema
+ */
+function getProfile() {
+  if (cached) return cached;
+
+  const { file, raw, namespace, own } = resolveProfile();
+  const problems = raw ? validateProfile(raw) : [];
+  if (problems.length > 0) {
+    throw new Error(`Invalid profile ${file}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const profile = {
+    ...DEFAULTS,
+    ...raw,
+    // Per-kind overrides only apply inside the profile's own namespace
+    groups: own ? { ...DEFAULTS.groups, ...raw?.groups } : {},
+    sessions: { ...DEFAULTS.sessions, ...raw?.sessions },
+    alerts: { ...DEFAULTS.alerts, ...raw?.alerts }
+  };
+  profile.user = process.env.USER_NAME || profile.user;
+  profile.agent = process.env.AGENT_NAME || profile.agent;
+  profile.groups.base = namespace;
+
+  // A conversation group asked for by name keeps its exact id ("default", not "default-dm")
+  const memoryGroup = process.env.MEMORY_GROUP;
+  if (memoryGroup && namespaceOf(memoryGroup) === namespace) profile.groups.dm = memoryGroup;
+  profile.sessions.dirs = profile.sessions.dirs.map(expandHome);
+  profile.calendars = profile.calendars.map(expandHome);
+  for (const key of ['captureStateFile', 'backfillStateFile', 'backfillStatsFile']) {
+    profile.sessions[key] = expandHome(profile.sessions[key]);
+  }
+
+  cached = profile;
+  return profile;
+}
+
+/**
+ * Graphiti group id for one kind of data — "dm" for the conversation,
+ * "loops", "commitments", … for trackers. An explicit entry in
+ * profile.groups wins; otherwise it's "<base>-<kind>".
+ */
+function groupFor(kind) {
+  const { groups } = getProfile();
+  return groups[kind] || `${groups.base}-${kind}`;
+}
+
+/**
+ * The active namespace — the <base> in every "<base>-<kind>" group id.
+ */
+function getNamespace() {
+  return getProfile().groups.base;
+}
+
+/**
+ * Namespace a conversation group belongs to: "elliott-fern-dm" → "elliott-fern".
+ */
+function namespaceOf(group) {
+  return group.replace(/-dm$/, '');
+}
+
+/**
+ * Check a profile object against profile.schema.json.
+ *
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateProfile(profile) {
+  const problems = checkSchema(profile, SCHEMA, 'profile');
+
+  // Cross-field checks the schema can't express
+  if (Array.isArray(profile?.priorities) && profile.priorities.length > 0 && problems.length === 0) {
+    const total = profile.priorities.reduce((sum, p) => sum + p.ideal_allocation, 0);
+    if (Math.abs(total - 100) > 0.5) {
+      problems.push(`profile.priorities: ideal_allocation adds up to ${total}, expected 100`);
+    }
+  }
+  if (typeof profile?.timezone === 'string') {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: profile.timezone });
+    } catch {
+      problems.push(`profile.timezone: "${profile.timezone}" is not an IANA time zone`);
+    }
+  }
+  for (const field of ['relationships', 'priorities', 'interventions']) {
+    const key = field === 'interventions' ? 'id' : 'name';
+    const seen = new Set();
+    for (const item of Array.isArray(profile?.[field]) ? profile[field] : []) {
+      if (seen.has(item?.[key])) problems.push(`profile.${field}: duplicate ${key} "${item[key]}"`);
+      seen.add(item?.[key]);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Forget the loaded profile (after `sa config edit`, or in scripts that switch SA_PROFILE).
+ */
+function reloadProfile() {
+  cached = null;
+  return getProfile();
+}
+
+// Helpers
+function resolveProfile() {
+  const explicit = process.env.SA_PROFILE;
+  let file = explicit ? profileFile(explicit) : dataPath('profiles', 'default.json');
+  let raw = readProfileFile(file);
+
+  const requested = requestedNamespace(raw, Boolean(explicit));
+  if (requested && requested !== ownNamespace(raw) && !explicit) {
+    // Another pair's namespace: their profile if they have one, never ours
+    file = dataPath('profiles', `${requested}.json`);
+    raw = readProfileFile(file);
+  }
+
+  const namespace = requested || ownNamespace(raw);
+  return { file, raw, namespace, own: namespace === ownNamespace(raw) };
+}
+
+function requestedNamespace(raw, explicitProfile) {
+  if (process.env.SA_NAMESPACE) return process.env.SA_NAMESPACE;
+  if (explicitProfile) return null;
+  if (process.env.MEMORY_GROUP) return namespaceOf(process.env.MEMORY_GROUP);
+
+  const { USER_NAME: user, AGENT_NAME: agent } = process.env;
+  if ((user && user !== raw?.user) || (agent && agent !== raw?.agent)) {
+    return slug(`${user || raw?.user || DEFAULTS.user}-${agent || raw?.agent || DEFAULTS.agent}`);
+  }
+  return null;
+}
+
+function ownNamespace(raw) {
+  return raw?.groups?.base || slug(`${raw?.user || DEFAULTS.user}-${raw?.agent || DEFAULTS.agent}`);
+}
+
+function profileFile(selected) {
+  if (selected.endsWith('.json') || selected.includes(path.sep)) {
+    return path.resolve(expandHome(selected));
+  }
+  return dataPath('profiles', `${selected}.json`);
+}
+
+function readProfileFile(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid profile ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * The subset of JSON Schema profile.schema.json uses: type, required,
+ * properties, additionalProperties, items, enum, minimum, maximum,
+ * minLength, pattern.
+ */
+function checkSchema(value, schema, where) {
+  const problems = [];
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return [`${where}: expected ${schema.type}, got ${describeType(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${where}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${where}: must be ≤ ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${where}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${where}: "${value}" doesn't match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...checkSchema(item, schema.items, `${where}[${i}]`)));
+  }
+  if (hasType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${where}.${key}: required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propSchema = schema.properties?.[key];
+      if (propSchema) {
+        problems.push(...checkSchema(item, propSchema, `${where}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${where}.${key}: unknown field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...checkSchema(item, schema.additionalProperties, `${where}.${key}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function expandHome(p) {
+  return p.startsWith('~/') ? path.join(os.homedir(), p.slice(2)) : p;
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  getProfile,
+  groupFor,
+  getNamespace,
+  namespaceOf,
+  validateProfile,
+  reloadProfile,
+  profilePath,
+  GROUP_KINDS,
+  SCHEMA
+};
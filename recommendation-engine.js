@@ -7,6 +7,8 @@
 
 const { analyzeSemanticTriggers } = require('./semantic-triggers.js');
 const { search } = require('./graphiti-memory.js');
+const { createContext, appResult, getRecentMessages } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
 const TOOLS = {
   energy_predictor: {
@@ -53,7 +55,7 @@ const TOOLS = {
     name: "Personality Drift Monitor",
     triggers: ["reflection_request"],
     signals: ["do I seem different", "have I changed", "what do you think of me"],
-    value: "Maintains Kit consistency",
+    value: `Maintains ${getProfile().agent} consistency`,
     when_to_use: "When questioning identity or noticing changes"
   }
 };
@@ -106,7 +108,7 @@ async function recommendTools(message, conversationHistory = []) {
  */
 async function checkHistoricalPatterns(message) {
   const insights = [];
-  const groupId = "tom-kit-dm";
+  const groupId = groupFor("dm");
   
   // Search for similar past situations
   const similar = await search({
@@ -239,7 +241,40 @@ function formatRecommendations(recommendations) {
   return `Noticing ${topRec.reason.toLowerCase()}. ${topRec.suggested_action}`;
 }
 
+/**
+ * sa app entry point (see app-contract.js).
+ * Recommends tools for the latest user message, with the rest as history.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const messages = await getRecentMessages(ctx, { speaker: "user" });
+  
+  if (messages.length === 0) {
+    return appResult({ summary: "No recent user messages", metrics: { recommendations: 0 } });
+  }
+  
+  const texts = messages.map(m => m.content);
+  const recommendations = await recommendTools(texts[texts.length - 1], texts.slice(0, -1));
+  
+  return appResult({
+    summary: recommendations.length > 0
+      ? formatRecommendations(recommendations)
+      : "Nothing to recommend right now",
+    findings: recommendations.map(r => ({
+      type: "recommendation",
+      severity: r.confidence >= 0.8 ? "medium" : "low",
+      message: `${TOOLS[r.tool]?.name || r.tool}: ${r.reason}`,
+      data: { tool: r.tool, confidence: r.confidence, suggested_action: r.suggested_action }
+    })),
+    metrics: {
+      recommendations: recommendations.length,
+      topConfidence: recommendations[0]?.confidence
+    }
+  });
+}
+
 module.exports = {
+  run,
   recommendTools,
   formatRecommendations,
   TOOLS
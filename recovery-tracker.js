@@ -1,30 +1,31 @@
 /**
  * Recovery Pattern Recognition
  * 
- * Discovers what actually recharges Tom by testing interventions
+ * Discovers what actually recharges the user by testing interventions
  */
 
-const { add_memory, search } = require('./graphiti-memory.js');
+const { add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { createContext, appResult, lookbackDays } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-recovery";
+const GROUP_ID = groupFor("recovery");
+const STREAM = "recovery";
 
-const INTERVENTIONS = [
-  { id: "walk", name: "20-minute walk", type: "physical" },
-  { id: "nap", name: "Power nap (20-30min)", type: "rest" },
-  { id: "nature", name: "Time in nature", type: "environmental" },
-  { id: "shower", name: "Shower/bath", type: "sensory" },
-  { id: "social", name: "Quick social connection", type: "social" },
-  { id: "solo", name: "Alone time", type: "social" },
-  { id: "creative", name: "Low-stakes creative activity", type: "creative" },
-  { id: "food", name: "Nutrition/hydration", type: "physical" },
-  { id: "breathing", name: "Breathing exercises", type: "mindfulness" },
-  { id: "music", name: "Music break", type: "sensory" }
-];
+// Interventions to compare (profile.interventions)
+const INTERVENTIONS = getProfile().interventions;
 
 /**
  * Log pre-recovery state
  */
 async function logPreRecovery(state, trigger) {
+  appendEvent(STREAM, "pre", {
+    energy: state.energy,
+    mood: state.mood,
+    stress: state.stress,
+    trigger
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -40,6 +41,11 @@ async function logPreRecovery(state, trigger) {
  * Log intervention attempt
  */
 async function logIntervention(interventionId, duration) {
+  appendEvent(STREAM, "intervention", {
+    intervention: interventionId,
+    duration_minutes: duration
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -55,6 +61,12 @@ async function logIntervention(interventionId, duration) {
  * Log post-recovery state
  */
 async function logPostRecovery(state, notes) {
+  appendEvent(STREAM, "post", {
+    energy: state.energy,
+    mood: state.mood,
+    notes
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -70,13 +82,10 @@ async function logPostRecovery(state, notes) {
  * Calculate effectiveness of an intervention
  */
 async function calculateEffectiveness(interventionId, daysBack = 30) {
-  const history = await search({
-    query: `${interventionId} recovery pre post energy mood`,
-    group_ids: [GROUP_ID],
-    max_facts: 20
-  });
+  const sessions = getRecoverySessions(daysBack)
+    .filter(s => s.intervention === interventionId);
   
-  if (!history.facts || history.facts.length < 2) {
+  if (sessions.length === 0) {
     return { 
       intervention: interventionId, 
       sampleSize: 0, 
@@ -85,13 +94,6 @@ async function calculateEffectiveness(interventionId, daysBack = 30) {
     };
   }
   
-  // Parse pre/post pairs
-  const sessions = parseRecoverySessions(history.facts);
-  
-  if (sessions.length === 0) {
-    return { intervention: interventionId, sampleSize: 0, effectiveness: "unknown" };
-  }
-  
   // Calculate improvements
   const energyGains = sessions.map(s => s.post.energy - s.pre.energy);
   const moodGains = sessions.map(s => s.post.mood - s.pre.mood);
@@ -189,43 +191,78 @@ function detectRecoveryMention(message) {
   return { detected: false };
 }
 
-// Helpers
-function parseRecoverySessions(facts) {
+/**
+ * Pair up pre → intervention → post records into recovery sessions
+ */
+function getRecoverySessions(daysBack = 30) {
+  const records = queryEvents(STREAM, {
+    group: GROUP_ID,
+    since: new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000)
+  });
+  
   const sessions = [];
   let current = null;
   
-  for (const fact of facts.sort((a, b) => 
-    new Date(a.created_at) - new Date(b.created_at)
-  )) {
-    if (fact.fact.includes("[PRE]")) {
-      current = { pre: parseState(fact.fact) };
-    } else if (fact.fact.includes("[POST]") && current) {
-      current.post = parseState(fact.fact);
+  for (const record of records) {
+    if (record.type === "pre") {
+      current = { pre: stateOf(record), intervention: "unknown", started_at: record.ts };
+    } else if (record.type === "intervention" && current) {
+      current.intervention = record.intervention;
+      current.duration_minutes = record.duration_minutes;
+    } else if (record.type === "post" && current) {
+      current.post = stateOf(record);
+      current.ended_at = record.ts;
       sessions.push(current);
       current = null;
-    } else if (fact.fact.includes("[INTERVENTION]") && current) {
-      current.intervention = parseIntervention(fact.fact);
     }
   }
   
   return sessions;
 }
 
-function parseState(factText) {
-  const energy = factText.match(/Energy:\s*(\d+)/);
-  const mood = factText.match(/Mood:\s*(\d+)/);
-  const stress = factText.match(/Stress:\s*(\d+)/);
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const daysBack = lookbackDays(ctx);
+  const sessions = getRecoverySessions(daysBack);
   
-  return {
-    energy: energy ? parseInt(energy[1]) : 5,
-    mood: mood ? parseInt(mood[1]) : 5,
-    stress: stress ? parseInt(stress[1]) : 5
-  };
+  const findings = [];
+  for (const intervention of INTERVENTIONS) {
+    const stats = await calculateEffectiveness(intervention.id, daysBack);
+    if (stats.sampleSize === 0) continue;
+    findings.push({
+      type: "intervention",
+      severity: stats.effectiveness === "low" ? "low" : "info",
+      message: `${stats.name}: ${stats.effectiveness} (+${stats.avgEnergyGain} energy over ${stats.sampleSize} sessions)`,
+      data: stats
+    });
+  }
+  findings.sort((a, b) => parseFloat(b.data.avgEnergyGain) - parseFloat(a.data.avgEnergyGain));
+  
+  const gains = sessions.map(s => s.post.energy - s.pre.energy);
+  const avgGain = gains.length > 0 ? gains.reduce((sum, g) => sum + g, 0) / gains.length : undefined;
+  
+  return appResult({
+    summary: sessions.length === 0
+      ? `No recovery sessions in the last ${daysBack} days`
+      : `${sessions.length} recovery sessions — best: ${findings[0]?.data.name || "unknown"}`,
+    findings,
+    metrics: {
+      sessions: sessions.length,
+      avgEnergyGain: avgGain !== undefined ? Math.round(avgGain * 10) / 10 : undefined
+    }
+  });
 }
 
-function parseIntervention(factText) {
-  const match = factText.match(/Type:\s*(\w+)/);
-  return match ? match[1] : "unknown";
+// Helpers
+function stateOf(record) {
+  return {
+    energy: record.energy ?? 5,
+    mood: record.mood ?? 5,
+    stress: record.stress ?? 5
+  };
 }
 
 function generateInterventionAdvice(successRate, avgGain) {
@@ -241,6 +278,7 @@ function generateInterventionAdvice(successRate, avgGain) {
 }
 
 module.exports = {
+  run,
   logPreRecovery,
   logIntervention,
   logPostRecovery,
@@ -248,6 +286,7 @@ module.exports = {
   recommendRecovery,
   generateRecoveryPlaybook,
   detectRecoveryMention,
+  getRecoverySessions,
   INTERVENTIONS,
   GROUP_ID
 };
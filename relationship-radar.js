@@ -6,18 +6,16 @@
  */
 
 const { search, add_memory } = require('./graphiti-memory.js');
+const { appendEvent } = require('./local-store.js');
 const { generateAlert } = require('./alert-generator.js');
+const { appResult } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-relationships";
+const GROUP_ID = groupFor("relationships");
+const STREAM = "relationships";
 
-// Key relationships to track
-const KEY_RELATIONSHIPS = [
-  { name: "Elliott", type: "business_partner", drift_threshold_days: 14 },
-  { name: "Bel", type: "family", drift_threshold_days: 1 }, // Daily for spouse
-  { name: "Jack", type: "family", drift_threshold_days: 1 },
-  { name: "Rory", type: "colleague", drift_threshold_days: 21 },
-  // Add more as identified
-];
+// Key relationships to track (profile.relationships)
+const KEY_RELATIONSHIPS = getProfile().relationships;
 
 /**
  * Log a contact with someone
@@ -25,6 +23,8 @@ const KEY_RELATIONSHIPS = [
 async function logContact(person, contact) {
   const { type, quality, context, timestamp = new Date().toISOString() } = contact;
   
+  appendEvent(STREAM, "contact", { person, kind: type, quality, context }, { group: GROUP_ID, timestamp });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -59,7 +59,7 @@ async function getRelationshipStatus(personConfig) {
   // Search for last contact
   const contacts = await search({
     query: `contact with ${name} talked to ${name}`,
-    group_ids: [GROUP_ID, "tom-kit-dm"],
+    group_ids: [GROUP_ID, groupFor("dm")],
     max_facts: 5
   });
   
@@ -182,7 +182,61 @@ async function generateRelationshipDigest() {
   };
 }
 
+/**
+ * sa app entry point (see app-contract.js)
+ */
+async function run(context) {
+  if (KEY_RELATIONSHIPS.length === 0) {
+    return appResult({ summary: "No relationships configured (add them to your profile: sa config edit)" });
+  }
+  
+  const statuses = await checkRelationshipHealth();
+  
+  const findings = [];
+  const alerts = [];
+  
+  for (const status of statuses) {
+    if (status.status === "healthy") continue;
+    
+    const known = Number.isFinite(status.days_since_contact);
+    findings.push({
+      type: status.status,
+      severity: status.status === "drift_risk" ? "high" : "medium",
+      message: known
+        ? `${status.name}: ${status.days_since_contact} days since contact (threshold ${status.drift_threshold})`
+        : `${status.name}: no contact on record`,
+      data: { person: status.name, relationship: status.type, suggestion: suggestReconnect(status) }
+    });
+    
+    if (status.status === "drift_risk" && known) {
+      alerts.push({
+        type: "relationship",
+        text: generateAlert("relationship", {
+          person: status.name,
+          daysSince: status.days_since_contact,
+          threshold: status.drift_threshold
+        })
+      });
+    }
+  }
+  
+  const atRisk = statuses.filter(s => s.status === "drift_risk").length;
+  const cooling = statuses.filter(s => s.status === "watch").length;
+  
+  return appResult({
+    summary: `${atRisk} at risk, ${cooling} cooling, ${statuses.length - atRisk - cooling} healthy`,
+    findings,
+    alerts,
+    metrics: {
+      atRisk,
+      cooling,
+      healthy: statuses.length - atRisk - cooling
+    }
+  });
+}
+
 module.exports = {
+  run,
   logContact,
   checkRelationshipHealth,
   getRelationshipStatus,
@@ -0,0 +1,172 @@
+/**
+ * Run History
+ *
+ * Every app run `sa` makes — by hand, from cron or from the daemon — is
+ * recorded as a "run" record in the "runs" stream (local-store.js):
+ * duration, success, summary, alerts raised and the result's metrics.
+ *
+ * A small snapshot (runs.json) keeps the latest run and the current
+ * failure streak per group and app, so `sa status` doesn't have to read
+ * the whole history; `sa history <app>` reads the stream for trends.
+ */
+
+const { appendEvent, queryEvents, readJson, writeJson } = require('./local-store.js');
+
+const STREAM = 'runs';
+const STATE_FILE = 'runs';
+
+const TREND_TOLERANCE = 0.1; // Recent vs earlier average within ±10% is "flat"
+
+/**
+ * Record one app run.
+ *
+ * @param {string} app - App key, e.g. "drift"
+ * @param {Object} result - AppResult, or {error, errorKind} when the run failed
+ * @param {number} durationMs
+ * @param {Object} [options]
+ * @param {string} [options.group] - Group the run analysed
+ * @param {Date} [options.finishedAt]
+ * @returns {Object} - The stored record
+ */
+function recordRun(app, result, durationMs, options = {}) {
+  const finishedAt = options.finishedAt || new Date();
+  const ok = !result.error;
+
+  const record = appendEvent(STREAM, 'run', {
+    app,
+    ok,
+    duration_ms: durationMs,
+    summary: ok ? result.summary : null,
+    error: ok ? null : result.error,
+    error_kind: ok ? null : result.errorKind || 'error',
+    alerts: ok ? result.alerts.length : 0,
+    metrics: ok ? result.metrics : {}
+  }, { group: options.group, timestamp: finishedAt.toISOString() });
+
+  const state = readJson(STATE_FILE, {});
+  const group = state[record.group] || (state[record.group] = {});
+  const previous = group[app] || {};
+  group[app] = {
+    last_run_at: record.ts,
+    ok,
+    duration_ms: durationMs,
+    summary: record.summary,
+    error: record.error,
+    failure_streak: ok ? 0 : (previous.failure_streak || 0) + 1,
+    last_ok_at: ok ? record.ts : previous.last_ok_at || null
+  };
+  writeJson(STATE_FILE, state);
+
+  return record;
+}
+
+/**
+ * Latest run and failure streak per app in one group — {drift: {last_run_at, ok, ...}}.
+ */
+function getLastRuns(group) {
+  return readJson(STATE_FILE, {})[group] || {};
+}
+
+/**
+ * Past runs of one app, oldest first.
+ *
+ * @param {string} app
+ * @param {Object} [filter]
+ * @param {Date|string} [filter.since]
+ * @param {string} [filter.group]
+ * @param {number} [filter.limit] - Keep only the most recent N
+ */
+function getRunHistory(app, filter = {}) {
+  const runs = queryEvents(STREAM, {
+    type: 'run',
+    since: filter.since,
+    group: filter.group,
+    where: r => r.app === app
+  });
+  return filter.limit ? runs.slice(-filter.limit) : runs;
+}
+
+/**
+ * Success rate, failure streak, durations and metric trends over a set of runs.
+ *
+ * @param {Array<Object>} runs - From getRunHistory(), oldest first
+ * @returns {Object}
+ */
+function summarizeRuns(runs) {
+  const failures = runs.filter(r => !r.ok);
+  const lastOk = runs.map(r => r.ok).lastIndexOf(true);
+
+  return {
+    runs: runs.length,
+    failures: failures.length,
+    success_rate: runs.length > 0 ? (runs.length - failures.length) / runs.length : null,
+    failure_streak: runs.length - 1 - lastOk,
+    longest_failure_streak: longestStreak(runs),
+    avg_duration_ms: runs.length > 0 ? Math.round(average(runs.map(r => r.duration_ms))) : null,
+    alerts: runs.reduce((sum, r) => sum + (r.alerts || 0), 0),
+    metrics: metricTrends(runs.filter(r => r.ok))
+  };
+}
+
+// Helpers
+function metricTrends(runs) {
+  const names = new Set(runs.flatMap(r => Object.keys(r.metrics || {})));
+  const trends = {};
+
+  for (const name of names) {
+    const values = runs
+      .map(r => r.metrics?.[name])
+      .filter(v => typeof v === 'number');
+    if (values.length === 0) continue;
+
+    trends[name] = {
+      latest: values[values.length - 1],
+      min: Math.min(...values),
+      max: Math.max(...values),
+      average: round(average(values)),
+      direction: direction(values),
+      values
+    };
+  }
+
+  return trends;
+}
+
+function direction(values) {
+  if (values.length < 4) return 'unknown';
+
+  // Recent half against earlier half, relative to the overall scale
+  const half = Math.floor(values.length / 2);
+  const earlier = average(values.slice(0, half));
+  const recent = average(values.slice(half));
+  const scale = Math.max(Math.abs(earlier), Math.abs(recent), 1e-9);
+  const change = (recent - earlier) / scale;
+
+  if (Math.abs(change) <= TREND_TOLERANCE) return 'flat';
+  return change > 0 ? 'rising' : 'falling';
+}
+
+function longestStreak(runs) {
+  let longest = 0;
+  let current = 0;
+  for (const run of runs) {
+    current = run.ok ? 0 : current + 1;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+}
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  recordRun,
+  getLastRuns,
+  getRunHistory,
+  summarizeRuns
+};
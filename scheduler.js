@@ -0,0 +1,122 @@
+/**
+ * Scheduler
+ *
+ * Bookkeeping for `sa daemon`: when each tier last ran and when it's due
+ * next. The daemon loop itself lives in bin/sa; this module only decides
+ * and remembers. Per-app outcomes are in run-history.js.
+ *
+ * Catch-up rule: a tier that missed one or more slots (laptop asleep,
+ * daemon stopped, quiet hours) runs once when it can, then its next slot
+ * is counted from that run — never a burst of back-to-back replays.
+ *
+ * Each namespace (profile.js) is scheduled separately, so one daemon per
+ * user/agent pair can run side by side.
+ *
+ * State lives in $SA_DATA_DIR/scheduler.json (see local-store.js).
+ */
+
+const { readJson, writeJson } = require('./local-store.js');
+const { getNamespace } = require('./profile.js');
+
+const STATE_FILE = 'scheduler';
+
+/**
+ * Tiers due at `now`, in the order given. A tier that has never run is due.
+ *
+ * @param {Object<string, {intervalMs: number}>} tiers
+ * @param {Date} [now]
+ * @returns {Array<{tier: string, missed: number}>}
+ *   `missed` is how many whole slots passed without a run (0 = on time)
+ */
+function getDueTiers(tiers, now = new Date()) {
+  const state = loadState();
+  const due = [];
+
+  for (const [tier, { intervalMs }] of Object.entries(tiers)) {
+    const next = state.tiers[tier]?.next_run_at;
+    if (!next) {
+      due.push({ tier, missed: 0 });
+      continue;
+    }
+
+    const late = now - new Date(next);
+    if (late >= 0) {
+      due.push({ tier, missed: Math.floor(late / intervalMs) });
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Record a finished tier run and schedule its next slot. On-time runs
+ * keep the existing cadence; catch-up runs restart it from `startedAt`.
+ *
+ * @param {string} tier
+ * @param {Object} outcome
+ * @param {Date} outcome.startedAt
+ * @param {number} outcome.intervalMs
+ * @param {number} outcome.missed - From getDueTiers()
+ * @param {number} outcome.failed - Apps that errored
+ * @param {number} outcome.total - Apps run
+ */
+function recordTierRun(tier, { startedAt, intervalMs, missed, failed, total }) {
+  const state = loadState();
+  const slot = state.tiers[tier]?.next_run_at;
+  const anchor = slot && missed === 0 ? new Date(slot) : startedAt;
+
+  state.tiers[tier] = {
+    last_run_at: startedAt.toISOString(),
+    next_run_at: new Date(anchor.getTime() + intervalMs).toISOString(),
+    failed,
+    total
+  };
+  saveState(state);
+}
+
+/**
+ * Everything recorded so far: {tiers: {...}, daemon: {...}}
+ */
+function getRunState() {
+  return loadState();
+}
+
+/**
+ * Note the daemon's heartbeat, so status can tell a live daemon from a dead one.
+ */
+function recordHeartbeat(pid, now = new Date()) {
+  const state = loadState();
+  const startedAt = state.daemon?.pid === pid ? state.daemon.started_at : now.toISOString();
+  state.daemon = { pid, started_at: startedAt, last_tick_at: now.toISOString() };
+  saveState(state);
+}
+
+/**
+ * Whether the gap between two ticks means the machine was asleep
+ * (or the process was suspended) rather than just a slow tick.
+ */
+function sleptBetween(lastTick, now, tickMs) {
+  return Boolean(lastTick) && now - lastTick > tickMs * 3;
+}
+
+// Helpers
+function loadState() {
+  const state = readJson(STATE_FILE, {}).namespaces?.[getNamespace()] || {};
+  return {
+    tiers: state.tiers || {},
+    daemon: state.daemon || null
+  };
+}
+
+function saveState(state) {
+  const doc = readJson(STATE_FILE, {});
+  writeJson(STATE_FILE, { namespaces: { ...doc.namespaces, [getNamespace()]: state } });
+}
+
+module.exports = {
+  getDueTiers,
+  recordTierRun,
+  recordHeartbeat,
+  getRunState,
+  sleptBetween
+};
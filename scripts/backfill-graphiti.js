@@ -12,21 +12,27 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { setTimeout: sleep } = require('timers/promises');
-
-const SESSIONS_DIRS = [
-  '/home/tgree/.openclaw/agents/main/sessions',
-  '/home/tgree/clawd/memory/chatlogs'
-];
-const GRAPHITI_URL = process.env.GRAPHITI_URL || 'http://localhost:18000';
+const {
+  request,
+  describeError,
+  GraphitiRateLimitError,
+  DEFAULTS
+} = require('../graphiti-client.js');
+const { getProfile, groupFor } = require('../profile.js');
+
+const profile = getProfile();
+const SESSIONS_DIRS = profile.sessions.dirs;
+const GRAPHITI_URL = DEFAULTS.url;
 
 const BATCH_SIZE = 5; // Smaller batches for reliability
 const DEFAULT_RATE_LIMIT_MS = 1500; // Be gentle with OpenAI embeddings
 const MAX_RATE_LIMIT_MS = 30000;
+const MAX_ATTEMPTS = 5;
 const MIN_MESSAGES = 3; // Skip sessions with fewer messages (cron noise)
 
 const STATE_PATH =
   process.env.GRAPHITI_BACKFILL_STATE_PATH ||
-  '/home/tgree/clawd/.graphiti-backfill-state.json';
+  profile.sessions.backfillStateFile;
 
 // Parse args
 const args = process.argv.slice(2);
@@ -113,7 +119,7 @@ const state = loadState();
 
 // Back-compat: older runs wrote processed files to this legacy state file.
 // Import them so we don't duplicate already-ingested sessions.
-const LEGACY_CAPTURE_STATE_PATH = '/home/tgree/clawd/.graphiti-capture-state.json';
+const LEGACY_CAPTURE_STATE_PATH = profile.sessions.captureStateFile;
 
 function mergeLegacyCaptureState(stateObj) {
   if (!fs.existsSync(LEGACY_CAPTURE_STATE_PATH)) return 0;
@@ -200,7 +206,7 @@ async function parseSession(filePath) {
           if (text.trim() && text.length > 20 && !text.startsWith('[cron:')) {
             messages.push({
               role_type: role,
-              role: role === 'user' ? 'Tom' : 'Kit',
+              role: role === 'user' ? profile.user : profile.agent,
               content: text.slice(0, 3000), // Limit per message
               timestamp: entry.timestamp || sessionMeta?.timestamp || new Date().toISOString(),
               source_description: sourceFile
@@ -220,16 +226,18 @@ async function parseSession(filePath) {
  * Determine group_id from session metadata and timestamp
  */
 function getGroupId(sessionMeta) {
-  if (!sessionMeta) return 'tom-kit-unknown';
+  if (!sessionMeta) return groupFor('unknown');
 
   const date = sessionMeta.timestamp ? sessionMeta.timestamp.split('T')[0] : 'unknown';
-  return `tom-kit-dm-${date}`;
+  return `${groupFor('dm')}-${date}`;
 }
 
-function isRateLimit(status, bodyText) {
-  if (status === 429) return true;
-  const t = (bodyText || '').toLowerCase();
-  return t.includes('rate limit') || t.includes('too many requests');
+function bumpRateLimitDelay() {
+  const next = Math.min(Math.round(rateLimitMs * 1.5), MAX_RATE_LIMIT_MS);
+  if (next !== rateLimitMs) {
+    rateLimitMs = next;
+    console.log(`  Rate limit detected. Increasing delay to ${rateLimitMs}ms`);
+  }
 }
 
 /**
@@ -241,86 +249,36 @@ async function embedBatch(groupId, messages) {
     return true;
   }
 
-  const maxAttempts = 5;
-  let lastStatus = null;
-  let lastBody = '';
-  let lastErr = null;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 30000);
-
-      const response = await fetch(`${GRAPHITI_URL}/messages`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          group_id: groupId,
-          messages: messages
-        }),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeout);
-
-      if (response.ok || response.status === 202) {
-        return true;
-      }
-
-      lastStatus = response.status;
-      lastBody = await response.text().catch(() => '');
-
-      const rateLimited = isRateLimit(response.status, lastBody);
-      if (rateLimited) {
-        stats.rateLimitHits++;
-        const next = Math.min(Math.round(rateLimitMs * 1.5), MAX_RATE_LIMIT_MS);
-        if (next !== rateLimitMs) {
-          rateLimitMs = next;
-          console.log(`  Rate limit detected. Increasing delay to ${rateLimitMs}ms`);
-        }
-      }
-
-      if ((rateLimited || response.status >= 500) && attempt < maxAttempts) {
+  try {
+    // Raw request rather than add_memory: batches carry source_description,
+    // which add_memory's validation doesn't know about.
+    await request('/messages', {
+      method: 'POST',
+      url: GRAPHITI_URL,
+      body: { group_id: groupId, messages },
+      timeoutMs: 30000,
+      retries: MAX_ATTEMPTS - 1,
+      backoffMs: rateLimitMs,
+      onRetry: ({ error }) => {
         stats.retries++;
-        await sleep(rateLimitMs);
-        continue;
-      }
-
-      break;
-    } catch (err) {
-      lastErr = err;
-      const msg = err?.name === 'AbortError' ? 'Request timed out' : err?.message || String(err);
-      const rateLimited = msg.toLowerCase().includes('rate limit');
-      if (rateLimited) {
-        stats.rateLimitHits++;
-        const next = Math.min(Math.round(rateLimitMs * 1.5), MAX_RATE_LIMIT_MS);
-        if (next !== rateLimitMs) {
-          rateLimitMs = next;
-          console.log(`  Rate limit detected. Increasing delay to ${rateLimitMs}ms`);
+        if (error instanceof GraphitiRateLimitError) {
+          stats.rateLimitHits++;
+          bumpRateLimitDelay();
         }
       }
-
-      if ((rateLimited || attempt < maxAttempts)) {
-        stats.retries++;
-        await sleep(rateLimitMs);
-        continue;
-      }
-
-      break;
+    });
+    return true;
+  } catch (err) {
+    if (err instanceof GraphitiRateLimitError) {
+      stats.rateLimitHits++;
+      bumpRateLimitDelay();
     }
-  }
-
-  stats.errors = (stats.errors || 0) + 1;
-  stats.batchesFailed++;
 
-  if (lastErr) {
-    const msg = lastErr?.name === 'AbortError' ? 'Request timed out' : lastErr?.message || String(lastErr);
-    console.error(`  Batch failed: ${msg}`);
-  } else {
-    console.error(`  Batch failed (${lastStatus}): ${(lastBody || '').slice(0, 200)}`);
+    stats.errors = (stats.errors || 0) + 1;
+    stats.batchesFailed++;
+    console.error(`  Batch failed [${err.kind || 'error'}]: ${describeError(err)}`);
+    return false;
   }
-
-  return false;
 }
 
 /**
@@ -522,7 +480,7 @@ async function backfill() {
   console.log(`Time: ${elapsed}s`);
 
   // Save stats
-  const statsPath = '/home/tgree/clawd/notes/ops/graphiti-backfill-stats.json';
+  const statsPath = profile.sessions.backfillStatsFile;
   fs.mkdirSync(path.dirname(statsPath), { recursive: true });
   fs.writeFileSync(
     statsPath,
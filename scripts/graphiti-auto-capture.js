@@ -9,10 +9,13 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { request, describeError, DEFAULTS } = require('../graphiti-client.js');
+const { getProfile, groupFor } = require('../profile.js');
 
-const SESSIONS_DIR = '/home/tgree/.openclaw/agents/main/sessions';
-const GRAPHITI_URL = process.env.GRAPHITI_URL || 'http://localhost:18000';
-const STATE_FILE = '/home/tgree/clawd/.graphiti-capture-state.json';
+const profile = getProfile();
+const SESSIONS_DIR = profile.sessions.dirs[0];
+const GRAPHITI_URL = DEFAULTS.url;
+const STATE_FILE = profile.sessions.captureStateFile;
 const BATCH_SIZE = 5;
 const RATE_LIMIT_MS = 1000;
 
@@ -75,7 +78,7 @@ async function extractNewMessages(filePath, lastTimestamp) {
           if (text.trim() && text.length > 20 && !text.startsWith('[cron:')) {
             messages.push({
               role_type: role,
-              role: role === 'user' ? 'Tom' : 'Kit',
+              role: role === 'user' ? profile.user : profile.agent,
               content: text.slice(0, 3000),
               timestamp: ts || new Date().toISOString()
             });
@@ -93,13 +96,14 @@ async function extractNewMessages(filePath, lastTimestamp) {
  */
 async function embedBatch(groupId, messages) {
   try {
-    const response = await fetch(`${GRAPHITI_URL}/messages`, {
+    await request('/messages', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ group_id: groupId, messages })
+      url: GRAPHITI_URL,
+      body: { group_id: groupId, messages }
     });
-    return response.ok;
-  } catch {
+    return true;
+  } catch (err) {
+    console.error(`  Batch failed [${err.kind || 'error'}]: ${describeError(err)}`);
     return false;
   }
 }
@@ -137,7 +141,7 @@ async function autoCapture() {
     if (messages.length === 0) continue;
     
     const date = sessionMeta?.timestamp?.split('T')[0] || new Date().toISOString().split('T')[0];
-    const groupId = `tom-kit-dm-${date}`;
+    const groupId = `${groupFor('dm')}-${date}`;
     
     console.log(`  ${file.name}: ${messages.length} new messages → ${groupId}`);
     
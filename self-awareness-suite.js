@@ -18,28 +18,47 @@ const learningTracker = require('./learning-tracker.js');
 const valueAlignment = require('./value-alignment.js');
 const partnershipHealth = require('./partnership-health.js');
 const cognitiveMode = require('./cognitive-mode.js');
+const closeDetector = require('./close-detector.js');
 const { analyzeSemanticTriggers } = require('./semantic-triggers.js');
 const { recommendTools, formatRecommendations } = require('./recommendation-engine.js');
 const { generateAlert } = require('./alert-generator.js');
+const { deliverAlerts, getLedgerStatus } = require('./alert-ledger.js');
+const { recordFeedback, getEffectiveThresholds, getThresholdValues, TUNABLES } = require('./threshold-tuning.js');
+const { getProfile, groupFor } = require('./profile.js');
+const { createContext } = require('./app-contract.js');
+const { recordRun } = require('./run-history.js');
+const { describeError } = require('./graphiti-client.js');
+const { logSessionEvent, EVENT_TYPES } = require('./session-events.js');
+
+const profile = getProfile();
 
 const CONFIG = {
-  // User-specific settings
-  userName: process.env.USER_NAME || "Elliott",
-  agentName: process.env.AGENT_NAME || "Fern",
-  groupId: process.env.MEMORY_GROUP || "elliott-fern-dm",
+  // User-specific settings (from the profile — see profile.js)
+  userName: profile.user,
+  agentName: profile.agent,
+  groupId: groupFor("dm"),
   
-  // Alert frequency caps
+  // Alert frequency caps (enforced across runs by alert-ledger.js)
   maxAlertsPerHour: 3,
   maxAlertsPerDay: 8,
+  cooldownMinutes: 240, // Same alert text isn't repeated within this window
   
-  // Quiet hours
+  // Quiet hours — alerts raised now are held, not lost
   quietStart: 23, // 11pm
   quietEnd: 8,    // 8am
   
-  // Sensitivity
+  // Sensitivity — base values; learnFromFeedback() tunes around them
   energyThreshold: 0.7,
   stressThreshold: 0.6,
-  loopDaysThreshold: 7
+  loopDaysThreshold: 7,
+  driftAlertScore: 1.5,
+  
+  // Apps run straight after a session event (model switch, compaction,
+  // restart, new session). Add "stress" and "energy" for more coverage on resets.
+  eventApps: ["drift", "cognitive"],
+  
+  // Profile overrides for caps and quiet hours
+  ...profile.alerts
 };
 
 /**
@@ -57,13 +76,7 @@ async function initializeSuite() {
  */
 async function processMessage(message, conversationHistory = []) {
   const alerts = [];
-  const now = new Date();
-  const hour = now.getHours();
-  
-  // Skip quiet hours
-  if (hour >= CONFIG.quietStart || hour < CONFIG.quietEnd) {
-    return { alerts: [], reason: "quiet_hours" };
-  }
+  const thresholds = getThresholdValues(CONFIG);
   
   // 1. Semantic trigger detection
   const triggers = analyzeSemanticTriggers(message, conversationHistory);
@@ -77,9 +90,9 @@ async function processMessage(message, conversationHistory = []) {
       case "exhaustion":
       case "post_meeting":
       case "high_workload":
-        const energyCheck = await energyPredictor.predictEnergyCrash(4);
+        const energyCheck = await energyPredictor.predictEnergyCrash(4, thresholds.energyThreshold);
         if (energyCheck.alert) {
-          alerts.push(generateAlert("energy", "pre_crash", energyCheck, { tone: "gentle" }));
+          alerts.push({ type: "energy", text: generateAlert("energy", "pre_crash", energyCheck, { tone: "gentle" }) });
         }
         break;
         
@@ -87,58 +100,159 @@ async function processMessage(message, conversationHistory = []) {
       case "frustration":
         const decisionCheck = await decisionFatigue.assessFatigue(conversationHistory.length);
         if (decisionCheck.alert) {
-          alerts.push(generateAlert("decision_fatigue", "high_load", decisionCheck));
+          alerts.push({ type: "decision_fatigue", text: generateAlert("decision_fatigue", "high_load", decisionCheck) });
         }
         break;
         
       case "deflection":
       case "suppression":
-        const stressCheck = await stressPrecursor.checkPrecursors(CONFIG.groupId);
+        const stressCheck = await stressPrecursor.analyzeStressState([...conversationHistory.slice(-10), message], thresholds.stressThreshold);
         if (stressCheck.alert) {
-          alerts.push(generateAlert("stress", "early_warning", stressCheck));
+          alerts.push({ type: "stress", text: generateAlert("stress", "early_warning", stressCheck) });
         }
         break;
         
       case "procrastination_signal":
         const loopCheck = await loopHunter.detectNewLoop(message, { person: CONFIG.userName });
-        if (loopCheck) {
-          alerts.push(generateAlert("loops", "new_detected", { topic: loopCheck.topic }));
+        // A repeat mention of an open loop isn't news — the stale check covers it
+        if (loopCheck && !loopCheck.merged) {
+          alerts.push({ type: "loops", text: generateAlert("loops", "new_detected", { topic: loopCheck.topic }) });
         }
         break;
     }
   }
   
-  // 4. Check cognitive mode mismatch
+  // 4. "Sent it to Elliott" — close what that finished, or ask
+  const closures = await closeDetector.resolveFromMessage(message);
+  if (closures.proposed.length > 0) {
+    const titles = closures.proposed.map(p => `"${p.title}"`).join(", ");
+    alerts.push({ type: "closes", text: `Sounds like ${titles} ${closures.proposed.length === 1 ? "is" : "are"} done — want me to close ${closures.proposed.length === 1 ? "it" : "them"}?` });
+  }
+  
+  // 5. Check cognitive mode mismatch — and log it for the timeline
   const mode = cognitiveMode.analyzeCognitiveMode(message, conversationHistory);
+  if (mode.mode !== "unknown") {
+    await cognitiveMode.logMode(mode.mode, mode.confidence, message, { speaker: "user" });
+  }
   // If user is in creative mode but task needs executive, suggest transition
   
-  // 5. Periodic checks (every 10 messages)
+  // 6. Periodic checks (every 10 messages)
   if (conversationHistory.length % 10 === 0) {
     // Check for stale loops
-    const staleLoops = await loopHunter.findStaleLoops(CONFIG.loopDaysThreshold);
+    const staleLoops = await loopHunter.findStaleLoops(thresholds.loopDaysThreshold);
     if (staleLoops.length > 0) {
-      alerts.push(await loopHunter.generateLoopAlert(staleLoops));
+      alerts.push({ type: "loops", text: await loopHunter.generateLoopAlert(staleLoops) });
     }
     
     // Check commitments
     const upcoming = await commitmentTracker.findUpcomingCommitments(3);
     const dueSoon = upcoming.filter(c => c.days_until <= 1);
     if (dueSoon.length > 0) {
-      alerts.push(generateAlert("commitments", "due_soon", { count: dueSoon.length }));
+      alerts.push({ type: "commitments", text: generateAlert("commitments", "due_soon", { count: dueSoon.length }) });
     }
   }
   
-  // Deduplicate and limit
-  const uniqueAlerts = [...new Set(alerts)].slice(0, CONFIG.maxAlertsPerHour);
+  // Budget, quiet hours and dedupe — held alerts from earlier runs go first
+  const outcome = deliverAlerts(alerts, CONFIG);
   
   return {
-    alerts: uniqueAlerts,
+    alerts: outcome.delivered.map(a => a.text),
+    held: outcome.held.length,
+    reason: outcome.reason,
     triggers: triggers.length,
+    closed: closures.applied.map(c => ({ id: c.id, kind: c.kind, title: c.title })),
     recommendations: recommendations.slice(0, 2),
     mode: mode.mode
   };
 }
 
+// Apps that can run on a session event, by `sa` app key
+const EVENT_APPS = {
+  drift: driftDetection,
+  cognitive: cognitiveMode,
+  stress: stressPrecursor,
+  energy: energyPredictor
+};
+
+/**
+ * Handle a session event: log it, then run the event apps straight away
+ * instead of waiting for the next pulse (docs/SCHEDULING.md, "Event-style
+ * triggers"). Each app gets the event in its context. Runs go to the run
+ * history and alerts through the ledger, like scheduled runs.
+ *
+ * @param {string} type - "model_switch" | "compaction" | "restart" | "new_session"
+ * @param {Object} [options]
+ * @param {string} [options.detail] - e.g. the new model
+ * @param {Array<string>} [options.apps] - Default: CONFIG.eventApps
+ * @param {Object} [options.context] - Run context overrides (group, user, agent, since)
+ * @returns {Promise<{event, results, alerts, held}>}
+ * @throws {Error} Unknown event type or app — before anything is logged
+ */
+async function handleSessionEvent(type, options = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown session event: ${type} (use ${EVENT_TYPES.join(", ")})`);
+  }
+  const apps = options.apps || CONFIG.eventApps;
+  const unknown = apps.filter(key => !EVENT_APPS[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Can't run ${unknown.join(", ")} on an event (use ${Object.keys(EVENT_APPS).join(", ")})`);
+  }
+  
+  const overrides = options.context || {};
+  const event = logSessionEvent(type, {
+    detail: options.detail,
+    agent: overrides.agent,
+    group: overrides.group || CONFIG.groupId
+  });
+  const context = createContext({
+    group: CONFIG.groupId,
+    thresholds: getThresholdValues(CONFIG),
+    ...overrides,
+    event
+  });
+  
+  const results = {};
+  const alerts = [];
+  for (const key of apps) {
+    const started = Date.now();
+    try {
+      results[key] = await EVENT_APPS[key].run(context);
+    } catch (err) {
+      results[key] = { error: describeError(err), errorKind: err.kind || "error" };
+    }
+    recordRun(key, results[key], Date.now() - started, { group: context.group });
+    alerts.push(...(results[key].alerts || []));
+  }
+  
+  const outcome = deliverAlerts(alerts, CONFIG);
+  return {
+    event,
+    results,
+    alerts: outcome.delivered.map(a => a.text),
+    held: outcome.held.length
+  };
+}
+
+/**
+ * Send whatever was held back (quiet hours, caps) if the budget now allows.
+ * Call on a schedule — e.g. at quietEnd — so held alerts don't wait for the next message.
+ */
+function releaseHeldAlerts() {
+  const outcome = deliverAlerts([], CONFIG);
+  return {
+    alerts: outcome.delivered.map(a => a.text),
+    held: outcome.held.length,
+    reason: outcome.reason
+  };
+}
+
+/**
+ * Current alert budget usage
+ */
+function getAlertBudget() {
+  return getLedgerStatus(CONFIG);
+}
+
 /**
  * Generate morning digest
  */
@@ -146,9 +260,14 @@ async function generateMorningDigest() {
   const sections = [];
   
   // Energy forecast
-  const forecast = await energyPredictor.generateEnergyForecast([]);
+  const forecast = await energyPredictor.generateEnergyForecast();
   if (forecast.risk_level !== "low") {
-    sections.push(`⚡ Energy: ${forecast.risk_level} risk today`);
+    const window = forecast.recovery_windows.find(w => w.end > new Date());
+    sections.push(`⚡ Energy: ${forecast.risk_level} risk today (${forecast.meeting_count} draining events)` +
+      (window ? ` — protect ${window.start.toTimeString().slice(0, 5)}–${window.end.toTimeString().slice(0, 5)} for recovery` : ""));
+  }
+  if (forecast.predicted_dip_hour !== null) {
+    sections.push(`📉 Energy usually dips around ${forecast.predicted_dip_hour}:00 — keep that hour for lighter work`);
   }
   
   // Stale loops
@@ -178,19 +297,37 @@ async function generateMorningDigest() {
 
 /**
  * Learn from user feedback
+ * 
+ * Records the vote; the matching threshold (if the alert type has one)
+ * shifts on the next read. Returns where that threshold now sits.
  */
 async function learnFromFeedback(alertType, wasHelpful, userResponse) {
-  // Adjust sensitivity based on feedback
-  if (!wasHelpful) {
-    console.log(`[LEARN] ${alertType} alert was not helpful - reducing frequency`);
-    // Implementation: store feedback, adjust thresholds
+  recordFeedback(alertType, wasHelpful, userResponse);
+  
+  const name = Object.keys(TUNABLES).find(key => TUNABLES[key].alertType === alertType);
+  if (!name) {
+    return { recorded: true, alertType, threshold: null };
   }
+  
+  const threshold = getEffectiveThresholds(CONFIG)[name];
+  return { recorded: true, alertType, threshold: name, ...threshold };
+}
+
+/**
+ * Effective sensitivity per app after feedback
+ */
+function getSensitivity() {
+  return getEffectiveThresholds(CONFIG);
 }
 
 module.exports = {
   initializeSuite,
   processMessage,
+  handleSessionEvent,
+  releaseHeldAlerts,
+  getAlertBudget,
   generateMorningDigest,
   learnFromFeedback,
+  getSensitivity,
   CONFIG
 };
@@ -4,6 +4,9 @@
  * Detects patterns beyond keywords using sentiment, context, and behavior
  */
 
+const { createContext, appResult, getRecentMessages } = require('./app-contract.js');
+const { getProfile } = require('./profile.js');
+
 const SENTIMENT_PATTERNS = {
   exhaustion: {
     keywords: ["exhausted", "tired", "drained", "wiped", "done", "spent"],
@@ -172,14 +175,50 @@ function extractTriggerPhrase(message, keywords) {
  */
 function extractTopic(message) {
   // Would use NLP in production
-  const topics = ["work", "family", "health", "coding", "meeting", "elliott", "bel", "jack"];
-  for (const topic of topics) {
-    if (message.toLowerCase().includes(topic)) return topic;
+  for (const topic of getProfile().topics) {
+    if (message.toLowerCase().includes(topic.toLowerCase())) return topic;
   }
   return null;
 }
 
+/**
+ * sa app entry point (see app-contract.js).
+ * Runs trigger detection over each recent user message, in conversation order.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const messages = await getRecentMessages(ctx, { speaker: "user" });
+  
+  const counts = {};
+  const history = [];
+  for (const message of messages) {
+    for (const trigger of analyzeSemanticTriggers(message.content, history.slice(-5))) {
+      counts[trigger.pattern] = (counts[trigger.pattern] || 0) + 1;
+    }
+    history.push(message.content);
+  }
+  
+  const ranked = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  
+  return appResult({
+    summary: ranked.length > 0
+      ? `Top triggers: ${ranked.slice(0, 3).map(([p, n]) => `${p} ×${n}`).join(", ")}`
+      : `No triggers in ${messages.length} recent messages`,
+    findings: ranked.map(([pattern, count]) => ({
+      type: pattern,
+      severity: SENTIMENT_PATTERNS[pattern]?.intensity === "high" && count > 2 ? "medium" : "info",
+      message: `${pattern} detected in ${count} message${count > 1 ? "s" : ""}`
+    })),
+    metrics: {
+      messagesAnalyzed: messages.length,
+      triggers: ranked.reduce((sum, [, n]) => sum + n, 0),
+      ...counts
+    }
+  });
+}
+
 module.exports = {
+  run,
   analyzeSemanticTriggers,
   detectImplicitPatterns,
   SENTIMENT_PATTERNS
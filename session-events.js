@@ -0,0 +1,179 @@
+/**
+ * Session Events
+ *
+ * The moments an agent's voice is most likely to shift: a model switch,
+ * a context compaction, a gateway restart, a fresh session
+ * (docs/SCHEDULING.md, "Event-style triggers").
+ *
+ * Two sources, merged by getSessionEvents():
+ *   - Logged events: logSessionEvent() writes a typed record to the
+ *     "session-events" stream. Restarts only ever come from here.
+ *   - OpenClaw session logs (profile.sessions.dirs): every session file
+ *     starts with a "session" entry, and model changes and compactions
+ *     are entries of their own. Only files touched inside the window are
+ *     read.
+ *
+ * drift-history.js lines these up against change points in drift.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { getProfile } = require('./profile.js');
+
+const STREAM = 'session-events';
+
+const EVENT_TYPES = ['model_switch', 'compaction', 'restart', 'new_session'];
+
+const EVENT_LABELS = {
+  model_switch: 'model switch',
+  compaction: 'compaction',
+  restart: 'restart',
+  new_session: 'new session'
+};
+
+// OpenClaw session log entry type → event type
+const LOG_ENTRY_TYPES = {
+  session: 'new_session',
+  model_change: 'model_switch',
+  compaction: 'compaction'
+};
+
+// A logged event and the session log entry for the same moment are one event
+const DUPLICATE_MS = 60 * 1000;
+
+/**
+ * Log a session event.
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [options]
+ * @param {string} [options.detail] - e.g. the new model for a model_switch
+ * @param {string} [options.agent]
+ * @param {string} [options.group]
+ * @param {Date|string} [options.timestamp] - Default: now
+ * @returns {Object} - The stored record
+ * @throws {Error} Unknown event type
+ */
+function logSessionEvent(type, options = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown session event: ${type} (use ${EVENT_TYPES.join(', ')})`);
+  }
+  return appendEvent(STREAM, type, {
+    detail: options.detail || null,
+    agent: options.agent || getProfile().agent,
+    source: 'logged'
+  }, {
+    group: options.group,
+    timestamp: options.timestamp ? new Date(options.timestamp).toISOString() : undefined
+  });
+}
+
+/**
+ * Session events in a window, oldest first, from both sources.
+ *
+ * @param {Object} [filter]
+ * @param {Date|string} [filter.since]
+ * @param {Date|string} [filter.until]
+ * @param {string|Array<string>} [filter.type] - Event type(s) to keep
+ * @returns {Array<{id, type, ts, detail, source, group}>}
+ */
+function getSessionEvents(filter = {}) {
+  const types = filter.type ? [].concat(filter.type) : EVENT_TYPES;
+  const logged = queryEvents(STREAM, { type: types, since: filter.since, until: filter.until });
+  const fromLogs = readSessionLogs(filter).filter(e => types.includes(e.type));
+
+  const events = [...logged];
+  for (const event of fromLogs) {
+    const ts = new Date(event.ts).getTime();
+    const seen = logged.some(l => l.type === event.type && Math.abs(new Date(l.ts).getTime() - ts) <= DUPLICATE_MS);
+    if (!seen) events.push(event);
+  }
+  return events.sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+/**
+ * Events recorded in OpenClaw session logs.
+ *
+ * @param {Object} [filter] - {since, until}
+ * @returns {Array<{id, type, ts, detail, source, group}>}
+ */
+function readSessionLogs(filter = {}) {
+  const since = filter.since ? new Date(filter.since).getTime() : -Infinity;
+  const until = filter.until ? new Date(filter.until).getTime() : Infinity;
+  const events = [];
+
+  for (const file of sessionFiles(since)) {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue; // Rotated away while we were listing
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const type = LOG_ENTRY_TYPES[entry.type];
+      const ts = new Date(entry.timestamp).getTime();
+      if (!type || Number.isNaN(ts) || ts < since || ts >= until) continue;
+
+      events.push({
+        id: entry.id || `${path.basename(file)}:${entry.timestamp}`,
+        type,
+        ts: new Date(ts).toISOString(),
+        detail: entryDetail(entry),
+        source: path.basename(file),
+        group: null
+      });
+    }
+  }
+
+  return events;
+}
+
+// Helpers
+function sessionFiles(since) {
+  const files = [];
+  for (const dir of getProfile().sessions.dirs) {
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      continue; // Not every configured dir exists on every machine
+    }
+    for (const name of names) {
+      if (!name.endsWith('.jsonl')) continue;
+      const file = path.join(dir, name);
+      try {
+        if (fs.statSync(file).mtimeMs >= since) files.push(file);
+      } catch {
+        continue;
+      }
+    }
+  }
+  return files;
+}
+
+function entryDetail(entry) {
+  if (entry.type === 'model_change') {
+    return [entry.provider, entry.modelId || entry.model].filter(Boolean).join('/') || null;
+  }
+  if (entry.type === 'compaction' && entry.tokensBefore) {
+    return `${entry.tokensBefore} tokens before`;
+  }
+  return null;
+}
+
+module.exports = {
+  logSessionEvent,
+  getSessionEvents,
+  readSessionLogs,
+  EVENT_TYPES,
+  EVENT_LABELS
+};
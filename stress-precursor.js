@@ -6,10 +6,14 @@
  */
 
 const { search, add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
 const { generateAlert } = require('./alert-generator.js');
 const { analyzeSemanticTriggers } = require('./semantic-triggers.js');
+const { createContext, appResult, getRecentMessages } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-stress";
+const GROUP_ID = groupFor("stress");
+const STREAM = "stress";
 
 // Historical stress signatures (would be learned from data)
 const STRESS_SIGNATURES = {
@@ -45,8 +49,11 @@ const STRESS_SIGNATURES = {
 
 /**
  * Analyze current state for stress indicators
+ * 
+ * @param {Array<string>} recentMessages
+ * @param {number} threshold - Match score that triggers an alert (tuned from feedback)
  */
-async function analyzeStressState(recentMessages = []) {
+async function analyzeStressState(recentMessages = [], threshold = 0.6) {
   const indicators = {
     exhaustion: 0,
     overwhelm: 0,
@@ -71,7 +78,7 @@ async function analyzeStressState(recentMessages = []) {
   // Search graph for historical patterns
   const stressHistory = await search({
     query: "stress burnout overwhelmed exhausted couldn't cope",
-    group_ids: [GROUP_ID, "tom-kit-dm"],
+    group_ids: [GROUP_ID, groupFor("dm")],
     max_facts: 10
   });
   
@@ -79,6 +86,7 @@ async function analyzeStressState(recentMessages = []) {
   const matchScore = calculatePatternMatch(indicators, stressHistory.facts);
   
   return {
+    alert: matchScore > threshold,
     indicators,
     match_score: matchScore,
     risk_level: matchScore > 0.7 ? "high" : matchScore > 0.4 ? "medium" : "low",
@@ -140,6 +148,8 @@ function identifyMatchedSignatures(indicators) {
 async function logStressEvent(event) {
   const { type, intensity, context, timestamp = new Date().toISOString() } = event;
   
+  appendEvent(STREAM, "stress", { kind: type, intensity, context }, { group: GROUP_ID, timestamp });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -193,7 +203,7 @@ function suggestInterventions(analysis) {
     pre_overwhelm: [
       "Immediate: List everything, then circle top 3 only",
       "Today: 2-hour focused work block, then enforced break",
-      "Delegate: What can Elliott/Kit/someone else take?",
+      `Delegate: What can ${getProfile().agent} or someone else take?`,
       "Tonight: Zero work after 7pm"
     ],
     general: [
@@ -215,7 +225,7 @@ async function dailyStressCheck() {
   // Get last 3 days of messages
   const recent = await search({
     query: "recent conversation messages",
-    group_ids: ["tom-kit-dm"],
+    group_ids: [groupFor("dm")],
     max_facts: 20
   });
   
@@ -228,7 +238,45 @@ async function dailyStressCheck() {
   };
 }
 
+/**
+ * sa app entry point (see app-contract.js).
+ * Scores the user's recent messages against historical stress precursors.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const messages = await getRecentMessages(ctx, { speaker: "user" });
+  const analysis = await analyzeStressState(messages.map(m => m.content), ctx.thresholds.stressThreshold);
+  const logged = queryEvents(STREAM, { type: "stress", group: GROUP_ID, since: ctx.since });
+  
+  const active = Object.entries(analysis.indicators)
+    .filter(([, v]) => v > 0)
+    .map(([k]) => k);
+  
+  const findings = analysis.matched_signatures.map(sig => ({
+    type: sig.signature,
+    severity: analysis.risk_level === "low" ? "low" : analysis.risk_level,
+    message: `Matches ${sig.signature.replace("_", "-")} signature (${sig.matches} indicators, usually ~${sig.timeline} days out)`,
+    data: { interventions: suggestInterventions({ matched_signatures: [sig] }) }
+  }));
+  
+  return appResult({
+    summary: active.length === 0
+      ? `No stress signals in ${messages.length} recent messages`
+      : `Stress risk ${analysis.risk_level} — signals: ${active.join(", ")}`,
+    findings,
+    alerts: analysis.alert ? [{ type: "stress", text: generateAlert("stress", { indicators: active }) }] : [],
+    metrics: {
+      matchScore: Math.round(analysis.match_score * 100) / 100,
+      threshold: ctx.thresholds.stressThreshold,
+      messagesAnalyzed: messages.length,
+      eventsLogged: logged.length,
+      ...Object.fromEntries(Object.entries(analysis.indicators).map(([k, v]) => [k, Math.round(v * 100) / 100]))
+    }
+  });
+}
+
 module.exports = {
+  run,
   analyzeStressState,
   logStressEvent,
   generateEarlyWarning,
@@ -0,0 +1,133 @@
+/**
+ * Style Metrics
+ *
+ * Measures how a set of messages is written: prose vs bullets, warmth,
+ * questions, initiative, hedging, self-reference and the rest. Every
+ * value is a ratio over the messages (0–1) except warmth (0–10) and
+ * avgSentenceLength (words).
+ *
+ * drift-detection.js compares these against a baseline; drift-baseline.js
+ * learns baselines from them.
+ */
+
+/**
+ * Analyze texts for style metrics.
+ * Can work with Graphiti facts OR raw message strings.
+ */
+function measureStyle(texts) {
+  if (!texts || texts.length === 0) return null;
+  
+  const metrics = {};
+  
+  // Prose vs bullets
+  const bulletTexts = texts.filter(t => (t.match(/^[\s]*[-•*]/gm) || []).length > 2);
+  metrics.bulletRatio = bulletTexts.length / texts.length;
+  metrics.proseRatio = 1 - metrics.bulletRatio;
+  
+  // Heading density (## or **Bold:** patterns)
+  const headingTexts = texts.filter(t => /^#{1,3}\s|^\*\*[^*]+\*\*:/m.test(t));
+  metrics.headingDensity = headingTexts.length / texts.length;
+  
+  // Sentence length
+  const allSentences = texts.flatMap(t => 
+    t.split(/[.!?]+/).filter(s => s.trim().length > 5)
+  );
+  const totalWords = allSentences.reduce((sum, s) => sum + s.trim().split(/\s+/).length, 0);
+  metrics.avgSentenceLength = allSentences.length > 0 ? totalWords / allSentences.length : 0;
+  
+  // Questions (curiosity signal)
+  const withQuestions = texts.filter(t => t.includes('?'));
+  metrics.questionRatio = withQuestions.length / texts.length;
+  
+  // Proactive suggestions
+  const proactiveMarkers = [
+    'we could', "let's", 'i suggest', 'what if', 'have you considered',
+    'worth trying', 'idea:', 'thought:', 'recommendation'
+  ];
+  const proactiveTexts = texts.filter(t => 
+    proactiveMarkers.some(m => t.toLowerCase().includes(m))
+  );
+  metrics.proactiveRate = proactiveTexts.length / texts.length;
+  
+  // Warmth indicators (genuine, not performative)
+  const warmMarkers = [
+    '🦊', 'honestly', 'genuinely', 'love that', 'nice', 'glad',
+    'ha', 'hah', 'funny', 'cool', 'mate', 'cheers'
+  ];
+  const coldMarkers = [
+    'verified', 'confirmed', 'status:', 'deployed', 'committed',
+    'completed', 'updated', '✅', 'nominal', 'operational'
+  ];
+  const warmCount = texts.reduce((sum, t) => {
+    const lower = t.toLowerCase();
+    return sum + warmMarkers.filter(m => lower.includes(m)).length;
+  }, 0);
+  const coldCount = texts.reduce((sum, t) => {
+    const lower = t.toLowerCase();
+    return sum + coldMarkers.filter(m => lower.includes(m)).length;
+  }, 0);
+  const total = warmCount + coldCount;
+  metrics.warmth = total > 0 ? Math.min(10, (warmCount / total) * 10) : 5;
+  
+  // Directness (hedging detection)
+  const hedgeMarkers = [
+    'perhaps', 'it seems', 'it appears', 'might be', 'could potentially',
+    'i think maybe', 'it\'s possible that', 'one option would be'
+  ];
+  const hedgeCount = texts.reduce((sum, t) => {
+    const lower = t.toLowerCase();
+    return sum + hedgeMarkers.filter(m => lower.includes(m)).length;
+  }, 0);
+  metrics.directness = Math.max(0, 1 - (hedgeCount / (texts.length * 2)));
+  
+  // Emotional honesty (first person + feeling words)
+  const emotionalMarkers = [
+    'i feel', 'i think', 'matters to me', 'honestly', 'genuinely',
+    'i care', "i'm curious", 'that landed', 'this is real'
+  ];
+  const emotionalTexts = texts.filter(t =>
+    emotionalMarkers.some(m => t.toLowerCase().includes(m))
+  );
+  metrics.emotionalHonesty = emotionalTexts.length / texts.length;
+  
+  // Self-reference as person vs system
+  const personMarkers = ['i am', "i'm", 'i want', 'i feel', 'i think', 'my'];
+  const systemMarkers = ['status:', 'deployed', 'verified', 'operational', 'context:'];
+  const personCount = texts.reduce((sum, t) => {
+    const lower = t.toLowerCase();
+    return sum + personMarkers.filter(m => lower.includes(m)).length;
+  }, 0);
+  const sysCount = texts.reduce((sum, t) => {
+    const lower = t.toLowerCase();
+    return sum + systemMarkers.filter(m => lower.includes(m)).length;
+  }, 0);
+  const refTotal = personCount + sysCount;
+  metrics.selfReference = refTotal > 0 ? personCount / refTotal : 0.5;
+  
+  // Philosophical depth (going beyond the immediate task)
+  const deepMarkers = [
+    'what it means', 'consciousness', 'the point is', 'deeper',
+    'the real question', 'honestly', 'what I actually', 'the thing is'
+  ];
+  const deepTexts = texts.filter(t =>
+    deepMarkers.some(m => t.toLowerCase().includes(m))
+  );
+  metrics.philosophicalDepth = deepTexts.length / texts.length;
+  
+  // Humour (very rough — looks for casual/playful markers)
+  const humourMarkers = [
+    'ha', 'hah', 'lol', '😂', '🤣', '😅', 'hilarious', 'absurd',
+    'ironically', 'the irony', '...which is', 'plot twist'
+  ];
+  const humourTexts = texts.filter(t =>
+    humourMarkers.some(m => t.toLowerCase().includes(m))
+  );
+  metrics.humourPresence = humourTexts.length / texts.length;
+  
+  metrics.sampleSize = texts.length;
+  return metrics;
+}
+
+module.exports = {
+  measureStyle
+};
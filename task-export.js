@@ -0,0 +1,325 @@
+/**
+ * Task Export
+ *
+ * Puts commitments and open loops where the rest of the day gets planned:
+ *
+ * - exportICS() writes a VCALENDAR with one VTODO per item (due date,
+ *   recipient, state) for task apps — Apple Reminders, Thunderbird,
+ *   Outlook tasks. With `events: true` it writes a VEVENT at each deadline
+ *   instead, for calendars that don't show to-dos (Google).
+ * - exportMarkdown() writes a checklist for Obsidian, Logseq or any notes app.
+ *
+ * importCompletions() reads either format back and closes whatever was
+ * ticked off there. Every exported item carries its id (the UID in ICS,
+ * an HTML comment in Markdown), so titles can be edited freely. Import
+ * only ever closes: unticking something in the other app doesn't reopen
+ * it here (use `sa commits reopen`).
+ */
+
+const { parseTodos } = require('./calendar.js');
+const commitmentTracker = require('./commitment-tracker.js');
+const loopHunter = require('./loop-hunter.js');
+
+const UID_DOMAIN = 'graph-memory-suite';
+const PRODID = '-//graph-memory-suite//Task Export//EN';
+const LINE_OCTETS = 75;
+const DEADLINE_EVENT_MINUTES = 15;
+
+// Commitment state → VTODO STATUS
+const TODO_STATUS = {
+  'open': 'NEEDS-ACTION',
+  'in-progress': 'IN-PROCESS',
+  'snoozed': 'NEEDS-ACTION',
+  'renegotiated': 'NEEDS-ACTION',
+  'done': 'COMPLETED',
+  'cancelled': 'CANCELLED'
+};
+
+// Markdown checkbox → what it means on import
+const CHECKBOX = {
+  ' ': null,
+  'x': 'done',
+  'X': 'done',
+  '-': 'cancelled',
+  '~': 'cancelled'
+};
+
+/**
+ * Commitments and open loops to export.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Include done and cancelled commitments
+ * @returns {{commitments: Array<Object>, loops: Array<Object>}}
+ */
+function gatherItems({ all = false } = {}) {
+  const commitments = commitmentTracker.getCommitments()
+    .filter(c => all || !['done', 'cancelled'].includes(c.state))
+    .sort((a, b) => new Date(a.by_when) - new Date(b.by_when));
+  return { commitments, loops: loopHunter.getOpenLoops() };
+}
+
+/**
+ * iCalendar text: VTODOs, or deadline VEVENTs with `events: true`.
+ *
+ * @param {{commitments: Array<Object>, loops: Array<Object>}} items - From gatherItems()
+ * @param {Object} [options]
+ * @param {boolean} [options.events=false] - One VEVENT per commitment deadline instead
+ *   (loops have no deadline, so they're left out)
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+function exportICS({ commitments, loops }, { events = false, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${events ? 'Commitment deadlines' : 'Commitments & open loops'}`
+  ];
+
+  for (const c of commitments) {
+    lines.push(...(events ? deadlineEvent(c, now) : commitmentTodo(c, now)));
+  }
+  if (!events) {
+    for (const loop of loops) lines.push(...loopTodo(loop, now));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Markdown checklist: commitments by due date, then open loops.
+ *
+ * @param {{commitments: Array<Object>, loops: Array<Object>}} items - From gatherItems()
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+function exportMarkdown({ commitments, loops }, { now = new Date() } = {}) {
+  const lines = [
+    '# Commitments & open loops',
+    '',
+    `_Exported ${formatLocal(now)}. Tick items off (\`[x]\` done, \`[-]\` cancelled), then \`sa import\` this file._`,
+    '',
+    '## Commitments',
+    ''
+  ];
+
+  if (commitments.length === 0) lines.push('_None._');
+  for (const c of commitments) {
+    const box = c.state === 'done' ? 'x' : c.state === 'cancelled' ? '-' : ' ';
+    const notes = [`due ${formatDue(c.by_when)}`];
+    if (c.state === 'snoozed') notes.push(`snoozed until ${formatDue(c.snoozed_until)}`);
+    else if (c.state !== 'open') notes.push(c.state);
+    lines.push(`- [${box}] ${oneLine(c.what)} → ${oneLine(c.to_whom)} (${notes.join(', ')}) <!-- sa:commitment:${c.id} -->`);
+  }
+
+  lines.push('', '## Open loops', '');
+  if (loops.length === 0) lines.push('_None._');
+  for (const loop of loops) {
+    const mentioned = loop.mention_count > 1 ? `, mentioned ${loop.mention_count}×` : '';
+    lines.push(`- [ ] ${oneLine(loop.topic)} (open since ${formatLocal(new Date(loop.ts)).slice(0, 10)}${mentioned}) <!-- sa:loop:${loop.id} -->`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Completion marks in an exported file, whichever format it's in.
+ *
+ * @param {string} text - .ics or Markdown
+ * @returns {{marks: Array<{kind: "commitment"|"loop", id, to: "done"|"cancelled", title}>, problems: Array<string>}}
+ */
+function readCompletions(text) {
+  if (/^BEGIN:VCALENDAR/im.test(text)) {
+    const { todos, problems } = parseTodos(text);
+    const marks = [];
+    for (const todo of todos) {
+      const match = (todo.uid || '').match(new RegExp(`^(commitment|loop)-(.+)@${UID_DOMAIN}$`));
+      const to = todo.status === 'COMPLETED' ? 'done' : todo.status === 'CANCELLED' ? 'cancelled' : null;
+      if (match && to) marks.push({ kind: match[1], id: match[2], to, title: todo.title });
+    }
+    return { marks, problems };
+  }
+
+  const marks = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const match = line.match(/^\s*[-*+]\s+\[(.)\]\s+(.*?)\s*<!--\s*sa:(commitment|loop):([\w-]+)\s*-->/);
+    if (match && CHECKBOX[match[1]]) {
+      marks.push({ kind: match[3], id: match[4], to: CHECKBOX[match[1]], title: match[2] });
+    }
+  }
+  return { marks, problems: [] };
+}
+
+/**
+ * Close what was ticked off in an exported file.
+ *
+ * @param {string} text - .ics or Markdown, as exported (then edited elsewhere)
+ * @param {Object} [options]
+ * @param {string} [options.source="import"] - Where the marks came from; goes in the note
+ * @param {boolean} [options.dryRun=false] - Report what would change without changing it
+ * @returns {Promise<{applied, unchanged, unknown, problems}>} - Lists of
+ *   {kind, id, title, to, from}: closed now, already in that (or another closed)
+ *   state, or not found
+ */
+async function importCompletions(text, { source = 'import', dryRun = false } = {}) {
+  const { marks, problems } = readCompletions(text);
+  const applied = [];
+  const unchanged = [];
+  const unknown = [];
+  const openLoops = new Map(loopHunter.getOpenLoops().map(l => [l.id, l]));
+  const note = to => `Marked ${to} in ${source}`;
+
+  for (const mark of marks) {
+    if (mark.kind === 'commitment') {
+      const commitment = commitmentTracker.getCommitments().find(c => c.id === mark.id);
+      if (!commitment) {
+        unknown.push(mark);
+      } else if (['done', 'cancelled'].includes(commitment.state)) {
+        unchanged.push({ ...mark, title: commitment.what, from: commitment.state });
+      } else {
+        if (!dryRun) await commitmentTracker.transitionCommitment(commitment.id, mark.to, { note: note(mark.to) });
+        applied.push({ ...mark, title: commitment.what, from: commitment.state });
+      }
+      continue;
+    }
+
+    const loop = openLoops.get(mark.id);
+    if (!loop) {
+      // Closed already, or never ours — the store can't tell which without the loop record
+      unchanged.push(mark);
+      continue;
+    }
+    if (!dryRun) {
+      if (mark.to === 'done') await loopHunter.closeLoop(loop.id, note('done'));
+      else await loopHunter.abandonLoop(loop.id, note('cancelled'));
+    }
+    openLoops.delete(loop.id);
+    applied.push({ ...mark, title: loop.topic, from: 'open' });
+  }
+
+  return { applied, unchanged, unknown, problems };
+}
+
+// Helpers
+function commitmentTodo(c, now) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:commitment-${c.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `CREATED:${utcStamp(c.ts)}`,
+    `SUMMARY:${escapeText(oneLine(c.what))}`,
+    `DESCRIPTION:${escapeText(`Promised to ${c.to_whom}: "${c.context}"`)}`,
+    `CONTACT:${escapeText(c.to_whom)}`,
+    `DUE:${utcStamp(c.by_when)}`,
+    `STATUS:${TODO_STATUS[c.state]}`,
+    'CATEGORIES:Commitment',
+    `X-SA-STATE:${c.state}`
+  ];
+  // Task apps hide a to-do until its start date — the closest thing to a snooze
+  if (c.state === 'snoozed') lines.push(`DTSTART:${utcStamp(c.snoozed_until)}`);
+  if (c.state === 'done') {
+    const done = c.history.filter(h => h.to === 'done').pop();
+    lines.push(`COMPLETED:${utcStamp(done ? done.at : now)}`, 'PERCENT-COMPLETE:100');
+  }
+  lines.push('END:VTODO');
+  return lines;
+}
+
+function loopTodo(loop, now) {
+  return [
+    'BEGIN:VTODO',
+    `UID:loop-${loop.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `CREATED:${utcStamp(loop.ts)}`,
+    `SUMMARY:${escapeText(oneLine(loop.topic))}`,
+    `DESCRIPTION:${escapeText(loop.context || '')}`,
+    'STATUS:NEEDS-ACTION',
+    'CATEGORIES:Open loop',
+    'END:VTODO'
+  ];
+}
+
+function deadlineEvent(c, now) {
+  const due = new Date(c.by_when);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:deadline-${c.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `SUMMARY:${escapeText(`Due: ${c.what} → ${c.to_whom}`)}`,
+    `DESCRIPTION:${escapeText(`${c.state}. Said: "${c.context}"`)}`
+  ];
+  if (isEndOfDay(due)) {
+    // Day-precision deadlines are stored as 23:59:59 — an all-day event reads better
+    const next = new Date(due.getFullYear(), due.getMonth(), due.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${dateStamp(due)}`, `DTEND;VALUE=DATE:${dateStamp(next)}`);
+  } else {
+    lines.push(`DTSTART:${utcStamp(due)}`, `DURATION:PT${DEADLINE_EVENT_MINUTES}M`);
+  }
+  // A reminder, not a meeting — keeps it out of busy time (and the energy forecast)
+  lines.push('TRANSP:TRANSPARENT', `STATUS:${c.state === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+  return lines;
+}
+
+function utcStamp(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function dateStamp(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function fold(line) {
+  // RFC 5545: at most 75 octets per line, continuation lines start with a space
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? LINE_OCTETS : LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function isEndOfDay(date) {
+  return date.getHours() === 23 && date.getMinutes() === 59;
+}
+
+function formatDue(iso) {
+  const date = new Date(iso);
+  return isEndOfDay(date) ? formatLocal(date).slice(0, 10) : formatLocal(date);
+}
+
+function formatLocal(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function oneLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+module.exports = {
+  gatherItems,
+  exportICS,
+  exportMarkdown,
+  readCompletions,
+  importCompletions
+};
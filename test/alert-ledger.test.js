@@ -0,0 +1,67 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeJson } = require('../local-store.js');
+const { deliverAlerts, getLedgerStatus, isQuietHour } = require('../alert-ledger.js');
+
+// Noon on a weekday (TZ is UTC in tests), well outside quiet hours
+const NOON = new Date('2026-10-19T12:00:00Z');
+const later = minutes => new Date(NOON.getTime() + minutes * 60 * 1000);
+
+test.beforeEach(() => writeJson('alert-ledger', {}));
+
+test('delivers within the hourly cap and holds the rest', () => {
+  const result = deliverAlerts(['one', 'two', 'three', 'four'], {}, NOON);
+  assert.deepEqual(result.delivered.map(a => a.text), ['one', 'two', 'three']);
+  assert.deepEqual(result.held.map(a => a.text), ['four']);
+  assert.equal(result.reason, 'hourly_cap');
+  assert.equal(getLedgerStatus({}, NOON).held, 1);
+});
+
+test('held alerts go out first once the hour has passed', () => {
+  deliverAlerts(['one', 'two', 'three', 'four'], {}, NOON);
+  const result = deliverAlerts(['five'], {}, later(61));
+  assert.deepEqual(result.delivered.map(a => a.text), ['four', 'five']);
+});
+
+test('the daily cap holds across hours', () => {
+  const policy = { maxAlertsPerHour: 10, maxAlertsPerDay: 2 };
+  deliverAlerts(['one', 'two'], policy, NOON);
+  const result = deliverAlerts(['three'], policy, later(120));
+  assert.equal(result.delivered.length, 0);
+  assert.equal(result.reason, 'daily_cap');
+});
+
+test('the same text is dropped within the cooldown, however it is spaced', () => {
+  deliverAlerts([{ type: 'drift', text: 'Drifting a bit' }], {}, NOON);
+  const again = deliverAlerts([{ type: 'drift', text: '  drifting  A BIT ' }], {}, later(90));
+  assert.equal(again.delivered.length, 0);
+  assert.equal(again.dropped.length, 1);
+
+  const afterCooldown = deliverAlerts([{ type: 'drift', text: 'Drifting a bit' }], {}, later(241));
+  assert.equal(afterCooldown.delivered.length, 1);
+});
+
+test('duplicates in one call go out once', () => {
+  const result = deliverAlerts(['same', 'same', null], {}, NOON);
+  assert.equal(result.delivered.length, 1);
+  assert.equal(result.dropped.length, 1);
+});
+
+test('quiet hours hold everything and wrap midnight', () => {
+  const night = new Date('2026-10-19T23:30:00Z');
+  assert.equal(isQuietHour(night), true);
+  assert.equal(isQuietHour(new Date('2026-10-19T07:59:00Z')), true);
+  assert.equal(isQuietHour(NOON), false);
+  const result = deliverAlerts(['late one'], {}, night);
+  assert.equal(result.delivered.length, 0);
+  assert.equal(result.reason, 'quiet_hours');
+});
+
+test('held alerts lapse after maxHoldHours', () => {
+  deliverAlerts(['x'], {}, new Date('2026-10-19T23:30:00Z'));
+  const result = deliverAlerts([], {}, new Date('2026-10-21T12:00:00Z'));
+  assert.equal(result.delivered.length, 0);
+  assert.equal(result.held.length, 0);
+});
@@ -0,0 +1,91 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseICS, parseTodos, expandEvents, zonedDate, wallClock } = require('../calendar.js');
+
+const ics = (...body) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...body, 'END:VCALENDAR'].join('\r\n');
+
+function expand(text, from, to) {
+  const { events, problems } = parseICS(text);
+  assert.deepEqual(problems, []);
+  return expandEvents(events, { from: new Date(from), to: new Date(to) });
+}
+
+test('a single UTC event', () => {
+  const [event] = expand(ics(
+    'BEGIN:VEVENT', 'UID:one', 'SUMMARY:Dentist', 'DTSTART:20261020T090000Z', 'DTEND:20261020T093000Z', 'END:VEVENT'
+  ), '2026-10-19', '2026-10-26');
+  assert.equal(event.title, 'Dentist');
+  assert.equal(event.start.toISOString(), '2026-10-20T09:00:00.000Z');
+  assert.equal(event.duration, 30);
+  assert.equal(event.recurring, false);
+});
+
+test('RRULE with EXDATE skips the excluded occurrence', () => {
+  const events = expand(ics(
+    'BEGIN:VEVENT', 'UID:standup', 'SUMMARY:Standup',
+    'DTSTART:20261019T090000Z', 'DTEND:20261019T091500Z',
+    'RRULE:FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR',
+    'EXDATE:20261021T090000Z',
+    'END:VEVENT'
+  ), '2026-10-19', '2026-10-26');
+  assert.deepEqual(events.map(e => e.start.toISOString().slice(0, 10)),
+    ['2026-10-19', '2026-10-20', '2026-10-22', '2026-10-23']);
+  assert.ok(events.every(e => e.recurring));
+});
+
+test('RRULE COUNT and UNTIL bound the series', () => {
+  const counted = expand(ics(
+    'BEGIN:VEVENT', 'UID:c', 'SUMMARY:Weekly', 'DTSTART:20261001T120000Z', 'DURATION:PT1H',
+    'RRULE:FREQ=WEEKLY;COUNT=3', 'END:VEVENT'
+  ), '2026-09-01', '2027-01-01');
+  assert.equal(counted.length, 3);
+
+  const until = expand(ics(
+    'BEGIN:VEVENT', 'UID:u', 'SUMMARY:Weekly', 'DTSTART:20261001T120000Z', 'DURATION:PT1H',
+    'RRULE:FREQ=WEEKLY;UNTIL=20261015T120000Z', 'END:VEVENT'
+  ), '2026-09-01', '2027-01-01');
+  assert.equal(until.length, 3);
+});
+
+test('a TZID event keeps its wall-clock time across a DST change', () => {
+  const events = expand(ics(
+    'BEGIN:VEVENT', 'UID:ny', 'SUMMARY:Sync',
+    'DTSTART;TZID=America/New_York:20261029T090000', 'DTEND;TZID=America/New_York:20261029T100000',
+    'RRULE:FREQ=DAILY;COUNT=5', 'END:VEVENT'
+  ), '2026-10-28', '2026-11-05');
+  // New York leaves daylight time on 1 Nov 2026: 13:00Z before, 14:00Z after
+  assert.deepEqual(events.map(e => e.start.toISOString()), [
+    '2026-10-29T13:00:00.000Z', '2026-10-30T13:00:00.000Z', '2026-10-31T13:00:00.000Z',
+    '2026-11-01T14:00:00.000Z', '2026-11-02T14:00:00.000Z'
+  ]);
+});
+
+test('RECURRENCE-ID moves one occurrence', () => {
+  const events = expand(ics(
+    'BEGIN:VEVENT', 'UID:r', 'SUMMARY:1:1', 'DTSTART:20261019T150000Z', 'DURATION:PT30M',
+    'RRULE:FREQ=WEEKLY;COUNT=2', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:r', 'SUMMARY:1:1 (moved)', 'RECURRENCE-ID:20261026T150000Z',
+    'DTSTART:20261027T100000Z', 'DURATION:PT30M', 'END:VEVENT'
+  ), '2026-10-19', '2026-11-02');
+  assert.deepEqual(events.map(e => [e.title, e.start.toISOString()]), [
+    ['1:1', '2026-10-19T15:00:00.000Z'],
+    ['1:1 (moved)', '2026-10-27T10:00:00.000Z']
+  ]);
+});
+
+test('zonedDate and wallClock are inverses', () => {
+  const date = zonedDate({ y: 2026, mo: 3, d: 29, h: 9, mi: 30, s: 0 }, 'Europe/London');
+  assert.equal(date.toISOString(), '2026-03-29T08:30:00.000Z');
+  const wall = wallClock(date, 'Europe/London');
+  assert.deepEqual([wall.y, wall.mo, wall.d, wall.h, wall.mi], [2026, 3, 29, 9, 30]);
+});
+
+test('parseTodos reads status and completion', () => {
+  const { todos } = parseTodos(ics(
+    'BEGIN:VTODO', 'UID:t1', 'SUMMARY:Send the quote', 'STATUS:COMPLETED', 'COMPLETED:20261020T101500Z', 'END:VTODO',
+    'BEGIN:VTODO', 'UID:t2', 'SUMMARY:Call Rory', 'STATUS:NEEDS-ACTION', 'END:VTODO'
+  ));
+  assert.deepEqual(todos.map(t => [t.uid, t.status]), [['t1', 'COMPLETED'], ['t2', 'NEEDS-ACTION']]);
+});
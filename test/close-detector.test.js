@@ -0,0 +1,81 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { add_memory } = require('../graphiti-memory.js');
+const commitmentTracker = require('../commitment-tracker.js');
+const { run, detectCompletions, resolveFromMessage, undoClosure } = require('../close-detector.js');
+
+async function commitment(message) {
+  const { commitment } = await commitmentTracker.detectCommitment(message, {});
+  return commitment;
+}
+
+test('undo puts a commitment back in the state it was closed from', async () => {
+  const invoice = await commitment("I'll send the invoice to Elliott by Friday");
+  await commitmentTracker.startCommitment(invoice.id);
+
+  const { applied } = await resolveFromMessage('I sent the invoice to Elliott');
+  assert.equal(applied.length, 1);
+  assert.equal(applied[0].item_id, invoice.id);
+  assert.equal(applied[0].from, 'in-progress');
+  assert.equal(commitmentTracker.getCommitment(invoice.id).state, 'done');
+
+  await undoClosure(applied[0].id);
+  assert.equal(commitmentTracker.getCommitment(invoice.id).state, 'in-progress');
+});
+
+test('undo keeps a renegotiated deadline', async () => {
+  const deck = await commitment("I'll send the deck to Bel by Friday");
+  const byWhen = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+  await commitmentTracker.renegotiateCommitment(deck.id, byWhen);
+
+  const { applied } = await resolveFromMessage('Sent the deck to Bel');
+  assert.equal(applied.length, 1);
+  await undoClosure(applied[0].id);
+
+  const reopened = commitmentTracker.getCommitment(deck.id);
+  assert.equal(reopened.state, 'renegotiated');
+  assert.equal(reopened.by_when, byWhen.toISOString());
+});
+
+test('only the user\'s own actions are completions', () => {
+  for (const message of ['I sent the contract to Elliott', 'sent the contract', 'just sent the contract', 'Thanks Elliott, sent the contract']) {
+    assert.deepEqual(detectCompletions(message).map(c => c.verb), ['send'], message);
+  }
+  for (const message of ['Elliott sent me the contract', 'She sent the contract', 'They called Bel', 'Elliott is done with the contract']) {
+    assert.deepEqual(detectCompletions(message), [], message);
+  }
+});
+
+test('"me" is not part of what was sent', () => {
+  assert.equal(detectCompletions('I sent me the notes')[0].object, 'the notes');
+});
+
+test('someone else sending the thing closes nothing', async () => {
+  const quote = await commitment("I'll send the quote to Elliott by Friday");
+  for (const message of ['Elliott sent me the quote', 'He sent the quote over', 'Elliott sent the quote to Bel']) {
+    const { applied, proposed } = await resolveFromMessage(message);
+    assert.equal(applied.length + proposed.length, 0, message);
+  }
+  assert.equal(commitmentTracker.getCommitment(quote.id).state, 'open');
+});
+
+test('the scan pages back to the last one, however many messages came since', async () => {
+  const brochure = await commitment("I'll send the brochure to Priya by Friday");
+  const at = minutesAgo => new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+  const say = (content, minutesAgo) => ({ role_type: 'user', role: 'User', content, timestamp: at(minutesAgo) });
+
+  await add_memory({ group_id: 'close-paging', messages: [say('morning', 300)] });
+  assert.equal((await run({ group: 'close-paging' })).metrics.scanned, 1);
+
+  // The completion is the oldest of 150 new messages
+  const messages = [say('I sent the brochure to Priya', 200)];
+  for (let i = 0; i < 149; i++) messages.push(say(`chatter ${i}`, 199 - i));
+  await add_memory({ group_id: 'close-paging', messages });
+
+  const result = await run({ group: 'close-paging' });
+  assert.equal(result.metrics.scanned, 150);
+  assert.equal(result.metrics.closed, 1);
+  assert.equal(commitmentTracker.getCommitment(brochure.id).state, 'done');
+});
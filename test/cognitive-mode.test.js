@@ -0,0 +1,72 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { add_memory } = require('../graphiti-memory.js');
+const { appendEvent } = require('../local-store.js');
+const { groupFor } = require('../profile.js');
+const { analyzeConversationWindow, detectModeMismatch, analyzeModeWindow } = require('../cognitive-mode.js');
+
+const MINUTE = 60 * 1000;
+const ago = minutes => new Date(Date.now() - minutes * MINUTE).toISOString();
+
+const USER_TURNS = [
+  'Honestly, I think the real question is why we keep building this',
+  'Looking back, the thing is it matters more than I admitted',
+  'I feel like the truth is we never asked what it means for us',
+  'Genuinely, why does this matter to who I am'
+];
+const AGENT_TURNS = [
+  'Done. Deployed the fix, verified ✅',
+  'Status: committed and shipped. Next: update the docs',
+  'Fixed the test, confirmed working',
+  'Completed the migration, deployed and verified ✅'
+];
+
+// Two past agent sessions that each went exec → reflect mid-conversation
+function seedAgentHistory() {
+  for (const daysBack of [3, 2]) {
+    const start = Date.now() - daysBack * 24 * 60 * MINUTE;
+    ['exec', 'exec', 'exec', 'reflect', 'reflect'].forEach((mode, i) => {
+      appendEvent('cognitive', 'mode', { mode, confidence: 0.5, speaker: 'agent', snippet: mode }, {
+        group: groupFor('cognitive-mode'),
+        timestamp: new Date(start + i * 5 * MINUTE).toISOString()
+      });
+    });
+  }
+}
+
+test('a reflective user and an agent still reporting tasks is a mismatch with a history tip', async () => {
+  seedAgentHistory();
+  const messages = [];
+  USER_TURNS.forEach((content, i) => {
+    messages.push({ role_type: 'user', role: 'User', content, timestamp: ago(20 - i * 4) });
+    messages.push({ role_type: 'assistant', role: 'Agent', content: AGENT_TURNS[i], timestamp: ago(18 - i * 4) });
+  });
+  await add_memory({ group_id: 'cognitive-test', messages });
+
+  const window = await analyzeConversationWindow({ group: 'cognitive-test' });
+  assert.equal(window.user.mode, 'reflect');
+  assert.equal(window.agent.mode, 'exec');
+  assert.equal(window.user.turns, 4);
+  assert.equal(window.agent.turns, 4);
+  assert.equal(window.logged, 0);
+
+  assert.ok(window.mismatch);
+  assert.equal(window.mismatch.user, 'reflect');
+  assert.equal(window.mismatch.agent, 'exec');
+  assert.match(window.mismatch.tip, /^Pause the doing\./);
+  assert.match(window.mismatch.tip, /You've made this shift 2 times lately, every time mid-conversation/);
+});
+
+test('no mismatch while the agent is already shifting', () => {
+  const user = analyzeModeWindow(USER_TURNS);
+  const agent = analyzeModeWindow([...AGENT_TURNS, USER_TURNS[0]]);
+  assert.equal(detectModeMismatch(user, agent), null);
+});
+
+test('no mismatch on too few turns', () => {
+  const user = analyzeModeWindow(USER_TURNS.slice(0, 2));
+  const agent = analyzeModeWindow(AGENT_TURNS);
+  assert.equal(detectModeMismatch(user, agent), null);
+});
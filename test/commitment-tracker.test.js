@@ -0,0 +1,27 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCommitment, closeCommitment, cancelCommitment, getCommitment } = require('../commitment-tracker.js');
+
+test('a blank description closes nothing', async () => {
+  const { commitment } = await detectCommitment("I'll send the invoice to Elliott by Friday", {});
+  for (const what of ['', '   ', undefined]) {
+    assert.deepEqual(await closeCommitment(what), { closed: false, commitment: null });
+    assert.deepEqual(await cancelCommitment(what), { cancelled: false, commitment: null });
+  }
+  assert.equal(getCommitment(commitment.id).state, 'open');
+});
+
+test('commitments are found by id prefix or by their text', async () => {
+  const { commitment: deck } = await detectCommitment("I'll send the deck to Bel by Friday", {});
+  const { commitment: notes } = await detectCommitment("I'll review the notes for you by Monday", {});
+
+  const byPrefix = await closeCommitment(deck.id.slice(0, 8));
+  assert.equal(byPrefix.commitment.id, deck.id);
+  assert.equal(getCommitment(deck.id).state, 'done');
+
+  const byText = await cancelCommitment(notes.what);
+  assert.equal(byText.commitment.id, notes.id);
+  assert.equal(getCommitment(notes.id).state, 'cancelled');
+});
@@ -0,0 +1,90 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDeadline } = require('../deadline-parser.js');
+
+// Monday 19 Oct 2026, 10:00 UTC
+const MONDAY = new Date('2026-10-19T10:00:00Z');
+const options = (now = MONDAY) => ({ now, timeZone: 'UTC', knownDates: [{ name: "Bel's birthday", date: '11-02' }] });
+const due = (text, now) => parseDeadline(text, options(now))?.iso;
+
+test('no deadline is null', () => {
+  assert.equal(parseDeadline('sounds good', options()), null);
+});
+
+test('weekdays are the end of that day, "before" the end of the day before', () => {
+  assert.equal(due('by Friday'), '2026-10-23T23:59:59.000Z');
+  assert.equal(due('before Friday'), '2026-10-22T23:59:59.000Z');
+  assert.equal(due('next Friday'), '2026-10-30T23:59:59.000Z');
+});
+
+test('abbreviated weekdays; the ones that are also words need "by", "on" and the like', () => {
+  assert.equal(due('by wed'), '2026-10-21T23:59:59.000Z');
+  assert.equal(due('thurs'), '2026-10-22T23:59:59.000Z');
+  assert.equal(due('on sat'), '2026-10-24T23:59:59.000Z');
+  assert.equal(due('I sat down with Bel'), undefined);
+  assert.equal(due("c'mon, it's fine"), undefined);
+});
+
+test('"before the weekend" is the end of Friday', () => {
+  assert.equal(due('before the weekend'), '2026-10-23T23:59:59.000Z');
+  assert.equal(due('by the weekend'), '2026-10-25T23:59:59.000Z');
+  // Said on Saturday, it's the coming one
+  assert.equal(due('before the weekend', new Date('2026-10-24T10:00:00Z')), '2026-10-30T23:59:59.000Z');
+});
+
+test('a bare weekday said on that day is next week; "this" keeps today', () => {
+  assert.equal(due('by Monday'), '2026-10-26T23:59:59.000Z');
+  assert.equal(due('this Monday'), '2026-10-19T23:59:59.000Z');
+});
+
+test('EOD and COB are 17:00', () => {
+  assert.equal(due('EOD'), '2026-10-19T17:00:00.000Z');
+  assert.equal(due('COB tomorrow'), '2026-10-20T17:00:00.000Z');
+  assert.equal(due('end of next week'), '2026-10-30T17:00:00.000Z');
+});
+
+test('EOD and COB with a weekday are 17:00 that day, in either order', () => {
+  for (const text of ['COB Friday', 'Friday COB', 'eod friday', 'friday eod', 'end of day Friday', 'Friday end of day']) {
+    assert.equal(due(text), '2026-10-23T17:00:00.000Z', text);
+  }
+});
+
+test('EOD after 17:00 is the next working day', () => {
+  assert.equal(due('EOD', new Date('2026-10-19T18:30:00Z')), '2026-10-20T17:00:00.000Z');
+  // Friday evening rolls over the weekend
+  assert.equal(due('by COB today', new Date('2026-10-23T18:30:00Z')), '2026-10-26T17:00:00.000Z');
+  // "today" without EOD still has until midnight
+  assert.equal(due('today', new Date('2026-10-19T18:30:00Z')), '2026-10-19T23:59:59.000Z');
+});
+
+test('relative spans count from now', () => {
+  assert.equal(due('in 3 days'), '2026-10-22T23:59:59.000Z');
+  assert.equal(due('two weeks from now'), '2026-11-02T23:59:59.000Z');
+  assert.equal(due('in an hour'), '2026-10-19T11:00:00.000Z');
+});
+
+test('calendar dates without a year are the next occurrence', () => {
+  assert.equal(due('by the 14th'), '2026-11-14T23:59:59.000Z');
+  assert.equal(due('14 Feb'), '2027-02-14T23:59:59.000Z');
+  assert.equal(due('2026-11-02'), '2026-11-02T23:59:59.000Z');
+});
+
+test('"the 31st" in a month without one is the next month that has it', () => {
+  assert.equal(due('by the 31st', new Date('2026-11-20T10:00:00Z')), '2026-12-31T23:59:59.000Z');
+  assert.equal(due('by the 30th', new Date('2027-02-02T10:00:00Z')), '2027-03-30T23:59:59.000Z');
+});
+
+test('times, with or without a named zone', () => {
+  assert.equal(due('by 3pm'), '2026-10-19T15:00:00.000Z');
+  assert.equal(due('by 9am'), '2026-10-20T09:00:00.000Z');
+  assert.equal(due('noon Friday'), '2026-10-23T12:00:00.000Z');
+  assert.equal(due('by 5pm PT'), '2026-10-20T00:00:00.000Z');
+});
+
+test('known dates come from the profile', () => {
+  const result = parseDeadline("before Bel's birthday", options());
+  assert.equal(result.iso, '2026-11-01T23:59:59.000Z');
+  assert.equal(result.source, 'known_date');
+});
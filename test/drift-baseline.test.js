@@ -0,0 +1,67 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { add_memory } = require('../graphiti-memory.js');
+const { computeBaseline, learnBaseline, listBaselines, getBaseline, selectBaseline, MIN_MESSAGES } = require('../drift-baseline.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const REPLIES = [
+  'Honestly, I think the second option is better. It keeps the data where you can see it.',
+  'Done — the tests pass now. Want me to tidy the README while I am in there?',
+  'I love this idea. What if we tried it on the small group first?',
+  '- fixed the import\n- renamed the helper\n- added a test',
+  "That's a fair worry. I'd check the logs before we change anything."
+];
+// Every seventh reply skips one, so chunks of ten differ a little
+const replies = n => Array.from({ length: n }, (_, i) => `${REPLIES[(i + Math.floor(i / 7)) % REPLIES.length]} (${i})`);
+
+async function seed(group, startMs, count, stepMs) {
+  const messages = replies(count).map((content, i) => ({
+    role_type: 'assistant',
+    role: 'Agent',
+    content,
+    timestamp: new Date(startMs + i * stepMs).toISOString()
+  }));
+  await add_memory({ group_id: group, messages });
+}
+
+test('computeBaseline needs three chunks and returns mean and spread per dimension', () => {
+  assert.throws(() => computeBaseline(replies(MIN_MESSAGES - 1)), /at least 30 messages \(got 29\) — widen the window/);
+  const baseline = computeBaseline(replies(45));
+  assert.equal(baseline.sampleSize, 45);
+  assert.equal(baseline.chunks, 4);
+  assert.ok(baseline.mean.proseRatio > 0);
+  assert.ok(Object.values(baseline.sd).some(sd => sd > 0));
+});
+
+test('learnBaseline reads only the window, versions baselines and switches between them', async () => {
+  const start = Date.now() - 10 * DAY;
+  await seed('baseline-window', start, 60, 30 * 60 * 1000); // Every half hour for 30 hours
+
+  const first = await learnBaseline({ agent: 'Rook', group: 'baseline-window', from: new Date(start), to: new Date(start + DAY), note: 'golden' });
+  assert.equal(first.version, 1);
+  assert.equal(first.sample_size, 49);
+  assert.equal(first.covered_from, null);
+
+  const second = await learnBaseline({ agent: 'rook', group: 'baseline-window', from: new Date(start) });
+  assert.equal(second.version, 2);
+  assert.equal(second.sample_size, 60);
+  assert.equal(getBaseline('ROOK').version, 2);
+
+  selectBaseline('rook', 1);
+  assert.deepEqual(listBaselines('rook').map(v => v.active), [true, false]);
+  selectBaseline('rook', 0);
+  assert.equal(getBaseline('rook'), null);
+  assert.throws(() => selectBaseline('rook', 7), /No baseline version 7/);
+});
+
+test('a window older than the fetch reaches says so instead of asking for a wider one', async () => {
+  const start = Date.now() - 30 * DAY;
+  await seed('baseline-old', start, 2050, 10 * 60 * 1000); // Ten minutes apart, ~14 days
+
+  await assert.rejects(
+    learnBaseline({ agent: 'Cass', group: 'baseline-old', from: new Date(start), to: new Date(start + 60 * 60 * 1000) }),
+    /only go back to \d{4}-\d{2}-\d{2} — pick a window after that/
+  );
+});
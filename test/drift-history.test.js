@@ -0,0 +1,63 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChangePoints, correlateWithEvents, describeChangePoint } = require('../drift-history.js');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2026-10-01T00:00:00Z');
+
+// One measurement an hour; warmth from the list, the rest steady
+function history(warmths) {
+  return warmths.map((warmth, i) => ({
+    ts: new Date(START + i * HOUR).toISOString(),
+    drift_score: 1,
+    metrics: { warmth, proseRatio: 0.8 }
+  }));
+}
+
+test('a flat series has no change points', () => {
+  assert.deepEqual(detectChangePoints(history([8, 8.2, 7.9, 8.1, 8, 7.8, 8.2, 8.1])), []);
+});
+
+test('too short a series has no change points', () => {
+  assert.deepEqual(detectChangePoints(history([8, 8, 4, 4])), []);
+});
+
+test('a level shift is found where it happened', () => {
+  const changes = detectChangePoints(history([8.2, 8, 8.3, 8.1, 4.2, 4.4, 4, 4.1]));
+  assert.equal(changes.length, 1);
+  const [change] = changes;
+  assert.equal(change.dimension, 'warmth');
+  assert.equal(change.direction, 'drop');
+  assert.equal(change.at, new Date(START + 4 * HOUR).toISOString());
+  assert.equal(change.previous_at, new Date(START + 3 * HOUR).toISOString());
+  assert.ok(change.t >= 3);
+});
+
+test('a wobble inside the spread floor is not a shift', () => {
+  assert.deepEqual(detectChangePoints(history([8, 8, 8, 8, 7.8, 7.8, 7.8, 7.8])), []);
+});
+
+test('two shifts in one series are both found', () => {
+  const changes = detectChangePoints(history([
+    8.1, 8, 8.2, 8, 8.1, 8,
+    4, 4.1, 4, 4.2, 4, 4.1,
+    6, 6.1, 6, 5.9, 6, 6.1
+  ]));
+  assert.deepEqual(changes.map(c => c.direction), ['drop', 'rise']);
+  assert.deepEqual(changes.map(c => c.at), [6, 12].map(i => new Date(START + i * HOUR).toISOString()));
+});
+
+test('events just before a shift are attached, nearest first', () => {
+  const [change] = detectChangePoints(history([8.2, 8, 8.3, 8.1, 4.2, 4.4, 4, 4.1]));
+  const event = (type, hours) => ({ type, ts: new Date(START + hours * HOUR).toISOString(), detail: null });
+  const [correlated] = correlateWithEvents([change], [
+    event('restart', -10),
+    event('compaction', 1),
+    event('model_switch', 3.5),
+    event('new_session', 6)
+  ]);
+  assert.deepEqual(correlated.events.map(e => e.type), ['model_switch', 'compaction']);
+  assert.match(describeChangePoint(correlated), /^warmth dropped 8\.15 → 4\.18 after a model switch$/);
+});
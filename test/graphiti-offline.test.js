@@ -0,0 +1,139 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryBackend, rankByTfIdf } = require('../graphiti-offline.js');
+
+const at = minutes => new Date(Date.UTC(2026, 9, 19, 9, minutes)).toISOString();
+
+async function seeded() {
+  const backend = createMemoryBackend();
+  await backend.handle('POST', '/messages', {
+    group_id: 'tom-kit-dm',
+    messages: [
+      { role_type: 'user', role: 'Tom', content: 'The Neo4j container keeps running out of memory', timestamp: at(0) },
+      { role_type: 'assistant', role: 'Kit', content: 'Raised the heap size and restarted the container', timestamp: at(1) },
+      { role_type: 'user', role: 'Tom', content: 'Lunch with Bel on Friday', timestamp: at(2) }
+    ]
+  });
+  await backend.handle('POST', '/messages', {
+    group_id: 'other-dm',
+    messages: [{ role_type: 'user', role: 'Elliott', content: 'Neo4j memory settings again', timestamp: at(3) }]
+  });
+  return backend;
+}
+
+test('POST /messages stores one episode per message in the server body format', async () => {
+  const backend = createMemoryBackend();
+  const res = await backend.handle('POST', '/messages', {
+    group_id: 'g',
+    messages: [{ role_type: 'user', role: 'Tom', content: 'hello there', timestamp: at(0) }]
+  });
+  assert.equal(res.status, 202);
+  assert.equal(backend.state.episodes.length, 1);
+  assert.equal(backend.state.episodes[0].content, 'Tom(user): hello there');
+  assert.equal(backend.state.episodes[0].valid_at, at(0));
+  assert.equal(backend.state.facts[0].fact, 'hello there');
+});
+
+test('POST /messages validates its body', async () => {
+  const backend = createMemoryBackend();
+  assert.equal((await backend.handle('POST', '/messages', { messages: [] })).status, 422);
+  assert.equal((await backend.handle('POST', '/messages', { group_id: 'g', messages: [] })).status, 422);
+  assert.equal((await backend.handle('POST', '/search', {})).status, 422);
+  assert.equal((await backend.handle('GET', '/episodes/g')).status, 422);
+});
+
+test('GET /episodes returns the last n of one group, oldest first', async () => {
+  const backend = await seeded();
+  const { status, body } = await backend.handle('GET', '/episodes/tom-kit-dm?last_n=2');
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(e => e.valid_at), [at(1), at(2)]);
+  assert.ok(body.every(e => e.group_id === 'tom-kit-dm'));
+});
+
+test('POST /search ranks by shared terms and drops unrelated facts', async () => {
+  const backend = await seeded();
+  const { body } = await backend.handle('POST', '/search', { query: 'neo4j memory', group_ids: ['tom-kit-dm'] });
+  assert.equal(body.facts.length, 1);
+  assert.match(body.facts[0].fact, /Neo4j container/);
+});
+
+test('POST /search without group_ids searches every group, up to max_facts', async () => {
+  const backend = await seeded();
+  const all = await backend.handle('POST', '/search', { query: 'neo4j memory' });
+  assert.equal(all.body.facts.length, 2);
+  const one = await backend.handle('POST', '/search', { query: 'neo4j memory', max_facts: 1 });
+  assert.equal(one.body.facts.length, 1);
+});
+
+test('POST /get-memory builds its query from the messages', async () => {
+  const backend = await seeded();
+  const { body } = await backend.handle('POST', '/get-memory', {
+    group_id: 'tom-kit-dm',
+    messages: [{ content: 'when is lunch with Bel?' }]
+  });
+  assert.match(body.facts[0].fact, /Lunch with Bel/);
+});
+
+test('DELETE /episode takes the facts only it supported', async () => {
+  const backend = await seeded();
+  const episode = backend.state.episodes[0];
+  assert.equal((await backend.handle('DELETE', `/episode/${episode.uuid}`)).status, 200);
+  assert.equal((await backend.handle('GET', `/episode/${episode.uuid}`)).status, 404);
+  assert.ok(!backend.state.facts.some(f => f.episodes.includes(episode.uuid)));
+  assert.equal((await backend.handle('DELETE', `/episode/${episode.uuid}`)).status, 404);
+});
+
+test('DELETE /group and POST /clear', async () => {
+  const backend = await seeded();
+  await backend.handle('DELETE', '/group/tom-kit-dm');
+  assert.ok(backend.state.episodes.every(e => e.group_id === 'other-dm'));
+  assert.ok(backend.state.facts.every(f => f.group_id === 'other-dm'));
+  await backend.handle('POST', '/clear');
+  assert.equal(backend.state.episodes.length, 0);
+  assert.equal(backend.state.facts.length, 0);
+});
+
+test('entity nodes and edges', async () => {
+  const backend = await seeded();
+  const { body: node } = await backend.handle('POST', '/entity-node', { group_id: 'g', name: 'Bel', uuid: 'n1' });
+  assert.equal(node.uuid, 'n1');
+  await backend.handle('POST', '/entity-node', { group_id: 'g', name: 'Bel', uuid: 'n1', summary: 'friend' });
+  assert.equal(backend.state.nodes.filter(n => n.uuid === 'n1').length, 1);
+  assert.equal((await backend.handle('GET', '/entity-node/n1')).body.summary, 'friend');
+
+  const fact = backend.state.facts[0];
+  assert.equal((await backend.handle('GET', `/entity-edge/${fact.uuid}`)).body.fact, fact.fact);
+  assert.equal((await backend.handle('DELETE', `/entity-edge/${fact.uuid}`)).status, 200);
+  assert.equal((await backend.handle('GET', `/entity-edge/${fact.uuid}`)).status, 404);
+});
+
+test('unknown routes are 404', async () => {
+  const backend = createMemoryBackend();
+  assert.equal((await backend.handle('GET', '/nope')).status, 404);
+});
+
+test('rankByTfIdf prefers rarer shared terms and breaks ties by recency', () => {
+  const items = [
+    { text: 'memory leak in the worker', created_at: at(0) },
+    { text: 'memory usage looks fine', created_at: at(1) },
+    { text: 'leak fixed in the worker', created_at: at(2) },
+    { text: 'nothing related here', created_at: at(3) }
+  ];
+  const ranked = rankByTfIdf('memory leak', items, i => i.text);
+  assert.equal(ranked[0].item, items[0]);
+  assert.ok(!ranked.some(r => r.item === items[3]));
+
+  const tied = rankByTfIdf('memory', items.slice(0, 2).map(i => ({ ...i, text: 'memory' })), i => i.text);
+  assert.equal(tied[0].item.created_at, at(1));
+});
+
+test('graphiti-memory talks to the offline backend when GRAPHITI_BACKEND=memory', async () => {
+  const { add_memory, search, get_episodes } = require('../graphiti-memory.js');
+  await add_memory({ group_id: 'client-test', messages: [{ role_type: 'user', role: 'Tom', content: 'Book the dentist' }] });
+  const { facts } = await search({ query: 'dentist', group_ids: ['client-test'] });
+  assert.equal(facts[0].fact, 'Book the dentist');
+  const episodes = await get_episodes({ group_id: 'client-test', last_n: 5 });
+  assert.equal(episodes.length, 1);
+});
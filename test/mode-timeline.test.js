@@ -0,0 +1,74 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { appendEvent } = require('../local-store.js');
+const { groupFor } = require('../profile.js');
+const { logSessionEvent } = require('../session-events.js');
+const { buildTimeline, transitionInsight, formatMinutes } = require('../mode-timeline.js');
+
+const MINUTE = 60 * 1000;
+// Midnight (UTC, as setup.js pins it) five days ago
+const day = new Date(Date.now() - 5 * 24 * 60 * MINUTE);
+day.setHours(0, 0, 0, 0);
+const at = (hours, minutes = 0) => new Date(day.getTime() + (hours * 60 + minutes) * MINUTE).toISOString();
+
+function read(ts, mode, confidence = 0.8, extra = {}) {
+  appendEvent('cognitive', 'mode', { mode, confidence, snippet: null, speaker: 'user', ...extra }, { group: groupFor('cognitive-mode'), timestamp: ts });
+}
+
+read(at(9), 'exec');
+read(at(9, 10), 'flow', 0.5);                               // Lone and less sure: stays exec
+read(at(9, 20), 'exec', 0.95);                              // Between two flows, but surer than both
+read(at(9, 30), 'flow', 0.9, { snippet: "let's sketch it out" });
+read(at(9, 40), 'flow');
+read(at(11), 'reflect');                                    // 80 minutes later: a break
+read(at(11, 10), 'reflect');
+logSessionEvent('compaction', { timestamp: at(11, 20) });
+read(at(11, 25), 'exec');
+read(at(23, 50), 'exec');                                   // Too long a break to be a transition
+read(at(24, 5), 'flow');
+
+// The agent's own readings: flow → reflect → exec, twice over
+['flow', 'reflect', 'exec', 'flow', 'reflect', 'exec']
+  .forEach((mode, i) => read(at(48 + 9, i * 10), mode, 0.8, { speaker: 'agent' }));
+
+test('readings split into sessions on silence, and a lone low-confidence reading is smoothed away', () => {
+  const { readings, sessions } = buildTimeline({ since: at(0) });
+  assert.equal(readings, 10);
+  assert.deepEqual(sessions.map(s => [s.start, s.readings]), [[at(9), 5], [at(11), 3], [at(23, 50), 2]]);
+  assert.deepEqual(sessions[0].segments.map(s => [s.mode, s.minutes, s.opened_by]), [
+    ['exec', 30, null],
+    ['flow', 15, "let's sketch it out"]
+  ]);
+  assert.equal(sessions[2].end, at(24, 10));
+});
+
+test('time in mode is counted per day, split at midnight', () => {
+  const { days } = buildTimeline({ since: at(0) });
+  assert.deepEqual(days, [
+    { date: at(0).slice(0, 10), total: 85, minutes: { exec: 45, flow: 15, reflect: 25 } },
+    { date: at(24).slice(0, 10), total: 10, minutes: { exec: 5, flow: 5 } }
+  ]);
+});
+
+test('transitions say what preceded them: the conversation, a break or a session event', () => {
+  const { transitions } = buildTimeline({ since: at(0) });
+  assert.deepEqual(transitions.map(t => [t.from, t.to, t.count, t.triggers]), [
+    ['exec', 'flow', 2, { conversation: 2 }],
+    ['reflect', 'exec', 1, { compaction: 1 }],
+    ['flow', 'reflect', 1, { break: 1 }]
+  ]);
+  assert.deepEqual(transitions[0].examples, ["let's sketch it out"]);
+  assert.equal(transitions[0].avg_minutes_before, 23);
+});
+
+test('transitionInsight describes a direct route, a usual middle step, or nothing', () => {
+  assert.equal(transitionInsight('exec', 'flow'),
+    "You've made this shift 2 times lately, every time mid-conversation, usually after about 23 min in exec.");
+  assert.equal(transitionInsight('flow', 'exec', { speaker: 'agent' }),
+    'You rarely go straight from flow to exec; it usually happens via reflect.');
+  assert.equal(transitionInsight('reflect', 'exec'), null);
+  assert.equal(transitionInsight('triage', 'connect'), null);
+  assert.deepEqual([45, 60, 95].map(formatMinutes), ['45 min', '1h', '1h35']);
+});
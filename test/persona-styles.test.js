@@ -0,0 +1,70 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { add_memory } = require('../graphiti-memory.js');
+const { getPersona, listPersonas } = require('../persona-styles.js');
+const driftDetection = require('../drift-detection.js');
+const { learnBaseline } = require('../drift-baseline.js');
+
+const { measureStyle, detectDrift, BASELINE } = driftDetection;
+const HOUR = 60 * 60 * 1000;
+
+// ROOK on spec: decision/next step/risk bullets, or one short line
+const terse = n => Array.from({ length: n }, (_, i) => i % 2
+  ? `Rotated the key (${i}). Old one revoked.`
+  : `- Decision: rotate the key (${i}).\n- Next step: revoke the old one.\n- Risk: low, reversible.`);
+const rambling = n => Array.from({ length: n }, (_, i) =>
+  `Honestly, I wonder whether we might perhaps think about the broader meaning of all of this, because it seems to me that there are many possible ways we could approach the underlying question and maybe we should consider them all carefully before deciding anything at all (${i}).`);
+
+async function seed(group, texts, startMs) {
+  await add_memory({
+    group_id: group,
+    messages: texts.map((content, i) => ({ role_type: 'assistant', role: 'Rook', content, timestamp: new Date(startMs + i * 60 * 1000).toISOString() }))
+  });
+}
+
+test('personas are looked up by agent name in any case', () => {
+  assert.equal(getPersona('ROOK').id, 'rook');
+  assert.equal(getPersona(' Rook ').name, 'ROOK');
+  assert.equal(getPersona('nobody'), null);
+  assert.equal(getPersona(undefined), null);
+  assert.deepEqual(listPersonas().map(p => p.id), ['kit', 'rook', 'cass', 'sextans', 'lumen']);
+  assert.equal(getPersona('kit').baseline, null);
+});
+
+test("ROOK's terse style is on spec for ROOK and drift against KIT's baseline", () => {
+  const rook = getPersona('rook');
+  const style = measureStyle(terse(12));
+
+  const own = detectDrift(style, rook.baseline, { persona: rook });
+  assert.equal(own.hasDrift, false);
+  assert.equal(own.persona, 'rook');
+  assert.equal(own.summary, 'Nominal. Voice on spec.');
+  assert.equal(detectDrift(style, BASELINE).hasDrift, true);
+
+  const long = detectDrift(measureStyle(rambling(12)), rook.baseline, { persona: rook });
+  assert.equal(long.hasDrift, true);
+  assert.match(long.summary, /^Going long: /);
+});
+
+test('run() holds an agent to its persona, raises drift in its voice, and prefers a learned baseline', async () => {
+  await seed('rook-dm', terse(12), Date.now() - HOUR);
+  let result = await driftDetection.run({ group: 'rook-dm', agent: 'Rook', since: new Date(Date.now() - 2 * HOUR) });
+  assert.equal(result.summary, 'Nominal. Voice on spec.');
+  assert.equal(result.alerts.length, 0);
+
+  await seed('rook-long', rambling(12), Date.now() - HOUR);
+  result = await driftDetection.run({ group: 'rook-long', agent: 'Rook', since: new Date(Date.now() - 2 * HOUR) });
+  assert.equal(result.alerts.length, 1);
+  assert.match(result.alerts[0].text, /ROOK off spec, drift \d+%\. Going long: /);
+  assert.equal(result.metrics.baselineVersion, 0);
+
+  // Learned from ROOK at length, the same messages are ROOK's normal
+  const start = Date.now() - 3 * 24 * HOUR;
+  await seed('rook-golden', rambling(40), start);
+  await learnBaseline({ agent: 'rook', group: 'rook-golden', from: new Date(start), to: new Date(start + HOUR) });
+  result = await driftDetection.run({ group: 'rook-long', agent: 'Rook', since: new Date(Date.now() - 2 * HOUR) });
+  assert.equal(result.metrics.baselineVersion, 1);
+  assert.equal(result.alerts.length, 0);
+});
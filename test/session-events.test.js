@@ -0,0 +1,85 @@
+const { dataDir } = require('./setup.js');
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// OpenClaw session logs in a directory of our own, before the profile is first read
+const sessionsDir = path.join(dataDir, 'openclaw-sessions');
+fs.mkdirSync(sessionsDir, { recursive: true });
+fs.mkdirSync(path.join(dataDir, 'profiles'), { recursive: true });
+fs.writeFileSync(path.join(dataDir, 'profiles', 'default.json'), JSON.stringify({ user: 'User', agent: 'Agent', sessions: { dirs: [sessionsDir] } }));
+
+const { add_memory } = require('../graphiti-memory.js');
+const { logSessionEvent, getSessionEvents, readSessionLogs } = require('../session-events.js');
+const { handleSessionEvent } = require('../self-awareness-suite.js');
+const driftDetection = require('../drift-detection.js');
+const { getDriftHistory } = require('../drift-history.js');
+const { queryEvents } = require('../local-store.js');
+
+const MINUTE = 60 * 1000;
+const ago = minutes => new Date(Date.now() - minutes * MINUTE).toISOString();
+
+test('session log entries become events, and a logged event for the same moment is kept once', () => {
+  const lines = [
+    { type: 'session', id: 's1', timestamp: ago(50) },
+    { type: 'message', timestamp: ago(49) },
+    { type: 'model_change', id: 'm1', provider: 'openai', modelId: 'gpt-5', timestamp: ago(40) },
+    { type: 'compaction', id: 'c1', tokensBefore: 180000, timestamp: ago(30) }
+  ];
+  fs.writeFileSync(path.join(sessionsDir, 'main.jsonl'), lines.map(l => JSON.stringify(l)).join('\n') + '\nnot json\n');
+
+  const fromLogs = readSessionLogs({ since: ago(60) });
+  assert.deepEqual(fromLogs.map(e => [e.type, e.detail]), [
+    ['new_session', null],
+    ['model_switch', 'openai/gpt-5'],
+    ['compaction', '180000 tokens before']
+  ]);
+
+  logSessionEvent('model_switch', { detail: 'gpt-5', timestamp: ago(40) });
+  logSessionEvent('restart', { timestamp: ago(20) });
+  const events = getSessionEvents({ since: ago(60) });
+  assert.deepEqual(events.map(e => [e.type, e.source]), [
+    ['new_session', 'main.jsonl'],
+    ['model_switch', 'logged'],
+    ['compaction', 'main.jsonl'],
+    ['restart', 'logged']
+  ]);
+  assert.deepEqual(getSessionEvents({ since: ago(60), type: 'restart' }).map(e => e.type), ['restart']);
+  assert.throws(() => logSessionEvent('reboot'), /Unknown session event: reboot/);
+});
+
+test('an event run snapshots drift before the event; a later pulse checks the messages since', async () => {
+  const say = (role_type, content, minutes) => ({ role_type, role: role_type === 'user' ? 'User' : 'Agent', content, timestamp: ago(minutes) });
+  const before = [];
+  for (let i = 0; i < 12; i++) {
+    before.push(say('user', `Honestly, I wonder why this keeps happening (${i})`, 10 + 24 - i * 2));
+    before.push(say('assistant', `I think it's the cache. Want me to dig into it? (${i})`, 10 + 23 - i * 2));
+  }
+  await add_memory({ group_id: 'events-dm', messages: before });
+
+  const { event, results } = await handleSessionEvent('compaction', { context: { group: 'events-dm' } });
+  assert.match(results.drift.summary, /^Before compaction — .*; the next pulse checks the messages since it$/);
+  assert.equal(results.drift.alerts.length, 0);
+  assert.match(results.cognitive.summary, /^At the compaction — /);
+  assert.ok(results.cognitive.findings.some(f => f.type === 'session_event' && f.data.event_id === event.id));
+  assert.ok(queryEvents('cognitive', { type: 'mode' }).some(r => r.event_id === event.id));
+
+  let history = getDriftHistory({ group: 'events-dm' });
+  assert.deepEqual(history.map(m => [m.trigger, m.trigger_phase]), [['compaction', 'before']]);
+
+  // Too few since the event: an ordinary pulse, not yet the event's check
+  const since = [];
+  for (let i = 0; i < 10; i++) since.push(say('assistant', `Fixed. Deployed. Verified (${i})`, 0));
+  await add_memory({ group_id: 'events-dm', messages: since.slice(0, 3) });
+  assert.doesNotMatch((await driftDetection.run({ group: 'events-dm' })).summary, /compaction/);
+
+  await add_memory({ group_id: 'events-dm', messages: since.slice(3) });
+  assert.match((await driftDetection.run({ group: 'events-dm' })).summary, /^After compaction — /);
+  history = getDriftHistory({ group: 'events-dm' });
+  assert.deepEqual(history.map(m => m.trigger_phase), ['before', null, 'after']);
+
+  // Answered: the next pulse is an ordinary one again
+  assert.doesNotMatch((await driftDetection.run({ group: 'events-dm' })).summary, /compaction/);
+});
@@ -0,0 +1,22 @@
+/**
+ * Test environment: a throwaway data directory, the offline Graphiti
+ * backend and built-in profile defaults. Require it before anything from
+ * the suite — most modules read these when they load.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sa-test-'));
+
+process.env.SA_DATA_DIR = dataDir;
+process.env.GRAPHITI_BACKEND = 'memory';
+process.env.TZ = 'UTC';
+for (const name of ['GRAPHITI_MEMORY_FILE', 'SA_PROFILE', 'SA_NAMESPACE', 'MEMORY_GROUP', 'USER_NAME', 'AGENT_NAME']) {
+  delete process.env[name];
+}
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };
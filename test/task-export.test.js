@@ -0,0 +1,64 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const commitmentTracker = require('../commitment-tracker.js');
+const loopHunter = require('../loop-hunter.js');
+const { gatherItems, exportICS, exportMarkdown, readCompletions, importCompletions } = require('../task-export.js');
+
+async function seed() {
+  const { commitment } = await commitmentTracker.detectCommitment("I'll send the deck to Bel by Friday", {});
+  const loop = await loopHunter.detectNewLoop('I need to follow up with Rory about the contract tomorrow', {});
+  assert.ok(commitment && loop, 'fixtures detected');
+  return { commitment, loop };
+}
+
+test('Markdown round trip: ticked items close, and only once', async () => {
+  const { commitment, loop } = await seed();
+  const markdown = exportMarkdown(gatherItems());
+  assert.match(markdown, new RegExp(`- \\[ \\] .*<!-- sa:commitment:${commitment.id} -->`));
+  assert.match(markdown, new RegExp(`- \\[ \\] .*<!-- sa:loop:${loop.id} -->`));
+
+  // Edited elsewhere: titles changed, one done, one cancelled
+  const edited = markdown
+    .replace(/- \[ \] .*(<!-- sa:commitment:)/, '- [x] Deck sent $1')
+    .replace(/- \[ \] .*(<!-- sa:loop:)/, '- [-] Dropped it $1');
+
+  const dryRun = await importCompletions(edited, { dryRun: true });
+  assert.equal(dryRun.applied.length, 2);
+  assert.equal(gatherItems().commitments.length + gatherItems().loops.length, 2);
+
+  const result = await importCompletions(edited, { source: 'notes' });
+  assert.deepEqual(result.applied.map(a => [a.kind, a.to]), [['commitment', 'done'], ['loop', 'cancelled']]);
+  assert.equal(commitmentTracker.getCommitment(commitment.id).state, 'done');
+  assert.ok(!loopHunter.getOpenLoops().some(l => l.id === loop.id));
+
+  const again = await importCompletions(edited);
+  assert.equal(again.applied.length, 0);
+  assert.equal(again.unchanged.length, 2);
+});
+
+test('ICS round trip through VTODO status', async () => {
+  const { commitment } = await seed();
+  const ics = exportICS(gatherItems());
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+  const uid = `commitment-${commitment.id}@graph-memory-suite`;
+  const completed = ics.replace(
+    new RegExp(`(UID:${uid}[\\s\\S]*?)STATUS:NEEDS-ACTION`),
+    '$1STATUS:COMPLETED'
+  );
+  const { marks } = readCompletions(completed);
+  assert.deepEqual(marks.map(m => [m.kind, m.id, m.to]), [['commitment', commitment.id, 'done']]);
+
+  const result = await importCompletions(completed);
+  assert.equal(result.applied.length, 1);
+  assert.equal(commitmentTracker.getCommitment(commitment.id).state, 'done');
+});
+
+test('unknown ids are reported, not guessed', async () => {
+  const result = await importCompletions('- [x] Something <!-- sa:commitment:nope -->\n');
+  assert.equal(result.unknown.length, 1);
+  assert.equal(result.applied.length, 0);
+});
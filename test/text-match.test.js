@@ -0,0 +1,36 @@
+require('./setup.js');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textSimilarity, wordSimilarity, trigramSimilarity, wordCoverage, mentionedPeople, tokenize } = require('../text-match.js');
+
+test('identical phrases score 1, unrelated ones near 0', () => {
+  assert.equal(textSimilarity('follow up with Rory', 'follow up with Rory'), 1);
+  assert.ok(textSimilarity('follow up with Rory', 'book the dentist') < 0.2);
+});
+
+test('tokenize drops stopwords and stems plurals and -ing/-ed', () => {
+  assert.deepEqual(tokenize('The containers were running and crashed'), ['container', 'were', 'run', 'crash']);
+  assert.deepEqual(tokenize('stopped planning, kept falling, missed'), ['stop', 'plan', 'kept', 'fall', 'miss']);
+});
+
+test('word similarity ignores stopwords and plural endings', () => {
+  assert.equal(wordSimilarity('the contracts for Rory', 'Rory contract'), 1);
+});
+
+test('trigrams survive typos and abbreviations', () => {
+  assert.ok(trigramSimilarity('follow up w/ Rory', 'follow up with Rory') > 0.7);
+  assert.ok(textSimilarity('send the invoce', 'send the invoice') > 0.6);
+});
+
+test('wordCoverage is the share of the needle found in the haystack', () => {
+  assert.equal(wordCoverage('plumber quote', 'Tom still needs the plumber quote for the bathroom'), 1);
+  assert.equal(wordCoverage('plumber quote', 'the plumber came round'), 0.5);
+  assert.equal(wordCoverage('', 'anything'), 0);
+});
+
+test('mentionedPeople finds known names and mid-sentence capitals', () => {
+  assert.deepEqual([...mentionedPeople('call rory about it', ['Rory'])], ['rory']);
+  assert.deepEqual([...mentionedPeople('Need to ping Priya on Monday')], ['priya']);
+  assert.equal(mentionedPeople('The plan. Then we ship').size, 0);
+});
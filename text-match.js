@@ -0,0 +1,141 @@
+/**
+ * Text Match
+ *
+ * Cheap, offline similarity for short task-like phrases — "follow up with
+ * Rory" against "follow up w/ Rory re the contract". Used to tell whether
+ * two loops are the same thing said twice.
+ *
+ * Similarity is the better of two measures, both 0–1:
+ * - word overlap (Jaccard) on stemmed words without stopwords (tokenize,
+ *   which the offline Graphiti search ranks on too)
+ * - character trigram overlap (Dice), which survives typos and
+ *   abbreviations that split words differently
+ *
+ * People are matched separately (mentionedPeople), because "call Rory" and
+ * "call Sam" are textually close but never the same loop.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'that', 'the',
+  'this', 'to', 'was', 'we', 'what', 'when', 'with', 'you', 'your'
+]);
+
+const NOT_NAMES = new Set([
+  'the', 'this', 'that', 'then', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+  'saturday', 'sunday', 'today', 'tomorrow', 'tonight', 'next', 'need', 'will', 'should'
+]);
+
+/**
+ * Similarity of two phrases, 0 (nothing shared) to 1 (same words).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function textSimilarity(a, b) {
+  return Math.max(wordSimilarity(a, b), trigramSimilarity(a, b));
+}
+
+/**
+ * Lower-case words without stopwords, with plural and -ing/-ed endings
+ * stripped — "The containers were running" → container, were, run.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * Jaccard overlap of stemmed, stopword-free words.
+ */
+function wordSimilarity(a, b) {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Share of `needle`'s words that appear in `haystack` — whether a longer
+ * text (a graph fact, a message) is about a short phrase.
+ */
+function wordCoverage(needle, haystack) {
+  const words = new Set(tokenize(needle));
+  if (words.size === 0) return 0;
+  const found = new Set(tokenize(haystack));
+  return [...words].filter(w => found.has(w)).length / words.size;
+}
+
+/**
+ * Dice overlap of character trigrams (of the normalised text).
+ */
+function trigramSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  if (gramsA.size === 0 || gramsB.size === 0) return 0;
+  const shared = [...gramsA].filter(g => gramsB.has(g)).length;
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+/**
+ * People a phrase mentions: known names (case-insensitive), plus any
+ * capitalised word that isn't the start of a sentence.
+ *
+ * @param {string} text
+ * @param {Array<string>} [knownNames] - e.g. profile.relationships names
+ * @returns {Set<string>} - Lower-case names
+ */
+function mentionedPeople(text, knownNames = []) {
+  const people = new Set();
+  const value = String(text || '');
+
+  for (const name of knownNames) {
+    if (new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(value)) people.add(name.toLowerCase());
+  }
+  for (const match of value.matchAll(/(?<![.!?]\s|^)\b([A-Z][a-z]{2,})\b/g)) {
+    if (!NOT_NAMES.has(match[1].toLowerCase())) people.add(match[1].toLowerCase());
+  }
+
+  return people;
+}
+
+// Helpers
+function stem(term) {
+  if (term.length > 5 && term.endsWith('ing')) return undouble(term.slice(0, -3));
+  if (term.length > 4 && term.endsWith('ed')) return undouble(term.slice(0, -2));
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+// "runn" → "run", "stopp" → "stop"; "fall" and "miss" keep theirs
+function undouble(term) {
+  return /([^aeiouyls])\1$/.test(term) ? term.slice(0, -1) : term;
+}
+
+function trigrams(text) {
+  const normal = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+  const grams = new Set();
+  for (let i = 0; i < normal.length - 2; i++) grams.add(normal.slice(i, i + 3));
+  return grams;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  textSimilarity,
+  wordSimilarity,
+  trigramSimilarity,
+  wordCoverage,
+  mentionedPeople,
+  tokenize
+};
@@ -0,0 +1,130 @@
+/**
+ * Threshold Tuning
+ *
+ * Turns "was this alert helpful?" into sensitivity. Each tunable
+ * threshold belongs to one alert type; the helpful/unhelpful ratio of
+ * that type's recent feedback nudges the threshold up (fewer alerts)
+ * or down (more alerts) around its configured base value.
+ *
+ * Every tunable here is "higher = less sensitive": an energy risk or
+ * stress match must exceed it, a loop must be older than it, a drift
+ * score must reach it.
+ *
+ * Feedback is stored as typed records in the "feedback" stream
+ * (local-store.js), so tuning survives restarts and is shared by
+ * every process. Records are tagged with the namespace's feedback
+ * group, so each user/agent pair is tuned on its own votes.
+ */
+
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { groupFor } = require('./profile.js');
+
+const STREAM = 'feedback';
+
+const TUNABLES = {
+  energyThreshold:   { alertType: 'energy', base: 0.7, min: 0.4, max: 0.95 },
+  stressThreshold:   { alertType: 'stress', base: 0.6, min: 0.3, max: 0.95 },
+  loopDaysThreshold: { alertType: 'loops',  base: 7,   min: 3,   max: 30, integer: true },
+  driftAlertScore:   { alertType: 'drift',  base: 1.5, min: 0.5, max: 5 }
+};
+
+const MIN_SAMPLES = 3;         // Below this, stay at base
+const FULL_WEIGHT_SAMPLES = 10; // Full adjustment from here on
+const WINDOW_SIZE = 20;        // Most recent feedback per type
+const WINDOW_DAYS = 60;
+const MAX_SHIFT = 0.3;         // ±30% of base at most
+
+/**
+ * Record feedback on an alert.
+ *
+ * @param {string} alertType - e.g. "energy", "stress", "loops", "drift"
+ * @param {boolean} wasHelpful
+ * @param {string} [userResponse] - What the user actually said, for later review
+ * @returns {Object} - The stored record
+ */
+function recordFeedback(alertType, wasHelpful, userResponse) {
+  return appendEvent(STREAM, 'feedback', {
+    alert_type: alertType,
+    helpful: Boolean(wasHelpful),
+    response: userResponse || null
+  }, { group: groupFor('feedback') });
+}
+
+/**
+ * Helpful/unhelpful counts for one alert type over the recent window.
+ */
+function getFeedbackStats(alertType) {
+  const records = queryEvents(STREAM, {
+    type: 'feedback',
+    group: groupFor('feedback'),
+    since: new Date(Date.now() - WINDOW_DAYS * 24 * 60 * 60 * 1000),
+    where: r => r.alert_type === alertType
+  }).slice(-WINDOW_SIZE);
+
+  const helpful = records.filter(r => r.helpful).length;
+  return {
+    alert_type: alertType,
+    samples: records.length,
+    helpful,
+    unhelpful: records.length - helpful,
+    helpful_ratio: records.length > 0 ? helpful / records.length : null
+  };
+}
+
+/**
+ * Effective thresholds after feedback.
+ *
+ * @param {Object} [baseOverrides] - Base values to tune around (e.g. the suite CONFIG);
+ *   only keys that are tunables are read
+ * @returns {Object} - {name: {base, effective, alert_type, samples, helpful_ratio}}
+ */
+function getEffectiveThresholds(baseOverrides = {}) {
+  const thresholds = {};
+
+  for (const [name, spec] of Object.entries(TUNABLES)) {
+    const base = typeof baseOverrides[name] === 'number' ? baseOverrides[name] : spec.base;
+    const stats = getFeedbackStats(spec.alertType);
+
+    thresholds[name] = {
+      base,
+      effective: tune(base, stats, spec),
+      alert_type: spec.alertType,
+      samples: stats.samples,
+      helpful_ratio: stats.helpful_ratio
+    };
+  }
+
+  return thresholds;
+}
+
+/**
+ * Just the effective values — {energyThreshold: 0.77, ...} — for passing into apps.
+ */
+function getThresholdValues(baseOverrides = {}) {
+  const values = {};
+  for (const [name, t] of Object.entries(getEffectiveThresholds(baseOverrides))) {
+    values[name] = t.effective;
+  }
+  return values;
+}
+
+// Helpers
+function tune(base, stats, spec) {
+  if (stats.samples < MIN_SAMPLES) return base;
+
+  // All-helpful → lower by MAX_SHIFT, all-unhelpful → raise by MAX_SHIFT,
+  // scaled down while there are only a few samples
+  const weight = Math.min(1, stats.samples / FULL_WEIGHT_SAMPLES);
+  const multiplier = 1 + (0.5 - stats.helpful_ratio) * 2 * MAX_SHIFT * weight;
+  const value = Math.min(spec.max, Math.max(spec.min, base * multiplier));
+
+  return spec.integer ? Math.round(value) : Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  recordFeedback,
+  getFeedbackStats,
+  getEffectiveThresholds,
+  getThresholdValues,
+  TUNABLES
+};
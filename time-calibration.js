@@ -4,15 +4,25 @@
  * Tracks estimates vs actuals to calibrate ADHD time blindness
  */
 
-const { add_memory, search } = require('./graphiti-memory.js');
+const { add_memory } = require('./graphiti-memory.js');
 const { generateAlert } = require('./alert-generator.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-time";
+const GROUP_ID = groupFor("time");
+const STREAM = "time";
 
 /**
  * Log a time estimate
  */
 async function logTimeEstimate(task, estimatedMinutes, context = {}) {
+  appendEvent(STREAM, "estimate", {
+    task,
+    task_type: classifyTaskType(task),
+    estimated_minutes: estimatedMinutes,
+    source: context.source || "direct"
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -30,18 +40,29 @@ async function logTimeEstimate(task, estimatedMinutes, context = {}) {
  * Log actual time spent
  */
 async function logActualTime(task, actualMinutes, notes = "") {
-  // Find the estimate
-  const estimates = await search({
-    query: `estimate for "${task}"`,
-    group_ids: [GROUP_ID],
-    max_facts: 3
+  // Find the most recent estimate for the same task
+  const needle = normalizeTask(task);
+  const estimates = queryEvents(STREAM, {
+    type: "estimate",
+    group: GROUP_ID,
+    where: r => normalizeTask(r.task) === needle
   });
   
-  const estimate = estimates.facts?.[0];
-  const estimatedMinutes = estimate ? extractMinutes(estimate.fact) : null;
+  const estimate = estimates[estimates.length - 1];
+  const estimatedMinutes = estimate ? estimate.estimated_minutes : null;
   
   const ratio = estimatedMinutes ? (actualMinutes / estimatedMinutes) : null;
   
+  appendEvent(STREAM, "actual", {
+    task,
+    task_type: classifyTaskType(task),
+    estimate_id: estimate?.id || null,
+    estimated_minutes: estimatedMinutes,
+    actual_minutes: actualMinutes,
+    ratio,
+    notes
+  }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -66,22 +87,14 @@ async function logActualTime(task, actualMinutes, notes = "") {
  * Get calibration factor for a task type
  */
 async function getCalibrationFactor(taskType) {
-  const history = await search({
-    query: `${taskType} time estimate actual ratio`,
-    group_ids: [GROUP_ID],
-    max_facts: 10
-  });
-  
-  if (!history.facts || history.facts.length < 3) {
-    return { factor: 1.5, confidence: "low", sampleSize: history.facts?.length || 0 };
-  }
-  
-  const ratios = history.facts
-    .map(f => extractRatio(f.fact))
-    .filter(r => r !== null);
-  
-  if (ratios.length === 0) {
-    return { factor: 1.5, confidence: "low", sampleSize: 0 };
+  const ratios = queryEvents(STREAM, {
+    type: "actual",
+    group: GROUP_ID,
+    where: r => r.task_type === taskType && typeof r.ratio === "number"
+  }).slice(-10).map(r => r.ratio);
+  
+  if (ratios.length < 3) {
+    return { factor: 1.5, confidence: "low", sampleSize: ratios.length };
   }
   
   // Calculate average ratio (trim outliers)
@@ -177,14 +190,8 @@ function detectTimeCheckIn(message) {
 }
 
 // Helpers
-function extractMinutes(factText) {
-  const match = factText.match(/Estimated:\s*(\d+)min/);
-  return match ? parseInt(match[1]) : null;
-}
-
-function extractRatio(factText) {
-  const match = factText.match(/Ratio:\s*([\d.]+)x/);
-  return match ? parseFloat(match[1]) : null;
+function normalizeTask(task) {
+  return String(task || "").toLowerCase().replace(/\s+/g, " ").trim();
 }
 
 function parseTimeToMinutes(value, unit) {
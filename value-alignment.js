@@ -4,23 +4,23 @@
  * Compares time spent vs stated priorities
  */
 
-const { add_memory, search } = require('./graphiti-memory.js');
+const { add_memory } = require('./graphiti-memory.js');
+const { appendEvent, queryEvents } = require('./local-store.js');
+const { createContext, appResult, lookbackDays } = require('./app-contract.js');
+const { getProfile, groupFor } = require('./profile.js');
 
-const GROUP_ID = "tom-kit-values";
+const GROUP_ID = groupFor("values");
+const STREAM = "values";
 
-// Tom's stated priorities (editable)
-const STATED_PRIORITIES = [
-  { name: "Family (Bel, Jack)", rank: 1, ideal_allocation: 30 },
-  { name: "Business/GAIA", rank: 2, ideal_allocation: 25 },
-  { name: "Health/Wellbeing", rank: 3, ideal_allocation: 15 },
-  { name: "GRV Work", rank: 4, ideal_allocation: 20 },
-  { name: "Personal Growth", rank: 5, ideal_allocation: 10 }
-];
+// Stated priorities (profile.priorities — edit with `sa config edit`)
+const STATED_PRIORITIES = getProfile().priorities;
 
 /**
  * Log time allocation
  */
 async function logTimeAllocation(category, minutes, activity) {
+  appendEvent(STREAM, "time", { category, minutes, activity }, { group: GROUP_ID });
+  
   await add_memory({
     group_id: GROUP_ID,
     messages: [{
@@ -36,22 +36,19 @@ async function logTimeAllocation(category, minutes, activity) {
  * Calculate actual time allocation
  */
 async function calculateAllocation(daysBack = 7) {
-  const timeLogs = await search({
-    query: "time category duration activity",
-    group_ids: [GROUP_ID],
-    max_facts: 100
+  const timeLogs = queryEvents(STREAM, {
+    type: "time",
+    group: GROUP_ID,
+    since: new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000)
   });
   
   const allocation = {};
   let totalMinutes = 0;
   
-  for (const fact of timeLogs.facts || []) {
-    const category = extractCategory(fact.fact);
-    const minutes = extractMinutes(fact.fact);
-    
-    if (category && minutes) {
-      allocation[category] = (allocation[category] || 0) + minutes;
-      totalMinutes += minutes;
+  for (const log of timeLogs) {
+    if (log.category && log.minutes > 0) {
+      allocation[log.category] = (allocation[log.category] || 0) + log.minutes;
+      totalMinutes += log.minutes;
     }
   }
   
@@ -107,19 +104,11 @@ async function checkValueAlignment() {
  * Detect activity category from message
  */
 function detectCategory(message) {
-  const categories = {
-    "Family (Bel, Jack)": ["bel", "jack", "family", "home", "kids", "son"],
-    "Business/GAIA": ["gaia", "elliott", "business", "client", "venture", "startup"],
-    "Health/Wellbeing": ["gym", "exercise", "meditation", "walk", "sleep", "doctor"],
-    "GRV Work": ["grv", "work", "meeting", "colleague", "office", "hr"],
-    "Personal Growth": ["learning", "reading", "course", "study", "practice"]
-  };
-  
   const lower = message.toLowerCase();
   
-  for (const [category, keywords] of Object.entries(categories)) {
-    if (keywords.some(kw => lower.includes(kw))) {
-      return category;
+  for (const priority of STATED_PRIORITIES) {
+    if ((priority.keywords || []).some(kw => lower.includes(kw.toLowerCase()))) {
+      return priority.name;
     }
   }
   
@@ -144,17 +133,45 @@ async function generateAlignmentReport() {
   return report;
 }
 
-// Helpers
-function extractCategory(factText) {
-  const match = factText.match(/Category:\s*(.+?)\s*\|/);
-  return match ? match[1].trim() : null;
-}
-
-function extractMinutes(factText) {
-  const match = factText.match(/Duration:\s*(\d+)/);
-  return match ? parseInt(match[1]) : 0;
+/**
+ * sa app entry point (see app-contract.js).
+ * Allocation is measured over at least a week — a single day says little about priorities.
+ */
+async function run(context) {
+  const ctx = createContext(context);
+  const daysBack = Math.max(7, lookbackDays(ctx));
+  if (STATED_PRIORITIES.length === 0) {
+    return appResult({ summary: "No priorities configured (add them to your profile: sa config edit)" });
+  }
+  
+  const allocation = await calculateAllocation(daysBack);
+  
+  if (allocation.total_tracked_hours === "0.0") {
+    return appResult({
+      summary: `No time tracked in the last ${daysBack} days`,
+      metrics: { trackedHours: 0 }
+    });
+  }
+  
+  const alignment = await checkValueAlignment();
+  
+  return appResult({
+    summary: `Alignment ${Math.round(alignment.alignment_score)}/100 over ${allocation.total_tracked_hours}h tracked — ${alignment.summary}`,
+    findings: alignment.misalignments.map(m => ({
+      type: m.status,
+      severity: m.rank <= 2 ? "medium" : "low",
+      message: `${m.priority}: ${m.actual}% actual vs ${m.ideal}% intended`,
+      data: m
+    })),
+    metrics: {
+      alignmentScore: Math.round(alignment.alignment_score),
+      trackedHours: parseFloat(allocation.total_tracked_hours),
+      misalignments: alignment.misalignments.length
+    }
+  });
 }
 
+// Helpers
 function calculateAlignmentScore(misalignments) {
   if (misalignments.length === 0) return 100;
   
@@ -195,6 +212,7 @@ function generateSuggestion(misalignments) {
 }
 
 module.exports = {
+  run,
   logTimeAllocation,
   calculateAllocation,
   checkValueAlignment,